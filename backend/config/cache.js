@@ -0,0 +1,35 @@
+require('dotenv').config();
+
+// Parse a number of seconds, keeping 0 (which disables caching for a source)
+const seconds = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Caching of connector responses. Uses Redis when REDIS_URL is set and
+// reachable, and an in-process cache otherwise.
+const cacheConfig = {
+  enabled: process.env.CACHE_ENABLED !== 'false',
+  redisUrl: process.env.REDIS_URL || null,
+  keyPrefix: process.env.CACHE_KEY_PREFIX || 'bia:connector:',
+  redisConnectTimeoutMs: parseInt(process.env.CACHE_REDIS_CONNECT_TIMEOUT_MS, 10) || 2000,
+  memoryMaxEntries: parseInt(process.env.CACHE_MEMORY_MAX_ENTRIES, 10) || 1000,
+
+  // How long a response is served as fresh, per connector id; 0 disables caching for that source
+  defaultTtlSeconds: seconds(process.env.CACHE_DEFAULT_TTL_SECONDS, 15 * 60),
+  ttlSeconds: {
+    registry: seconds(process.env.CACHE_TTL_REGISTRY_SECONDS, 60 * 60),
+    pagerduty: seconds(process.env.CACHE_TTL_PAGERDUTY_SECONDS, 15 * 60),
+    hr: seconds(process.env.CACHE_TTL_HR_SECONDS, 24 * 60 * 60),
+    financial: seconds(process.env.CACHE_TTL_FINANCIAL_SECONDS, 60 * 60),
+    monitoring: seconds(process.env.CACHE_TTL_MONITORING_SECONDS, 5 * 60)
+  },
+
+  // After its TTL a response is still served for this long while it is refetched in the background
+  staleWhileRevalidateSeconds: seconds(process.env.CACHE_STALE_WHILE_REVALIDATE_SECONDS, 60 * 60),
+
+  // How long after its TTL a response is kept to be served when the source fails or its circuit breaker is open
+  staleIfErrorSeconds: seconds(process.env.CACHE_STALE_IF_ERROR_SECONDS, 24 * 60 * 60)
+};
+
+module.exports = cacheConfig;
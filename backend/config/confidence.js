@@ -0,0 +1,63 @@
+require('dotenv').config();
+
+// Parse a number, keeping an explicit 0 and falling back only when unset or invalid
+const float = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Confidence scoring of generated BIA documents
+const confidenceConfig = {
+  // Lower bounds of the 'High' and 'Medium' levels; anything below is 'Low'
+  levels: {
+    high: float(process.env.CONFIDENCE_LEVEL_HIGH, 0.8),
+    medium: float(process.env.CONFIDENCE_LEVEL_MEDIUM, 0.6)
+  },
+
+  // Weight of each section in the overall confidence
+  sectionWeights: {
+    personnel_information: 1,
+    business_impact: 1.5,
+    technology_dependencies: 1,
+    recovery_requirements: 1.5,
+    risk_compliance: 0.75,
+    iso_22301_compliance: 1
+  },
+
+  // Weight of a field in its section's score, by the source it came from
+  sourceWeights: {
+    registry: 1,
+    pagerDuty: 1,
+    hr: 0.75,
+    financial: 1,
+    monitoring: 1,
+    predictions: 1.25,
+    policy: 0.5
+  },
+
+  // Per-section overrides of sourceWeights, e.g. { recovery_requirements: { predictions: 2 } }
+  sectionSourceWeights: {
+    recovery_requirements: { predictions: 1.5 }
+  },
+
+  // Confidence of values taken from static policy tables by function type rather than a connector
+  policyConfidence: float(process.env.CONFIDENCE_POLICY_SCORE, 0.6),
+
+  // Confidence of a field whose source returned nothing, so the value is a built-in default
+  unavailableSourceConfidence: float(process.env.CONFIDENCE_UNAVAILABLE_SCORE, 0.2),
+
+  // Confidence of a field a reviewer set by hand
+  manualOverrideConfidence: float(process.env.CONFIDENCE_MANUAL_OVERRIDE_SCORE, 0.95),
+
+  // Multiplier for fields that fell back to a placeholder ('TBD', 'Unknown') or benchmark data
+  fallbackPenalty: float(process.env.CONFIDENCE_FALLBACK_PENALTY, 0.5),
+
+  // Source data keeps full confidence for graceHours, then halves every halfLifeHours down to minFactor
+  freshness: {
+    graceHours: float(process.env.CONFIDENCE_FRESHNESS_GRACE_HOURS, 24),
+    halfLifeHours: float(process.env.CONFIDENCE_FRESHNESS_HALF_LIFE_HOURS, 7 * 24),
+    minFactor: float(process.env.CONFIDENCE_FRESHNESS_MIN_FACTOR, 0.25)
+  }
+};
+
+module.exports = confidenceConfig;
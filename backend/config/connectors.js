@@ -0,0 +1,46 @@
+require('dotenv').config();
+
+// A connector is enabled unless its flag is set to 'false'
+const flag = name => process.env[name] !== 'false';
+
+// Data-source connectors, keyed by connector id. Settings are validated
+// against each connector's configSchema when it is registered; a connector
+// with invalid settings is disabled. Connectors without an entry are enabled.
+const connectorsConfig = {
+  registry: {
+    enabled: flag('CONNECTOR_REGISTRY_ENABLED'),
+    driver: process.env.REGISTRY_DRIVER,
+    account: process.env.SNOWFLAKE_ACCOUNT,
+    username: process.env.SNOWFLAKE_USER,
+    password: process.env.SNOWFLAKE_PASSWORD,
+    warehouse: process.env.SNOWFLAKE_WAREHOUSE,
+    database: process.env.SNOWFLAKE_DATABASE,
+    schema: process.env.SNOWFLAKE_SCHEMA,
+    sqlitePath: process.env.REGISTRY_SQLITE_PATH
+  },
+  pagerduty: {
+    enabled: flag('CONNECTOR_PAGERDUTY_ENABLED'),
+    apiUrl: process.env.PAGERDUTY_API_URL,
+    apiKey: process.env.PAGERDUTY_API_KEY,
+    pageSize: process.env.PAGERDUTY_PAGE_SIZE,
+    incidentWindowDays: process.env.PAGERDUTY_INCIDENT_WINDOWS_DAYS
+  },
+  hr: {
+    enabled: flag('CONNECTOR_HR_ENABLED'),
+    ldapUrl: process.env.LDAP_URL,
+    bindDn: process.env.LDAP_BIND_DN,
+    bindPassword: process.env.LDAP_BIND_PASSWORD
+  },
+  financial: {
+    enabled: flag('CONNECTOR_FINANCIAL_ENABLED'),
+    apiUrl: process.env.FINANCIAL_API_URL,
+    apiKey: process.env.FINANCIAL_API_KEY
+  },
+  monitoring: {
+    enabled: flag('CONNECTOR_MONITORING_ENABLED'),
+    apiKey: process.env.DATADOG_API_KEY,
+    appKey: process.env.DATADOG_APP_KEY
+  }
+};
+
+module.exports = connectorsConfig;
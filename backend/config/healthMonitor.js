@@ -0,0 +1,19 @@
+require('dotenv').config();
+
+// Background probing of data sources, recorded in data_source_health and its history
+const healthMonitorConfig = {
+  enabled: process.env.HEALTH_MONITOR_ENABLED !== 'false',
+  intervalMs: parseInt(process.env.HEALTH_PROBE_INTERVAL_MS, 10) || 5 * 60 * 1000, // How often every source is probed
+  checkIntervalMs: parseInt(process.env.HEALTH_PROBE_CHECK_INTERVAL_MS, 10) || 60 * 1000, // How often the monitor checks whether a probe is due
+  degradedLatencyMs: parseInt(process.env.HEALTH_PROBE_DEGRADED_LATENCY_MS, 10) || 2000, // Successful probes slower than this are recorded as degraded
+  historyRetentionDays: parseInt(process.env.HEALTH_HISTORY_RETENTION_DAYS, 10) || 90,
+
+  // Uptime windows reported by GET /api/health/data-sources/history
+  uptimeWindows: {
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000
+  }
+};
+
+module.exports = healthMonitorConfig;
@@ -0,0 +1,44 @@
+require('dotenv').config();
+
+// Parse a comma-separated list of numbers, e.g. '50000,250000,1000000,5000000'
+const parseList = (value, fallback) => (value
+  ? value.split(',').map(item => parseFloat(item.trim())).filter(item => !Number.isNaN(item))
+  : fallback);
+
+// Downtime impact model behind the business impact timeline and the MTPD
+const impactConfig = {
+  // Severity scale, lowest first; a dimension's score is its 1-based index
+  severityLevels: ['Minimal', 'Minor', 'Moderate', 'Major', 'Severe'],
+
+  // Impact at or above this score is intolerable; the MTPD is the first outage duration reaching it
+  intolerableScore: parseInt(process.env.IMPACT_INTOLERABLE_SCORE, 10) || 4,
+
+  // Outage durations (hours) reported on the cost curve
+  curveHours: parseList(process.env.IMPACT_CURVE_HOURS, [1, 2, 4, 8, 12, 24, 48, 72, 168, 336, 720]),
+
+  // Longest outage modelled; beyond it the MTPD is reported as exceeding the horizon
+  horizonHours: parseInt(process.env.IMPACT_HORIZON_HOURS, 10) || 720,
+
+  // Upper bounds of each severity level below 'Severe', per impact dimension
+  thresholds: {
+    // Cumulative lost revenue (USD)
+    financial: parseList(process.env.IMPACT_FINANCIAL_THRESHOLDS, [50000, 250000, 1000000, 5000000]),
+    // Customers unable to transact
+    customer: parseList(process.env.IMPACT_CUSTOMER_THRESHOLDS, [1000, 10000, 50000, 250000]),
+    // Failed transactions, scaled by the function type's regulatory exposure
+    regulatory: parseList(process.env.IMPACT_REGULATORY_THRESHOLDS, [10000, 100000, 1000000, 10000000]),
+    // Customers affected, scaled up by the enterprise customer share
+    reputational: parseList(process.env.IMPACT_REPUTATIONAL_THRESHOLDS, [2000, 20000, 100000, 500000])
+  },
+
+  // How quickly an outage of each function type escalates with regulators
+  regulatoryExposure: {
+    product: 1,
+    compliance: 1,
+    infrastructure: 0.75,
+    platform: 0.5,
+    support: 0.25
+  }
+};
+
+module.exports = impactConfig;
@@ -0,0 +1,48 @@
+/**
+ * Column mappings for bulk import of legacy BIAs.
+ *
+ * Each mapping maps a target field onto one or more source column names
+ * (matched case-insensitively, first non-empty wins). Targets are either BIA
+ * metadata (function_name, function_type, dri_name, dri_team) or a dot path
+ * inside an editable section, e.g. 'recovery_requirements.rto.current'.
+ * Use { columns, list: true } for cells holding ';'-separated lists and
+ * { columns, type } to store a cell as a typed 'duration', 'percentage' or
+ * 'currency' value; cells that do not parse as that type are row errors.
+ */
+const importMappings = {
+  // Column headings of the pre-automation BIA spreadsheet
+  legacy_spreadsheet: {
+    function_name: ['Function Name', 'Function', 'Business Function'],
+    function_type: ['Function Type', 'Type'],
+    dri_name: ['DRI', 'DRI Name', 'Owner'],
+    dri_team: ['DRI Team', 'Team'],
+
+    'personnel_information.team_size': ['Team Size'],
+    'personnel_information.escalation_policy': ['Escalation Policy'],
+    'personnel_information.on_call_schedule': ['On-Call Schedule', 'On Call Schedule'],
+
+    'business_impact.daily_revenue_impact': { columns: ['Daily Revenue Impact'], type: 'currency' },
+    'business_impact.monthly_revenue_impact': { columns: ['Monthly Revenue Impact'], type: 'currency' },
+    'business_impact.active_customers': ['Active Customers'],
+
+    'technology_dependencies.reliability_tier': ['Reliability Tier', 'Tier'],
+    'technology_dependencies.core_technologies': { columns: ['Core Technologies', 'Technologies'], list: true },
+    'technology_dependencies.service_dependencies': { columns: ['Dependencies', 'Service Dependencies'], list: true },
+
+    'recovery_requirements.rto.current': { columns: ['RTO', 'Current RTO'], type: 'duration' },
+    'recovery_requirements.rto.target': { columns: ['Target RTO'], type: 'duration' },
+    'recovery_requirements.rpo.current': { columns: ['RPO', 'Current RPO'], type: 'duration' },
+    'recovery_requirements.rpo.target': { columns: ['Target RPO'], type: 'duration' },
+
+    'risk_compliance.compliance_requirements': { columns: ['Compliance Requirements', 'Compliance'], list: true },
+    'risk_compliance.data_classification': ['Data Classification'],
+
+    'iso_22301_compliance.mtpd': { columns: ['MTPD'], type: 'duration' },
+    'iso_22301_compliance.mbco': ['MBCO'],
+    'iso_22301_compliance.business_function_classification': ['BCM Classification']
+  }
+};
+
+importMappings.default = importMappings.legacy_spreadsheet;
+
+module.exports = importMappings;
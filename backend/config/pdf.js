@@ -0,0 +1,14 @@
+require('dotenv').config();
+
+// Fonts of PDF exports. Paths to TrueType fonts with full Unicode coverage (e.g. DejaVu Sans or
+// Noto Sans) are embedded when set; otherwise the built-in Helvetica is used, which covers only
+// the WinAnsi character set, and other characters are transliterated before drawing.
+const pdfConfig = {
+  fonts: {
+    regular: process.env.PDF_FONT_REGULAR || null,
+    bold: process.env.PDF_FONT_BOLD || null,
+    italic: process.env.PDF_FONT_ITALIC || null
+  }
+};
+
+module.exports = pdfConfig;
@@ -0,0 +1,30 @@
+require('dotenv').config();
+
+// Parse a comma-separated list of numbers, e.g. '100000,1000000,10000000'
+const parseList = (value, fallback) => (value
+  ? value.split(',').map(item => parseFloat(item.trim())).filter(item => !Number.isNaN(item))
+  : fallback);
+
+// Parse a number, keeping 0 (which switches a rule off) and falling back only when unset or invalid
+const float = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Scheduled self-refresh of approved BIAs
+const refreshConfig = {
+  enabled: process.env.REFRESH_SCHEDULER_ENABLED !== 'false',
+  intervalMs: parseInt(process.env.REFRESH_INTERVAL_MS, 10) || 24 * 60 * 60 * 1000, // How often approved BIAs are refreshed
+  checkIntervalMs: parseInt(process.env.REFRESH_CHECK_INTERVAL_MS, 10) || 15 * 60 * 1000, // How often the scheduler checks whether a run is due
+  staleAfterMs: parseInt(process.env.REFRESH_STALE_AFTER_MS, 10) || 2 * 60 * 60 * 1000, // Running runs that have not heartbeated for this long are treated as abandoned
+
+  // Rules deciding whether refreshed data warrants a new draft version
+  materiality: {
+    reliabilityTierChange: process.env.REFRESH_RULE_TIER_CHANGE !== 'false',
+    rtoChangePercent: float(process.env.REFRESH_RULE_RTO_CHANGE_PERCENT, 25), // 0 turns the rule off
+    // Upper bounds of the daily revenue impact bands, matching the BIA impact matrix
+    revenueImpactBands: parseList(process.env.REFRESH_RULE_REVENUE_BANDS, [100000, 1000000, 10000000])
+  }
+};
+
+module.exports = refreshConfig;
@@ -0,0 +1,33 @@
+require('dotenv').config();
+
+const int = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Timeouts, retries and circuit breakers for calls to external systems
+const resilienceConfig = {
+  // Policy applied to every source unless overridden below
+  defaults: {
+    timeoutMs: int(process.env.RESILIENCE_TIMEOUT_MS, 10000),
+    retries: int(process.env.RESILIENCE_RETRIES, 2), // Extra attempts for idempotent reads
+    backoffBaseMs: int(process.env.RESILIENCE_BACKOFF_BASE_MS, 200), // Delay before the first retry, doubled per attempt
+    backoffMaxMs: int(process.env.RESILIENCE_BACKOFF_MAX_MS, 2000),
+    failureThreshold: int(process.env.RESILIENCE_BREAKER_FAILURE_THRESHOLD, 5), // Consecutive failed calls that open the breaker
+    resetTimeoutMs: int(process.env.RESILIENCE_BREAKER_RESET_MS, 30000) // How long the breaker stays open before a trial call
+  },
+
+  // Per-source overrides, keyed by connector id, 'rooster' or 'fusion'
+  sources: {
+    registry: { timeoutMs: int(process.env.RESILIENCE_TIMEOUT_REGISTRY_MS, 15000) },
+    pagerduty: { timeoutMs: int(process.env.RESILIENCE_TIMEOUT_PAGERDUTY_MS, 20000) },
+    hr: { timeoutMs: int(process.env.RESILIENCE_TIMEOUT_HR_MS, 5000) },
+    financial: { timeoutMs: int(process.env.RESILIENCE_TIMEOUT_FINANCIAL_MS, 10000) },
+    monitoring: { timeoutMs: int(process.env.RESILIENCE_TIMEOUT_MONITORING_MS, 5000) },
+    // The Rooster process is killed after its timeout; predictions are not retried
+    rooster: { timeoutMs: int(process.env.ROOSTER_TIMEOUT_MS, 60000), retries: 0, failureThreshold: 3 },
+    fusion: { timeoutMs: int(process.env.RESILIENCE_TIMEOUT_FUSION_MS, 15000) }
+  }
+};
+
+module.exports = resilienceConfig;
@@ -0,0 +1,206 @@
+/**
+ * Local stand-in for the PagerDuty REST API v2, for developing and checking
+ * PagerDutyConnector without a PagerDuty account. It serves the endpoints the
+ * connector reads in the documented shapes, with offset pagination, and
+ * requires the API key 'mock-key'.
+ *
+ *   node backend/scripts/pagerduty-mock-server.js 4010
+ *   PAGERDUTY_API_URL=http://localhost:4010 PAGERDUTY_API_KEY=mock-key PAGERDUTY_PAGE_SIZE=2 npm start
+ *
+ * createPagerDutyMockServer() returns an unstarted http.Server for scripts
+ * that bring their own fixtures.
+ */
+const http = require('http');
+
+const MOCK_API_KEY = 'mock-key';
+const DEFAULT_PORT = 4010;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Incident history of Payments API: days ago, priority, minutes to acknowledge and to resolve (null while open)
+const PAYMENTS_INCIDENTS = [
+  [2, 'P1', 3, null],
+  [9, 'P2', 6, 42],
+  [21, 'P1', 2, 118],
+  [44, 'P3', 14, 25],
+  [63, 'P2', 5, 57],
+  [101, 'P1', 4, 265],
+  [152, null, 9, 33]
+];
+
+/**
+ * Services, escalation policies, schedules, incidents and log entries relative to `now`
+ */
+function buildFixtures(now = Date.now()) {
+  const at = (daysAgo, minutesLater = 0) => new Date(now - daysAgo * DAY_MS + minutesLater * MINUTE_MS).toISOString();
+
+  const incidents = PAYMENTS_INCIDENTS.map(([daysAgo, priority, acknowledgeMinutes, resolveMinutes], index) => ({
+    id: `Q${index + 1}PAY`,
+    type: 'incident',
+    incident_number: 1000 + index,
+    title: `Payments API incident ${index + 1}`,
+    status: resolveMinutes === null ? 'acknowledged' : 'resolved',
+    urgency: priority === 'P1' ? 'high' : 'low',
+    priority: priority ? { id: `PRI${priority}`, type: 'priority', summary: priority } : null,
+    service: { id: 'PSVC001', type: 'service_reference' },
+    created_at: at(daysAgo),
+    resolved_at: resolveMinutes === null ? null : at(daysAgo, resolveMinutes)
+  }));
+
+  const logEntries = PAYMENTS_INCIDENTS.flatMap(([daysAgo, , acknowledgeMinutes, resolveMinutes], index) => [
+    { type: 'acknowledge_log_entry', created_at: at(daysAgo, acknowledgeMinutes) },
+    ...(resolveMinutes === null ? [] : [{ type: 'resolve_log_entry', created_at: at(daysAgo, resolveMinutes) }])
+  ].map((entry, entryIndex) => ({
+    id: `R${index + 1}${entryIndex}`,
+    ...entry,
+    incident: { id: incidents[index].id, type: 'incident_reference' },
+    teams: [{ id: 'PTEAM01', type: 'team_reference' }]
+  })));
+
+  // Another team's incident, which team-scoped log entry queries leave out
+  logEntries.push({
+    id: 'ROTHER',
+    type: 'acknowledge_log_entry',
+    created_at: at(5, 1),
+    incident: { id: 'QOTHER', type: 'incident_reference' },
+    teams: [{ id: 'PTEAM02', type: 'team_reference' }]
+  });
+
+  // An incident of Ledger Service, which belongs to no team, so its log entries are read per incident
+  incidents.push({
+    id: 'Q1LED',
+    type: 'incident',
+    incident_number: 2000,
+    title: 'Ledger Service incident 1',
+    status: 'resolved',
+    urgency: 'high',
+    priority: { id: 'PRIP2', type: 'priority', summary: 'P2' },
+    service: { id: 'PSVC003', type: 'service_reference' },
+    created_at: at(15),
+    resolved_at: at(15, 48)
+  });
+  logEntries.push(
+    { id: 'RLED0', type: 'acknowledge_log_entry', created_at: at(15, 7), incident: { id: 'Q1LED', type: 'incident_reference' }, teams: [] },
+    { id: 'RLED1', type: 'resolve_log_entry', created_at: at(15, 48), incident: { id: 'Q1LED', type: 'incident_reference' }, teams: [] }
+  );
+
+  return {
+    services: [
+      {
+        id: 'PSVC001',
+        type: 'service',
+        name: 'Payments API',
+        status: 'active',
+        html_url: 'http://localhost/service-directory/PSVC001',
+        escalation_policy: { id: 'PEP001', type: 'escalation_policy_reference', summary: 'Payments' },
+        teams: [{ id: 'PTEAM01', type: 'team_reference', summary: 'Payments' }]
+      },
+      {
+        id: 'PSVC002',
+        type: 'service',
+        name: 'Payments API Gateway',
+        status: 'warning',
+        html_url: 'http://localhost/service-directory/PSVC002',
+        escalation_policy: { id: 'PEP001', type: 'escalation_policy_reference', summary: 'Payments' },
+        teams: [{ id: 'PTEAM01', type: 'team_reference', summary: 'Payments' }]
+      },
+      {
+        id: 'PSVC003',
+        type: 'service',
+        name: 'Ledger Service',
+        status: 'active',
+        html_url: 'http://localhost/service-directory/PSVC003',
+        escalation_policy: { id: 'PEP001', type: 'escalation_policy_reference', summary: 'Payments' },
+        teams: []
+      }
+    ],
+    escalationPolicies: [
+      {
+        id: 'PEP001',
+        type: 'escalation_policy',
+        name: 'Payments',
+        escalation_rules: [
+          { escalation_delay_in_minutes: 15, targets: [{ id: 'PSCH001', type: 'schedule_reference', summary: 'Payments Primary' }] },
+          { escalation_delay_in_minutes: 15, targets: [{ id: 'PSCH002', type: 'schedule_reference', summary: 'Payments Secondary' }] },
+          { escalation_delay_in_minutes: 15, targets: [{ id: 'PUSR001', type: 'user_reference', summary: 'Engineering Manager' }] }
+        ]
+      }
+    ],
+    schedules: [
+      { id: 'PSCH001', type: 'schedule', name: 'Payments Primary', time_zone: 'America/Los_Angeles' },
+      { id: 'PSCH002', type: 'schedule', name: 'Payments Secondary', time_zone: 'Europe/Dublin' }
+    ],
+    incidents,
+    logEntries
+  };
+}
+
+function createPagerDutyMockServer({ apiKey = MOCK_API_KEY, fixtures = buildFixtures() } = {}) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const params = url.searchParams;
+    const send = (statusCode, body) => {
+      res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.headers.authorization !== `Token token=${apiKey}`) {
+      return send(401, { error: { message: 'Unauthorized', code: 2006 } });
+    }
+
+    // Offset pagination as documented: limit (at most 100), offset, more
+    const page = (key, items) => {
+      const limit = Math.min(Number(params.get('limit')) || 25, 100);
+      const offset = Number(params.get('offset')) || 0;
+      return send(200, { [key]: items.slice(offset, offset + limit), limit, offset, more: offset + limit < items.length, total: null });
+    };
+    const inRange = value => (!params.get('since') || value >= params.get('since')) && (!params.get('until') || value <= params.get('until'));
+    const byId = (items, id) => items.find(item => item.id === decodeURIComponent(id));
+    const [, resource, id, subresource] = url.pathname.split('/');
+
+    if (req.method !== 'GET') {
+      return send(405, { error: { message: 'Method not allowed' } });
+    }
+    if (resource === 'abilities') {
+      return send(200, { abilities: ['teams', 'urgencies'] });
+    }
+    if (resource === 'services' && !id) {
+      const query = (params.get('query') || '').toLowerCase();
+      return page('services', fixtures.services.filter(service => service.name.toLowerCase().includes(query)));
+    }
+    if (resource === 'escalation_policies' && byId(fixtures.escalationPolicies, id || '')) {
+      return send(200, { escalation_policy: byId(fixtures.escalationPolicies, id) });
+    }
+    if (resource === 'schedules' && byId(fixtures.schedules, id || '')) {
+      return send(200, { schedule: byId(fixtures.schedules, id) });
+    }
+    if (resource === 'incidents' && id && subresource === 'log_entries') {
+      return page('log_entries', fixtures.logEntries.filter(entry => entry.incident.id === decodeURIComponent(id)));
+    }
+    if (resource === 'incidents' && !id) {
+      const serviceIds = params.getAll('service_ids[]');
+      return page('incidents', fixtures.incidents.filter(incident =>
+        (serviceIds.length === 0 || serviceIds.includes(incident.service.id)) && inRange(incident.created_at)));
+    }
+    if (resource === 'log_entries' && !id) {
+      const teamIds = params.getAll('team_ids[]');
+      return page('log_entries', fixtures.logEntries.filter(entry =>
+        (teamIds.length === 0 || entry.teams.some(team => teamIds.includes(team.id))) && inRange(entry.created_at)));
+    }
+
+    return send(404, { error: { message: 'Not Found', code: 2100 } });
+  });
+}
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || DEFAULT_PORT;
+  createPagerDutyMockServer().listen(port, () => {
+    console.log(`📟 PagerDuty mock server listening on http://localhost:${port} (API key '${MOCK_API_KEY}')`);
+  });
+}
+
+module.exports = {
+  createPagerDutyMockServer,
+  buildFixtures,
+  MOCK_API_KEY
+};
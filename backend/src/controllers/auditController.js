@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const AuditService = require('../services/AuditService');
+
+const auditQueryValidators = [
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 timestamp'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 timestamp'),
+  query('action').optional().isString(),
+  query('userId').optional().isString()
+];
+
+/**
+ * GET /api/audit
+ * Audit log across all BIAs with time-range, action and user filters
+ */
+router.get('/', auditQueryValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const auditLog = await AuditService.getAuditLog(AuditService.parseFilters(req.query));
+    res.json(auditLog);
+  } catch (error) {
+    console.error('❌ Audit log error:', error);
+    res.status(500).json({ error: 'Failed to retrieve audit log' });
+  }
+});
+
+/**
+ * GET /api/audit/export?format=csv&from=2024-01-01&to=2024-12-31
+ * Export the audit log for regulator evidence reviews
+ */
+router.get('/export', [
+  ...auditQueryValidators,
+  query('format').optional().isIn(['json', 'csv']).withMessage('format must be json or csv')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { format = 'json' } = req.query;
+    const exported = await AuditService.exportLog(AuditService.parseFilters(req.query), format);
+
+    res.set('Content-Type', exported.contentType);
+    res.set('Content-Disposition', `attachment; filename="${exported.filename}"`);
+    res.send(exported.body);
+  } catch (error) {
+    console.error('❌ Audit export error:', error);
+    res.status(500).json({ error: 'Failed to export audit log' });
+  }
+});
+
+module.exports = router;
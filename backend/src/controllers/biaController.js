@@ -1,9 +1,32 @@
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const BIAService = require('../services/BIAService');
-const DataIntegrationService = require('../services/DataIntegrationService');
-const RoosterService = require('../services/RoosterService');
+const AuditService = require('../services/AuditService');
+const BIALifecycleService = require('../services/BIALifecycleService');
+const SectionOverrideService = require('../services/SectionOverrideService');
+const ChangeRequestService = require('../services/ChangeRequestService');
+const DependencyGraphService = require('../services/DependencyGraphService');
+const ConfidenceScoringService = require('../services/ConfidenceScoringService');
+const LineageService = require('../services/LineageService');
+const BIAImportService = require('../services/BIAImportService');
+const BIABatchGenerationService = require('../services/BIABatchGenerationService');
+const BIAGenerationService = require('../services/BIAGenerationService');
+const GenerationJobWorker = require('../services/GenerationJobWorker');
+const GenerationEventBus = require('../services/GenerationEventBus');
+const GenerationJobRepository = require('../models/GenerationJobRepository');
+const PdfExporter = require('../services/exporters/PdfExporter');
+const DocxExporter = require('../services/exporters/DocxExporter');
+const MarkdownExporter = require('../services/exporters/MarkdownExporter');
+const PortfolioExporter = require('../services/exporters/PortfolioExporter');
+const { ApplicationError } = require('../utils/errors');
+
+// Single-BIA export formats served from GET /api/bia/:id/export.<format>
+const DOCUMENT_EXPORTERS = {
+  pdf: { exporter: PdfExporter, contentType: 'application/pdf' },
+  docx: { exporter: DocxExporter, contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  md: { exporter: MarkdownExporter, contentType: 'text/markdown; charset=utf-8' }
+};
 
 /**
  * POST /api/bia/generate
@@ -11,11 +34,13 @@ const RoosterService = require('../services/RoosterService');
  */
 router.post('/generate', [
   body('functionName').notEmpty().withMessage('Function name is required'),
-  body('functionType').isIn(['product', 'platform', 'support', 'infrastructure', 'compliance'])
+  body('functionType').isIn(BIAService.FUNCTION_TYPES)
     .withMessage('Invalid function type'),
   body('driName').optional().isString(),
   body('driTeam').optional().isString(),
-  body('regionalOverlays').optional().isArray()
+  body('registryAppName').optional().isString().isLength({ max: 255 }),
+  body('regionalOverlays').optional().isArray(),
+  body('async').optional().isBoolean()
 ], async (req, res) => {
   try {
     // Validate input
@@ -24,60 +49,34 @@ router.post('/generate', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { functionName, functionType, driName, driTeam, regionalOverlays } = req.body;
-
-    console.log(`🔄 Generating BIA for: ${functionName}`);
-
-    // Step 1: Gather data from all sources
-    const dataGatheringPromises = [
-      DataIntegrationService.getRegistryData(functionName),
-      DataIntegrationService.getPagerDutyData(functionName),
-      DataIntegrationService.getHRData(driTeam),
-      DataIntegrationService.getFinancialData(functionName),
-      DataIntegrationService.getMonitoringData(functionName)
-    ];
-
-    const [registryData, pagerDutyData, hrData, financialData, monitoringData] = 
-      await Promise.allSettled(dataGatheringPromises);
-
-    // Step 2: Use Rooster for predictive analysis
-    const predictiveAnalysis = await RoosterService.generatePredictions(functionName, {
-      registryData: registryData.status === 'fulfilled' ? registryData.value : null,
-      monitoringData: monitoringData.status === 'fulfilled' ? monitoringData.value : null
-    });
-
-    // Step 3: Generate BIA document
-    const biaDocument = await BIAService.generateBIA({
+    const { functionName, functionType, driName, driTeam, registryAppName, regionalOverlays } = req.body;
+    const generationRequest = {
       functionName,
       functionType,
       driName,
       driTeam,
+      registryAppName,
       regionalOverlays,
-      autoPopulatedData: {
-        registry: registryData.status === 'fulfilled' ? registryData.value : null,
-        pagerDuty: pagerDutyData.status === 'fulfilled' ? pagerDutyData.value : null,
-        hr: hrData.status === 'fulfilled' ? hrData.value : null,
-        financial: financialData.status === 'fulfilled' ? financialData.value : null,
-        monitoring: monitoringData.status === 'fulfilled' ? monitoringData.value : null,
-        predictions: predictiveAnalysis
-      }
-    });
+      requestedBy: req.user
+    };
+
+    // Job mode: queue the pipeline and let the client poll for the result
+    if (req.body.async === true || req.query.mode === 'async') {
+      const job = await GenerationJobWorker.enqueue(generationRequest);
+      return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+        queuedAt: job.created_at
+      });
+    }
 
-    // Step 4: Check Fusion for existing records
-    const fusionCheck = await DataIntegrationService.checkFusionRecord(functionName);
+    const result = await BIAGenerationService.run(generationRequest);
 
     res.json({
       success: true,
-      bia: biaDocument,
-      fusionStatus: fusionCheck,
-      dataSourceStatus: {
-        registry: registryData.status,
-        pagerDuty: pagerDutyData.status,
-        hr: hrData.status,
-        financial: financialData.status,
-        monitoring: monitoringData.status
-      },
-      generatedAt: new Date().toISOString()
+      ...result
     });
 
   } catch (error) {
@@ -91,12 +90,25 @@ router.post('/generate', [
 });
 
 /**
- * POST /api/bia/approve
- * Approve and push BIA to Fusion
+ * POST /api/bia/generate/batch
+ * Queue BIA generations for a list of functions or a Registry filter; poll the returned batch
  */
-router.post('/approve', [
-  body('biaId').notEmpty().withMessage('BIA ID is required'),
-  body('comments').optional().isString()
+router.post('/generate/batch', [
+  body('functions').optional().isArray({ min: 1 }).withMessage('functions must be a non-empty array'),
+  body('functions.*.functionName').notEmpty().withMessage('Function name is required'),
+  body('functions.*.functionType').isIn(BIAService.FUNCTION_TYPES)
+    .withMessage('Invalid function type'),
+  body('functions.*.driName').optional().isString(),
+  body('functions.*.driTeam').optional().isString(),
+  body('functions.*.registryAppName').optional().isString().isLength({ max: 255 }),
+  body('filter').optional().isObject(),
+  body('filter.reliabilityTiers').optional().isArray(),
+  body('filter.reliabilityTiers.*').isString(),
+  body('filter.teamId').optional().isString(),
+  body('functionType').optional().isIn(BIAService.FUNCTION_TYPES)
+    .withMessage('Invalid function type'),
+  body('driName').optional().isString(),
+  body('regionalOverlays').optional().isArray()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -104,29 +116,342 @@ router.post('/approve', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { biaId, comments } = req.body;
+    const { functions, filter, functionType, driName, regionalOverlays } = req.body;
+    const batch = await BIABatchGenerationService.generate(
+      { functions, filter, functionType, driName, regionalOverlays },
+      { user: req.user }
+    );
+
+    res.status(202).json({
+      success: true,
+      ...batch,
+      statusUrl: `${req.baseUrl}/batches/${batch.batch_id}`
+    });
+
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('❌ Batch generation error:', error);
+    res.status(500).json({ error: 'Failed to generate BIA batch', message: error.message });
+  }
+});
+
+/**
+ * GET /api/bia/batches/:id
+ * Poll the per-function outcomes of a batch generation
+ */
+router.get('/batches/:id', async (req, res) => {
+  try {
+    const report = await BIABatchGenerationService.getBatch(req.params.id);
+    res.json(report);
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('❌ Get batch error:', error);
+    res.status(500).json({ error: 'Failed to retrieve batch' });
+  }
+});
+
+/**
+ * GET /api/bia/jobs/:id
+ * Poll the status of an asynchronous generation job
+ */
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await GenerationJobRepository.findById(req.params.id);
 
+    if (!job) {
+      return res.status(404).json({ error: 'Generation job not found' });
+    }
+
+    res.json({
+      ...job,
+      biaUrl: job.result_bia_id ? `${req.baseUrl}/${job.result_bia_id}` : null
+    });
+  } catch (error) {
+    console.error('❌ Get generation job error:', error);
+    res.status(500).json({ error: 'Failed to retrieve generation job' });
+  }
+});
+
+/**
+ * GET /api/bia/jobs/:id/events
+ * Server-Sent Events stream of a generation job's step events
+ */
+router.get('/jobs/:id/events', async (req, res) => {
+  let job;
+  try {
+    job = await GenerationJobRepository.findById(req.params.id);
+  } catch (error) {
+    console.error('❌ Generation job events error:', error);
+    return res.status(500).json({ error: 'Failed to retrieve generation job' });
+  }
+
+  if (!job) {
+    return res.status(404).json({ error: 'Generation job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps the compression middleware from buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const TERMINAL_EVENTS = ['completed', 'failed'];
+  const lastEventId = String(req.get('Last-Event-ID') || '').split(':');
+  let attempt = parseInt(lastEventId[0], 10) || 0;
+  let lastSeq = parseInt(lastEventId[1], 10) || 0;
+  let finished = false;
+
+  const send = event => {
+    if (finished) return;
+    if (event.attempt !== attempt) {
+      // The job was retried after a restart; its event log starts over
+      if (event.attempt < attempt) return;
+      attempt = event.attempt;
+      lastSeq = 0;
+    }
+    if (event.seq <= lastSeq) return;
+
+    lastSeq = event.seq;
+    res.write(`id: ${event.attempt}:${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    if (TERMINAL_EVENTS.includes(event.type)) finish();
+  };
+
+  // Events from a worker on another instance only arrive through the job row
+  const syncFromJob = currentJob => {
+    (currentJob.events || []).sort((a, b) => a.seq - b.seq).forEach(send);
+
+    const hasTerminalEvent = (currentJob.events || []).some(event => TERMINAL_EVENTS.includes(event.type));
+    if (!finished && TERMINAL_EVENTS.includes(currentJob.status) && !hasTerminalEvent) {
+      send(currentJob.status === 'completed'
+        ? { type: 'completed', bia_id: currentJob.result_bia_id, progress: 100, attempt: currentJob.attempts, seq: lastSeq + 1 }
+        : { type: 'failed', error: currentJob.error_message, attempt: currentJob.attempts, seq: lastSeq + 1 });
+    }
+  };
+
+  const unsubscribe = GenerationEventBus.subscribe(job.id, send);
+  const pollTimer = setInterval(async () => {
+    try {
+      const currentJob = await GenerationJobRepository.findById(job.id);
+      if (currentJob) syncFromJob(currentJob);
+    } catch (error) {
+      console.warn(`⚠️ Generation job event poll failed for ${job.id}:`, error.message);
+    }
+  }, 1000);
+  const keepAliveTimer = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  function finish() {
+    finished = true;
+    unsubscribe();
+    clearInterval(pollTimer);
+    clearInterval(keepAliveTimer);
+    res.end();
+  }
+
+  req.on('close', () => {
+    if (!finished) finish();
+  });
+
+  syncFromJob(job);
+});
+
+/**
+ * Approve a pending BIA and push it to Fusion
+ */
+async function approveAndPush(biaId, comments, req, res) {
+  try {
     console.log(`✅ Approving BIA: ${biaId}`);
 
-    // Push to Fusion
-    const fusionResult = await DataIntegrationService.pushToFusion(biaId, comments);
+    const bia = await BIALifecycleService.transition(biaId, 'approve', { user: req.user, comments });
 
-    // Update BIA status
-    await BIAService.updateBIAStatus(biaId, 'approved', comments);
+    // Push to Fusion now that the BIA is approved
+    const fusionResult = await BIAService.pushToFusion(bia.id, comments, req.user);
 
     res.json({
       success: true,
+      bia: { id: bia.id, status: bia.status, approved_by: bia.approved_by },
       fusionRecord: fusionResult,
-      approvedAt: new Date().toISOString()
+      approvedAt: bia.approved_at
     });
 
   } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     console.error('❌ BIA Approval Error:', error);
     res.status(500).json({
       error: 'Failed to approve BIA',
       message: error.message
     });
   }
+}
+
+/**
+ * POST /api/bia/approve
+ * Approve and push BIA to Fusion
+ */
+router.post('/approve', [
+  body('biaId').notEmpty().withMessage('BIA ID is required'),
+  body('comments').optional().isString()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  await approveAndPush(req.body.biaId, req.body.comments, req, res);
+});
+
+/**
+ * POST /api/bia/:id/approve
+ * Approve and push BIA to Fusion
+ */
+router.post('/:id/approve', [
+  body('comments').optional().isString()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  await approveAndPush(req.params.id, req.body.comments, req, res);
+});
+
+/**
+ * Route handler applying a lifecycle transition to /:id
+ */
+function lifecycleHandler(transitionName) {
+  return async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const bia = await BIALifecycleService.transition(req.params.id, transitionName, {
+        user: req.user,
+        comments: req.body.comments
+      });
+
+      res.json({
+        success: true,
+        bia: { id: bia.id, status: bia.status, version: bia.version },
+        allowedTransitions: BIALifecycleService.getAllowedTransitions(bia.status),
+        updatedAt: bia.updated_at
+      });
+
+    } catch (error) {
+      if (error instanceof ApplicationError) {
+        return res.status(error.statusCode).json(error.toJSON());
+      }
+      console.error(`❌ BIA ${transitionName} error:`, error);
+      res.status(500).json({
+        error: `Failed to ${transitionName.replace(/_/g, ' ')} BIA`,
+        message: error.message
+      });
+    }
+  };
+}
+
+/**
+ * POST /api/bia/:id/submit
+ * Submit a draft BIA for review
+ */
+router.post('/:id/submit', [
+  body('comments').optional().isString()
+], lifecycleHandler('submit'));
+
+/**
+ * POST /api/bia/:id/reject
+ * Reject a BIA pending approval
+ */
+router.post('/:id/reject', [
+  body('comments').notEmpty().withMessage('A rejection reason is required')
+], lifecycleHandler('reject'));
+
+/**
+ * POST /api/bia/:id/return-to-draft
+ * Return a pending or rejected BIA to draft for rework
+ */
+router.post('/:id/return-to-draft', [
+  body('comments').optional().isString()
+], lifecycleHandler('return_to_draft'));
+
+/**
+ * POST /api/bia/:id/archive
+ * Archive a BIA
+ */
+router.post('/:id/archive', [
+  body('comments').optional().isString()
+], lifecycleHandler('archive'));
+
+/**
+ * GET /api/bia/export?format=xlsx&status=approved
+ * Portfolio export, one row per BIA, with the same filters as GET /api/bia
+ */
+router.get('/export', [
+  query('format').optional().isIn(PortfolioExporter.FORMATS)
+    .withMessage(`format must be one of: ${PortfolioExporter.FORMATS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { format = 'csv', status, functionType, limit, offset } = req.query;
+    const bias = await BIAService.getPortfolio({ status, functionType, limit, offset });
+    const exported = await PortfolioExporter.render(bias, format);
+
+    res.set('Content-Type', exported.contentType);
+    res.set('Content-Disposition', `attachment; filename="${exported.filename}"`);
+    res.send(exported.body);
+  } catch (error) {
+    console.error('❌ Portfolio export error:', error);
+    res.status(500).json({ error: 'Failed to export BIA portfolio' });
+  }
+});
+
+/**
+ * POST /api/bia/import?dryRun=true&mapping=legacy_spreadsheet
+ * Bulk import legacy BIAs as drafts. Accepts a raw text/csv body or JSON
+ * { csv | records, mapping, dryRun }; invalid rows are reported, not imported.
+ */
+router.post('/import', express.text({ type: 'text/csv', limit: '10mb' }), [
+  query('dryRun').optional().isBoolean(),
+  query('mapping').optional().isString(),
+  body('csv').optional().isString(),
+  body('records').optional().isArray(),
+  body('dryRun').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const isCSVBody = typeof req.body === 'string';
+    const input = isCSVBody ? { csv: req.body } : { csv: req.body.csv, records: req.body.records };
+    const mapping = (isCSVBody ? undefined : req.body.mapping) || req.query.mapping;
+    const dryRun = (isCSVBody ? undefined : req.body.dryRun) ?? req.query.dryRun === 'true';
+
+    const report = await BIAImportService.importBIAs({ ...input, mapping, dryRun }, { user: req.user });
+
+    res.status(report.imported > 0 ? 201 : 200).json({ success: true, report });
+
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('❌ Legacy import error:', error);
+    res.status(500).json({ error: 'Failed to import BIAs', message: error.message });
+  }
 });
 
 /**
@@ -149,6 +474,364 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/bia/:id/export.pdf|docx|md
+ * Render the stored BIA as a paginated PDF for the BCM committee, an editable
+ * Word document, or Markdown
+ */
+router.get('/:id/export.:format(pdf|docx|md)', async (req, res) => {
+  try {
+    const bia = await BIAService.getBIAById(req.params.id);
+    if (!bia) {
+      return res.status(404).json({ error: 'BIA not found' });
+    }
+
+    const { exporter, contentType } = DOCUMENT_EXPORTERS[req.params.format];
+    console.log(`📄 Exporting BIA ${bia.id} (v${bia.version}) as ${req.params.format}`);
+    const body = await exporter.render(bia);
+
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${exporter.filename(bia)}"`);
+    res.send(body);
+  } catch (error) {
+    console.error('❌ BIA export error:', error);
+    res.status(500).json({ error: `Failed to export BIA as ${req.params.format}` });
+  }
+});
+
+/**
+ * GET /api/bia/:id/versions
+ * List every version of the function this BIA belongs to
+ */
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const history = await BIAService.getVersionHistory(req.params.id);
+
+    if (!history) {
+      return res.status(404).json({ error: 'BIA not found' });
+    }
+
+    res.json(history);
+  } catch (error) {
+    console.error('❌ BIA versions error:', error);
+    res.status(500).json({ error: 'Failed to retrieve BIA versions' });
+  }
+});
+
+/**
+ * GET /api/bia/:id/diff?from=1.0&to=2.0
+ * Section-by-section diff between two versions of a BIA
+ */
+router.get('/:id/diff', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const diff = await BIAService.compareVersions(req.params.id, { from, to });
+
+    if (!diff) {
+      return res.status(404).json({ error: 'BIA not found' });
+    }
+
+    if (diff.error) {
+      return res.status(404).json(diff);
+    }
+
+    res.json(diff);
+  } catch (error) {
+    console.error('❌ BIA diff error:', error);
+    res.status(500).json({ error: 'Failed to compare BIA versions' });
+  }
+});
+
+/**
+ * GET /api/bia/:id/dependencies?depth=3
+ * Transitive upstream/downstream dependencies with RTO/RPO consistency checks
+ */
+router.get('/:id/dependencies', [
+  query('depth').optional().isInt({ min: 1, max: DependencyGraphService.DEFAULT_MAX_DEPTH }).toInt()
+    .withMessage(`depth must be between 1 and ${DependencyGraphService.DEFAULT_MAX_DEPTH}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const graph = await DependencyGraphService.getDependencies(req.params.id, { maxDepth: req.query.depth });
+    res.json(graph);
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('❌ BIA dependencies error:', error);
+    res.status(500).json({ error: 'Failed to build BIA dependency graph' });
+  }
+});
+
+/**
+ * GET /api/bia/:id/confidence
+ * Rescore a BIA's confidence as of now, with the per-section and per-field breakdown
+ */
+router.get('/:id/confidence', async (req, res) => {
+  try {
+    const result = await ConfidenceScoringService.getConfidence(req.params.id);
+    res.json(result);
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('❌ BIA confidence error:', error);
+    res.status(500).json({ error: 'Failed to score BIA confidence' });
+  }
+});
+
+/**
+ * GET /api/bia/:id/lineage
+ * Where each auto-populated value came from: connector, request, fetch time,
+ * raw source value and transformation. `?field=` narrows it to one field path.
+ */
+router.get('/:id/lineage', [
+  query('field').optional().isString().trim().notEmpty().withMessage('field must be a field path')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const lineage = await LineageService.getLineage(req.params.id, { field: req.query.field });
+    res.json(lineage);
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('❌ BIA lineage error:', error);
+    res.status(500).json({ error: 'Failed to retrieve BIA lineage' });
+  }
+});
+
+/**
+ * PATCH /api/bia/:id/sections/:section
+ * Edit fields of an auto-populated section; edited fields become manual overrides
+ */
+router.patch('/:id/sections/:section', [
+  body('values').isObject().withMessage('values must be an object of field paths to new values')
+    .custom(values => Object.keys(values).length > 0).withMessage('values must not be empty'),
+  body('reason').notEmpty().withMessage('A reason for the override is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id, section } = req.params;
+    const { values, reason } = req.body;
+
+    console.log(`✏️ Editing BIA ${id} section: ${section}`);
+
+    const bia = await SectionOverrideService.editSection(id, section, values, { user: req.user, reason });
+
+    res.json({
+      success: true,
+      biaId: bia.id,
+      section,
+      [section]: bia[section],
+      updatedAt: bia.updated_at
+    });
+
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('❌ BIA section edit error:', error);
+    res.status(500).json({ error: 'Failed to edit BIA section', message: error.message });
+  }
+});
+
+/**
+ * GET /api/bia/:id/conflicts
+ * Open disagreements between manual overrides and refreshed source values
+ */
+router.get('/:id/conflicts', async (req, res) => {
+  try {
+    const bia = await BIAService.getBIAById(req.params.id);
+    if (!bia) {
+      return res.status(404).json({ error: 'BIA not found' });
+    }
+
+    const conflicts = SectionOverrideService.listConflicts(bia);
+    res.json({ bia_id: bia.id, version: bia.version, conflicts, total: conflicts.length });
+  } catch (error) {
+    console.error('❌ BIA conflicts error:', error);
+    res.status(500).json({ error: 'Failed to retrieve override conflicts' });
+  }
+});
+
+/**
+ * POST /api/bia/:id/sections/:section/conflicts/resolve
+ * Keep the manual value or accept the refreshed source value for a conflicting field
+ */
+router.post('/:id/sections/:section/conflicts/resolve', [
+  body('field').notEmpty().withMessage('field is required'),
+  body('resolution').isIn(SectionOverrideService.RESOLUTIONS)
+    .withMessage(`resolution must be one of: ${SectionOverrideService.RESOLUTIONS.join(', ')}`),
+  body('reason').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id, section } = req.params;
+    const { field, resolution, reason } = req.body;
+
+    const bia = await SectionOverrideService.resolveConflict(id, section, field, resolution, { user: req.user, reason });
+
+    res.json({
+      success: true,
+      biaId: bia.id,
+      section,
+      field,
+      resolution,
+      [section]: bia[section]
+    });
+
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('❌ BIA conflict resolution error:', error);
+    res.status(500).json({ error: 'Failed to resolve override conflict', message: error.message });
+  }
+});
+
+/**
+ * POST /api/bia/:id/change-requests
+ * Raise per-section change requests; the BIA returns to draft while they are open
+ */
+router.post('/:id/change-requests', [
+  body('items').isArray({ min: 1 }).withMessage('items must be a non-empty array'),
+  body('items.*.section').isIn(SectionOverrideService.EDITABLE_SECTIONS)
+    .withMessage(`section must be one of: ${SectionOverrideService.EDITABLE_SECTIONS.join(', ')}`),
+  body('items.*.action').isIn(ChangeRequestService.ITEM_ACTIONS)
+    .withMessage(`action must be one of: ${ChangeRequestService.ITEM_ACTIONS.join(', ')}`),
+  body('items.*.content').isString().trim().notEmpty().withMessage('content is required'),
+  body('assignee').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { items, assignee } = req.body;
+    const result = await ChangeRequestService.create(req.params.id, { items, assignee }, { user: req.user });
+
+    res.status(201).json({
+      success: true,
+      changeRequest: result.change_request,
+      biaStatus: result.bia_status
+    });
+
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('❌ Change request error:', error);
+    res.status(500).json({ error: 'Failed to create change request', message: error.message });
+  }
+});
+
+/**
+ * GET /api/bia/:id/change-requests?status=open
+ * Change requests raised against a BIA
+ */
+router.get('/:id/change-requests', [
+  query('status').optional().isIn(ChangeRequestService.STATUSES)
+    .withMessage(`status must be one of: ${ChangeRequestService.STATUSES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const bia = await BIAService.getBIAById(req.params.id);
+    if (!bia) {
+      return res.status(404).json({ error: 'BIA not found' });
+    }
+
+    const { status, limit, offset } = req.query;
+    const changeRequests = await ChangeRequestService.listForBIA(bia.id, { status, limit, offset });
+    res.json(changeRequests);
+  } catch (error) {
+    console.error('❌ BIA change requests error:', error);
+    res.status(500).json({ error: 'Failed to retrieve change requests' });
+  }
+});
+
+const auditQueryValidators = [
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 timestamp'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 timestamp'),
+  query('action').optional().isString()
+];
+
+/**
+ * GET /api/bia/:id/audit
+ * Audit trail for a BIA with time-range and action filters
+ */
+router.get('/:id/audit', auditQueryValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const bia = await BIAService.getBIAById(req.params.id);
+    if (!bia) {
+      return res.status(404).json({ error: 'BIA not found' });
+    }
+
+    const auditTrail = await AuditService.getAuditTrail(bia.id, AuditService.parseFilters(req.query));
+    res.json({ bia_id: bia.id, function_name: bia.function_name, ...auditTrail });
+  } catch (error) {
+    console.error('❌ BIA audit trail error:', error);
+    res.status(500).json({ error: 'Failed to retrieve audit trail' });
+  }
+});
+
+/**
+ * GET /api/bia/:id/audit/export?format=csv
+ * Export a BIA's audit trail
+ */
+router.get('/:id/audit/export', [
+  ...auditQueryValidators,
+  query('format').optional().isIn(['json', 'csv']).withMessage('format must be json or csv')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const bia = await BIAService.getBIAById(req.params.id);
+    if (!bia) {
+      return res.status(404).json({ error: 'BIA not found' });
+    }
+
+    const { format = 'json' } = req.query;
+    const exported = await AuditService.exportLog({ ...AuditService.parseFilters(req.query), biaId: bia.id }, format);
+
+    res.set('Content-Type', exported.contentType);
+    res.set('Content-Disposition', `attachment; filename="${exported.filename}"`);
+    res.send(exported.body);
+  } catch (error) {
+    console.error('❌ BIA audit export error:', error);
+    res.status(500).json({ error: 'Failed to export audit trail' });
+  }
+});
+
 /**
  * GET /api/bia
  * List all BIAs with optional filtering
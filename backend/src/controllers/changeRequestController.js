@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const ChangeRequestService = require('../services/ChangeRequestService');
+const { ApplicationError } = require('../utils/errors');
+
+/**
+ * GET /api/change-requests?assignee=Sarah%20Chen&status=open
+ * Outstanding change requests across BIAs; defaults to open requests
+ */
+router.get('/', [
+  query('assignee').optional().isString(),
+  query('status').optional().isIn(ChangeRequestService.STATUSES)
+    .withMessage(`status must be one of: ${ChangeRequestService.STATUSES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { assignee, status, limit, offset } = req.query;
+    const changeRequests = await ChangeRequestService.listOutstanding({
+      assignee,
+      ...(status && { status }),
+      limit,
+      offset
+    });
+    res.json(changeRequests);
+  } catch (error) {
+    console.error('❌ Change request list error:', error);
+    res.status(500).json({ error: 'Failed to retrieve change requests' });
+  }
+});
+
+/**
+ * GET /api/change-requests/:id
+ * A change request with its threaded comments
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const changeRequest = await ChangeRequestService.getChangeRequest(req.params.id);
+    if (!changeRequest) {
+      return res.status(404).json({ error: 'Change request not found' });
+    }
+
+    res.json(changeRequest);
+  } catch (error) {
+    console.error('❌ Change request retrieval error:', error);
+    res.status(500).json({ error: 'Failed to retrieve change request' });
+  }
+});
+
+/**
+ * POST /api/change-requests/:id/comments
+ * Comment on a change request, or reply to a comment with parentCommentId
+ */
+router.post('/:id/comments', [
+  body('body').isString().trim().notEmpty().withMessage('Comment body is required'),
+  body('parentCommentId').optional().isUUID().withMessage('parentCommentId must be a comment ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { body: commentBody, parentCommentId } = req.body;
+    const comment = await ChangeRequestService.addComment(req.params.id, {
+      body: commentBody,
+      parentCommentId
+    }, { user: req.user });
+
+    res.status(201).json({ success: true, comment });
+
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('❌ Change request comment error:', error);
+    res.status(500).json({ error: 'Failed to add comment', message: error.message });
+  }
+});
+
+/**
+ * POST /api/change-requests/:id/resolve
+ * Mark a change request addressed or rejected
+ */
+router.post('/:id/resolve', [
+  body('status').isIn(ChangeRequestService.RESOLUTION_STATUSES)
+    .withMessage(`status must be one of: ${ChangeRequestService.RESOLUTION_STATUSES.join(', ')}`),
+  body('comments').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, comments } = req.body;
+    const result = await ChangeRequestService.resolve(req.params.id, status, { user: req.user, comments });
+
+    res.json({
+      success: true,
+      changeRequest: result.change_request,
+      openChangeRequests: result.open_change_requests
+    });
+
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('❌ Change request resolution error:', error);
+    res.status(500).json({ error: 'Failed to resolve change request', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,11 @@
 const express = require('express');
 const router = express.Router();
+const { query, validationResult } = require('express-validator');
 const DataIntegrationService = require('../services/DataIntegrationService');
+const ConnectorRegistry = require('../services/ConnectorRegistry');
+const ConnectorCache = require('../services/ConnectorCache');
+const ResilienceService = require('../services/ResilienceService');
+const { ApplicationError, NotFoundError } = require('../utils/errors');
 
 /**
  * GET /api/data-sources/health
@@ -17,77 +22,49 @@ router.get('/health', async (req, res) => {
 });
 
 /**
- * GET /api/data-sources/registry/:functionName
- * Get Registry data for a specific function
+ * GET /api/data-sources/connectors
+ * List registered connectors with their status, config schema and redacted settings
  */
-router.get('/registry/:functionName', async (req, res) => {
-  try {
-    const { functionName } = req.params;
-    const data = await DataIntegrationService.getRegistryData(functionName);
-    res.json(data);
-  } catch (error) {
-    console.error('❌ Registry data error:', error);
-    res.status(500).json({ error: 'Failed to fetch Registry data' });
-  }
+router.get('/connectors', (req, res) => {
+  res.json({ connectors: ConnectorRegistry.describe() });
 });
 
 /**
- * GET /api/data-sources/pagerduty/:functionName
- * Get PagerDuty data for a specific function
+ * GET /api/data-sources/connectors/:connector
+ * Describe a single connector
  */
-router.get('/pagerduty/:functionName', async (req, res) => {
+router.get('/connectors/:connector', (req, res) => {
   try {
-    const { functionName } = req.params;
-    const data = await DataIntegrationService.getPagerDutyData(functionName);
-    res.json(data);
-  } catch (error) {
-    console.error('❌ PagerDuty data error:', error);
-    res.status(500).json({ error: 'Failed to fetch PagerDuty data' });
-  }
-});
-
-/**
- * GET /api/data-sources/hr/:teamName
- * Get HR data for a specific team
- */
-router.get('/hr/:teamName', async (req, res) => {
-  try {
-    const { teamName } = req.params;
-    const data = await DataIntegrationService.getHRData(teamName);
-    res.json(data);
-  } catch (error) {
-    console.error('❌ HR data error:', error);
-    res.status(500).json({ error: 'Failed to fetch HR data' });
-  }
-});
-
-/**
- * GET /api/data-sources/financial/:functionName
- * Get financial impact data for a specific function
- */
-router.get('/financial/:functionName', async (req, res) => {
-  try {
-    const { functionName } = req.params;
-    const data = await DataIntegrationService.getFinancialData(functionName);
-    res.json(data);
+    res.json(ConnectorRegistry.describe(req.params.connector));
   } catch (error) {
-    console.error('❌ Financial data error:', error);
-    res.status(500).json({ error: 'Failed to fetch financial data' });
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('❌ Connector describe error:', error);
+    res.status(500).json({ error: 'Failed to describe connector' });
   }
 });
 
 /**
- * GET /api/data-sources/monitoring/:functionName
- * Get monitoring data for a specific function
+ * GET /api/data-sources/connectors/:connector/health
+ * Health check of a single enabled connector
  */
-router.get('/monitoring/:functionName', async (req, res) => {
+router.get('/connectors/:connector/health', async (req, res) => {
   try {
-    const { functionName } = req.params;
-    const data = await DataIntegrationService.getMonitoringData(functionName);
-    res.json(data);
+    const connector = ConnectorRegistry.get(req.params.connector);
+    const { timeoutMs } = ResilienceService.getPolicy(connector.id);
+    const health = await ResilienceService.withTimeout(connector.id, signal => connector.health({ signal }), timeoutMs);
+    res.json({ id: connector.id, ...health });
   } catch (error) {
-    console.error('❌ Monitoring data error:', error);
-    res.status(500).json({ error: 'Failed to fetch monitoring data' });
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('❌ Connector health error:', error);
+    res.status(503).json({
+      status: 'error',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
   }
 });
 
@@ -98,28 +75,19 @@ router.get('/monitoring/:functionName', async (req, res) => {
 router.post('/test-connection', async (req, res) => {
   try {
     const { dataSource, functionName } = req.body;
-    
-    let result;
-    switch (dataSource) {
-      case 'registry':
-        result = await DataIntegrationService.getRegistryData(functionName || 'test');
-        break;
-      case 'pagerduty':
-        result = await DataIntegrationService.getPagerDutyData(functionName || 'test');
-        break;
-      case 'hr':
-        result = await DataIntegrationService.getHRData(functionName || 'test');
-        break;
-      case 'financial':
-        result = await DataIntegrationService.getFinancialData(functionName || 'test');
-        break;
-      case 'monitoring':
-        result = await DataIntegrationService.getMonitoringData(functionName || 'test');
-        break;
-      default:
-        return res.status(400).json({ error: 'Invalid data source' });
+
+    if (!ConnectorRegistry.has(dataSource)) {
+      return res.status(400).json({
+        error: 'Invalid data source',
+        data_sources: ConnectorRegistry.list({ includeDisabled: true }).map(connector => connector.id)
+      });
     }
 
+    // Bypasses the cache and retries, but keeps the source's timeout and circuit breaker
+    const connector = ConnectorRegistry.get(dataSource);
+    const result = await ResilienceService.execute(connector.id, ({ signal }) =>
+      connector.fetch(functionName || 'test', undefined, { signal }));
+
     res.json({
       success: true,
       dataSource,
@@ -128,6 +96,9 @@ router.post('/test-connection', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json({ success: false, ...error.toJSON() });
+    }
     console.error('❌ Connection test error:', error);
     res.status(500).json({
       success: false,
@@ -143,43 +114,22 @@ router.post('/test-connection', async (req, res) => {
  */
 router.get('/integration-status', async (req, res) => {
   try {
-    const status = {
-      registry: {
-        name: 'Registry (Snowflake)',
-        status: 'scaffolding',
-        description: 'Ready for Goose Snowflake extension integration',
-        integration_notes: 'Use Goose built-in Snowflake extension to query Registry data'
-      },
-      pagerduty: {
-        name: 'PagerDuty API',
-        status: 'scaffolding',
-        description: 'Ready for PagerDuty API integration',
-        integration_notes: 'Requires PagerDuty API key and service configuration'
-      },
-      hr: {
-        name: 'HR Systems',
-        status: 'scaffolding',
-        description: 'Ready for HR/LDAP integration',
-        integration_notes: 'Requires HR system API credentials and endpoints'
-      },
-      financial: {
-        name: 'Financial Systems',
-        status: 'scaffolding',
-        description: 'Ready for financial analytics integration',
-        integration_notes: 'Requires access to revenue dashboards and analytics APIs'
-      },
-      monitoring: {
-        name: 'Monitoring Systems',
-        status: 'scaffolding',
-        description: 'Ready for monitoring platform integration',
-        integration_notes: 'Requires Datadog/monitoring system API credentials'
-      },
-      fusion: {
-        name: 'Fusion MCP',
-        status: 'partial',
-        description: 'Existing Fusion MCP components available',
-        integration_notes: 'Leverage existing Fusion integration at ~/fusion_integration/'
-      }
+    const status = {};
+    ConnectorRegistry.describe().forEach(connector => {
+      status[connector.id] = {
+        name: connector.name,
+        status: connector.status === ConnectorRegistry.CONNECTOR_STATUSES.ENABLED
+          ? connector.integration?.status || 'integrated'
+          : connector.status,
+        description: connector.description,
+        integration_notes: connector.integration?.notes || null
+      };
+    });
+    status.fusion = {
+      name: 'Fusion MCP',
+      status: 'partial',
+      description: 'Existing Fusion MCP components available',
+      integration_notes: 'Leverage existing Fusion integration at ~/fusion_integration/'
     };
 
     res.json({
@@ -201,4 +151,145 @@ router.get('/integration-status', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/data-sources/cache
+ * Cache backend, per-source TTLs and hit counters
+ */
+router.get('/cache', async (req, res) => {
+  try {
+    const stats = await ConnectorCache.getStats();
+    res.json(stats);
+  } catch (error) {
+    console.error('❌ Cache stats error:', error);
+    res.status(500).json({ error: 'Failed to get cache stats' });
+  }
+});
+
+/**
+ * DELETE /api/data-sources/cache
+ * DELETE /api/data-sources/cache/:connector
+ * DELETE /api/data-sources/cache/:connector/:subject
+ * Invalidate cached connector responses
+ */
+router.delete('/cache/:connector?/:subject?', async (req, res) => {
+  try {
+    const { connector, subject } = req.params;
+    if (connector && !ConnectorRegistry.has(connector)) {
+      throw new NotFoundError(`Unknown data source: ${connector}`);
+    }
+
+    const result = await ConnectorCache.invalidate({ connectorId: connector, subject });
+    res.json({
+      success: true,
+      connector: connector || null,
+      subject: subject || null,
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('❌ Cache invalidation error:', error);
+    res.status(500).json({ error: 'Failed to invalidate cache' });
+  }
+});
+
+/**
+ * GET /api/data-sources/registry/search?q=payments&limit=10
+ * Registry applications matching a name, ranked by match score, so the DRI
+ * can confirm the exact application before generation
+ */
+router.get('/registry/search', [
+  query('q').trim().notEmpty().withMessage('q is required').isLength({ max: 255 }),
+  query('limit').optional().isInt({ min: 1, max: 25 }).withMessage('limit must be an integer from 1 to 25')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const registry = ConnectorRegistry.get('registry');
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+    const { candidates, total, driver } = await ResilienceService.execute(
+      registry.id,
+      ({ signal }) => registry.search(req.query.q, { limit, signal }),
+      { idempotent: true }
+    );
+
+    res.json({
+      query: req.query.q,
+      candidates: candidates.map(({ application, match_score, matched_on }) => ({
+        app_name: application.app_name,
+        description: application.description,
+        team_id: application.team_id,
+        reliability_tier: application.reliability_tier,
+        slack_channel: application.slack_channel,
+        match_score,
+        matched_on
+      })),
+      total,
+      driver
+    });
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('❌ Registry search error:', error);
+    res.status(500).json({ error: 'Failed to search the Registry' });
+  }
+});
+
+/**
+ * GET /api/data-sources/registry/fan-out/:appName?depth=2
+ * Registry applications that depend on an application, directly or transitively
+ */
+router.get('/registry/fan-out/:appName', [
+  query('depth').optional().isInt({ min: 1, max: 5 }).withMessage('depth must be an integer from 1 to 5')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const registry = ConnectorRegistry.get('registry');
+    const depth = req.query.depth ? parseInt(req.query.depth, 10) : undefined;
+    const fanOut = await ResilienceService.execute(
+      registry.id,
+      ({ signal }) => registry.findDependencyFanOut(req.params.appName, { depth, signal }),
+      { idempotent: true }
+    );
+    res.json(fanOut);
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('❌ Registry fan-out error:', error);
+    res.status(500).json({ error: 'Failed to look up Registry dependency fan-out' });
+  }
+});
+
+/**
+ * GET /api/data-sources/:connector/:subject
+ * Fetch a connector's data for a subject, e.g. /registry/:functionName or /hr/:teamName.
+ * Served through the cache; `?refresh=true` refetches from the source.
+ */
+router.get('/:connector/:subject', async (req, res) => {
+  try {
+    const connector = ConnectorRegistry.get(req.params.connector);
+    const data = await ConnectorCache.fetch(connector, req.params.subject, { fresh: req.query.refresh === 'true' });
+    if (data?.cache) {
+      res.set('X-Cache', data.cache.status.toUpperCase());
+    }
+    res.json(data);
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error(`❌ ${req.params.connector} data error:`, error);
+    res.status(500).json({ error: `Failed to fetch ${req.params.connector} data` });
+  }
+});
+
 module.exports = router;
@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const DataIntegrationService = require('../services/DataIntegrationService');
+const BIAService = require('../services/BIAService');
+const BIALifecycleService = require('../services/BIALifecycleService');
+const { ApplicationError } = require('../utils/errors');
 
 /**
  * GET /api/fusion/check/:functionName
@@ -48,8 +51,8 @@ router.post('/push', [
     
     console.log(`⬆️ Pushing BIA to Fusion: ${biaId} (${functionName})`);
 
-    // Push to Fusion using existing MCP integration
-    const fusionResult = await DataIntegrationService.pushToFusion(biaId, comments);
+    // Push to Fusion using existing MCP integration (approved BIAs only)
+    const fusionResult = await BIAService.pushToFusion(biaId, comments, req.user);
 
     res.json({
       success: true,
@@ -60,6 +63,9 @@ router.post('/push', [
     });
 
   } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     console.error('❌ Fusion push error:', error);
     res.status(500).json({
       success: false,
@@ -132,6 +138,10 @@ router.post('/sync', [
     
     console.log(`🔄 Syncing BIA with Fusion: ${biaId} (${direction})`);
 
+    if (direction !== 'pull') {
+      await BIALifecycleService.getPushableBIA(biaId);
+    }
+
     // TODO: Implement actual bi-directional sync with Fusion MCP
     // This would use the existing Fusion integration components
     
@@ -155,6 +165,9 @@ router.post('/sync', [
     });
 
   } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     console.error('❌ Fusion sync error:', error);
     res.status(500).json({
       success: false,
@@ -1,7 +1,11 @@
 const express = require('express');
 const router = express.Router();
+const { query, validationResult } = require('express-validator');
 const DataIntegrationService = require('../services/DataIntegrationService');
 const RoosterService = require('../services/RoosterService');
+const ConnectorRegistry = require('../services/ConnectorRegistry');
+const HealthMonitorService = require('../services/HealthMonitorService');
+const { ApplicationError } = require('../utils/errors');
 
 /**
  * GET /api/health
@@ -79,6 +83,31 @@ router.get('/data-sources', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/health/data-sources/history?source=pagerduty&limit=50
+ * Probed health per data source with uptime over 24h, 7d and 30d
+ */
+router.get('/data-sources/history', [
+  query('source').optional().isString(),
+  query('limit').optional().isInt({ min: 1 }).withMessage('limit must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const history = await HealthMonitorService.getHistory({ source: req.query.source, limit: req.query.limit });
+    res.json(history);
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('❌ Data source health history error:', error);
+    res.status(500).json({ error: 'Failed to retrieve data source health history' });
+  }
+});
+
 /**
  * GET /api/health/rooster
  * Rooster prediction engine health check
@@ -103,9 +132,9 @@ router.get('/rooster', async (req, res) => {
  */
 router.get('/readiness', async (req, res) => {
   try {
-    // Quick readiness check - just verify core services are responding
+    // Quick readiness check - just verify enabled connectors and Rooster are responding
     const checks = await Promise.allSettled([
-      DataIntegrationService.checkRegistryHealth(),
+      ...ConnectorRegistry.list().map(connector => connector.health()),
       RoosterService.getServiceHealth()
     ]);
 
@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const BIARefreshService = require('../services/BIARefreshService');
+const { ApplicationError } = require('../utils/errors');
+
+/**
+ * GET /api/refresh/runs
+ * Summaries of past refresh runs, newest first
+ */
+router.get('/runs', async (req, res) => {
+  try {
+    const { limit, offset } = req.query;
+    const runs = await BIARefreshService.listRuns({ limit, offset });
+    res.json(runs);
+  } catch (error) {
+    console.error('❌ Refresh run list error:', error);
+    res.status(500).json({ error: 'Failed to retrieve refresh runs' });
+  }
+});
+
+/**
+ * GET /api/refresh/runs/:id
+ * A refresh run with its per-BIA results
+ */
+router.get('/runs/:id', async (req, res) => {
+  try {
+    const run = await BIARefreshService.getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Refresh run not found' });
+    }
+
+    res.json(run);
+  } catch (error) {
+    console.error('❌ Refresh run retrieval error:', error);
+    res.status(500).json({ error: 'Failed to retrieve refresh run' });
+  }
+});
+
+/**
+ * POST /api/refresh/runs
+ * Trigger a refresh run now, optionally limited to specific approved BIAs
+ */
+router.post('/runs', [
+  body('biaIds').optional().isArray({ min: 1 }).withMessage('biaIds must be a non-empty array'),
+  body('biaIds.*').isUUID().withMessage('biaIds must contain BIA IDs')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const run = await BIARefreshService.startRun({ trigger: 'manual', user: req.user });
+
+    // Runs re-pull every source for every BIA, so they finish in the background
+    BIARefreshService.executeRun(run, { biaIds: req.body.biaIds });
+
+    res.status(202).json({
+      success: true,
+      runId: run.id,
+      status: run.status,
+      statusUrl: `${req.baseUrl}/runs/${run.id}`,
+      startedAt: run.started_at
+    });
+
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('❌ Refresh trigger error:', error);
+    res.status(500).json({ error: 'Failed to start refresh run', message: error.message });
+  }
+});
+
+module.exports = router;
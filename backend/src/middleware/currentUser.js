@@ -0,0 +1,21 @@
+/**
+ * Resolve the acting user for a request.
+ * Block SSO (Okta/SAML) terminates at the ingress proxy, which forwards the
+ * authenticated identity in the X-User-Id / X-User-Name headers.
+ */
+const ANONYMOUS_USER = { id: 'anonymous', name: 'Anonymous' };
+
+// Actor recorded for work that runs outside a request (workers, schedulers)
+const SYSTEM_USER = { id: 'system', name: 'Self-Updating BIA' };
+
+function currentUser(req, res, next) {
+  const id = req.get('X-User-Id');
+  const name = req.get('X-User-Name');
+
+  req.user = id ? { id, name: name || id } : ANONYMOUS_USER;
+  next();
+}
+
+module.exports = currentUser;
+module.exports.ANONYMOUS_USER = ANONYMOUS_USER;
+module.exports.SYSTEM_USER = SYSTEM_USER;
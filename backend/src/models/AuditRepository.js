@@ -0,0 +1,122 @@
+const db = require('../../config/database');
+const BIARepository = require('./BIARepository');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+class AuditRepository {
+
+  /**
+   * Insert an audit entry into bia_audit_log
+   */
+  static async insert(entry, executor = db) {
+    const result = await executor.query(
+      `INSERT INTO bia_audit_log (bia_id, action, user_id, user_name, old_values, new_values, comments)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        entry.biaId,
+        entry.action,
+        entry.user?.id || null,
+        entry.user?.name || null,
+        BIARepository.toJSONB(entry.oldValues),
+        BIARepository.toJSONB(entry.newValues),
+        entry.comments || null
+      ]
+    );
+
+    return this.fromRow(result.rows[0]);
+  }
+
+  /**
+   * List audit entries, newest first, with BIA, action and time-range filters
+   */
+  static async list(filters = {}) {
+    const { where, params } = this.buildFilters(filters);
+    const limit = this.normalizeLimit(filters.limit);
+    const offset = BIARepository.normalizeOffset(filters.offset);
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) AS total FROM bia_audit_log a ${where}`,
+      params
+    );
+
+    const listResult = await db.query(
+      `SELECT a.*, d.function_name, d.version
+         FROM bia_audit_log a
+         LEFT JOIN bia_documents d ON d.id = a.bia_id
+         ${where}
+         ORDER BY a.timestamp DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    return {
+      entries: listResult.rows.map(row => this.fromRow(row)),
+      total: parseInt(countResult.rows[0].total, 10),
+      limit,
+      offset
+    };
+  }
+
+  static buildFilters(filters) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.biaId) {
+      params.push(filters.biaId);
+      conditions.push(`a.bia_id = $${params.length}`);
+    }
+
+    if (filters.actions && filters.actions.length > 0) {
+      params.push(filters.actions);
+      conditions.push(`a.action = ANY($${params.length})`);
+    }
+
+    if (filters.userId) {
+      params.push(filters.userId);
+      conditions.push(`a.user_id = $${params.length}`);
+    }
+
+    if (filters.from) {
+      params.push(filters.from);
+      conditions.push(`a.timestamp >= $${params.length}`);
+    }
+
+    if (filters.to) {
+      params.push(filters.to);
+      conditions.push(`a.timestamp <= $${params.length}`);
+    }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  static fromRow(row) {
+    return {
+      id: row.id,
+      bia_id: row.bia_id,
+      function_name: row.function_name,
+      version: row.version,
+      action: row.action,
+      user_id: row.user_id,
+      user_name: row.user_name,
+      old_values: row.old_values,
+      new_values: row.new_values,
+      comments: row.comments,
+      timestamp: BIARepository.toISOString(row.timestamp)
+    };
+  }
+
+  static normalizeLimit(limit) {
+    const parsed = parseInt(limit, 10);
+    if (Number.isNaN(parsed) || parsed <= 0) return DEFAULT_LIMIT;
+    return Math.min(parsed, MAX_LIMIT);
+  }
+}
+
+AuditRepository.MAX_LIMIT = MAX_LIMIT;
+
+module.exports = AuditRepository;
@@ -0,0 +1,460 @@
+const db = require('../../config/database');
+
+// Maps generated BIA document sections onto bia_documents JSONB columns
+const SECTION_COLUMNS = {
+  personnel_information: 'personnel_data',
+  business_impact: 'business_impact_data',
+  technology_dependencies: 'technology_data',
+  recovery_requirements: 'recovery_data',
+  risk_compliance: 'risk_compliance_data',
+  iso_22301_compliance: 'iso_22301_data',
+  regional_overlays: 'regional_overlays',
+  predictive_analysis: 'predictive_analysis',
+  data_sources: 'data_sources',
+  confidence_assessment: 'confidence_scores',
+  lineage: 'lineage'
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Versions are stored as 'major.minor' strings, so order them numerically
+const VERSION_ORDER = "string_to_array(version, '.')::int[]";
+
+const SUMMARY_COLUMNS = `id, function_name, function_type, dri_name, dri_team, registry_app_name, status, version,
+  created_at, updated_at, approved_at, approved_by,
+  confidence_scores->>'overall_confidence' AS overall_confidence`;
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+class BIARepository {
+
+  /**
+   * Insert a generated BIA document
+   */
+  static async insert(biaDocument, executor = db) {
+    const columns = [
+      'id', 'function_name', 'function_type', 'dri_name', 'dri_team',
+      'registry_app_name', 'status', 'version', 'created_at'
+    ];
+    const values = [
+      biaDocument.id,
+      biaDocument.function_name,
+      biaDocument.function_type,
+      biaDocument.dri_name || null,
+      biaDocument.dri_team || null,
+      biaDocument.registry_app_name || null,
+      biaDocument.status || 'draft',
+      biaDocument.version || '1.0',
+      biaDocument.generated_at || new Date().toISOString()
+    ];
+
+    Object.entries(SECTION_COLUMNS).forEach(([section, column]) => {
+      columns.push(column);
+      values.push(this.toJSONB(biaDocument[section]));
+    });
+
+    const placeholders = values.map((_, index) => `$${index + 1}`).join(', ');
+    const result = await executor.query(
+      `INSERT INTO bia_documents (${columns.join(', ')}) VALUES (${placeholders}) RETURNING *`,
+      values
+    );
+
+    return this.fromRow(result.rows[0]);
+  }
+
+  /**
+   * Find a BIA document by ID, returns null when it does not exist
+   */
+  static async findById(id, executor = db) {
+    if (!this.isValidId(id)) {
+      return null;
+    }
+
+    const result = await executor.query('SELECT * FROM bia_documents WHERE id = $1', [id]);
+    return result.rows.length > 0 ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Move a BIA from one status to another. The update only applies while the
+   * BIA is still in `fromStatus`, so concurrent transitions cannot both win.
+   * Returns the updated document or null when the status no longer matches.
+   */
+  static async transitionStatus(id, fromStatus, toStatus, { approvedBy = null, comments = null } = {}, executor = db) {
+    if (!this.isValidId(id)) {
+      return null;
+    }
+
+    const result = await executor.query(
+      `UPDATE bia_documents
+          SET status = $3,
+              approved_at = CASE WHEN $3 = 'approved' THEN CURRENT_TIMESTAMP
+                                 WHEN $3 = 'archived' THEN approved_at
+                                 ELSE NULL END,
+              approved_by = CASE WHEN $3 = 'approved' THEN $4
+                                 WHEN $3 = 'archived' THEN approved_by
+                                 ELSE NULL END,
+              approval_comments = CASE WHEN $3 IN ('approved', 'rejected') THEN $5
+                                       ELSE approval_comments END
+        WHERE id = $1 AND status = $2
+        RETURNING *`,
+      [id, fromStatus, toStatus, approvedBy, comments]
+    );
+
+    return result.rows.length > 0 ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Run `fn(document, client)` in a transaction that holds the BIA's row lock.
+   * Queries made on `client` commit or roll back together. Returns the result
+   * of `fn`, or null when the BIA does not exist.
+   */
+  static async withLock(id, fn) {
+    if (!this.isValidId(id)) {
+      return null;
+    }
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query('SELECT * FROM bia_documents WHERE id = $1 FOR UPDATE', [id]);
+      if (current.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const result = await fn(this.fromRow(current.rows[0]), client);
+
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Read-modify-write a single document section inside a transaction.
+   * `mutator(section, document)` returns the new section value; the row is
+   * locked until it resolves, so concurrent edits cannot overwrite each other.
+   * Returns the updated document or null when the BIA does not exist.
+   */
+  static async updateSection(id, section, mutator) {
+    const column = SECTION_COLUMNS[section];
+    if (!column) {
+      throw new Error(`Unknown BIA section: ${section}`);
+    }
+    if (!this.isValidId(id)) {
+      return null;
+    }
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query('SELECT * FROM bia_documents WHERE id = $1 FOR UPDATE', [id]);
+      if (current.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const document = this.fromRow(current.rows[0]);
+      const updatedSection = await mutator(document[section], document);
+      const result = await client.query(
+        `UPDATE bia_documents SET ${column} = $2 WHERE id = $1 RETURNING *`,
+        [id, this.toJSONB(updatedSection)]
+      );
+
+      await client.query('COMMIT');
+      return this.fromRow(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Record the Fusion record a BIA was pushed to
+   */
+  static async updateFusionRecord(id, { recordId, status }) {
+    const result = await db.query(
+      `UPDATE bia_documents
+          SET fusion_record_id = $2,
+              fusion_status = $3,
+              fusion_last_sync = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *`,
+      [id, recordId, status]
+    );
+
+    return result.rows.length > 0 ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Find the highest version stored for a function, returns null when none exists
+   */
+  static async findLatestByFunctionName(functionName, executor = db) {
+    const result = await executor.query(
+      `SELECT * FROM bia_documents
+        WHERE function_name = $1
+        ORDER BY ${VERSION_ORDER} DESC
+        LIMIT 1`,
+      [functionName]
+    );
+
+    return result.rows.length > 0 ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Which of the given function names already have a stored BIA
+   */
+  static async findExistingFunctionNames(functionNames) {
+    if (functionNames.length === 0) {
+      return [];
+    }
+
+    const result = await db.query(
+      'SELECT DISTINCT function_name FROM bia_documents WHERE function_name = ANY($1)',
+      [functionNames]
+    );
+
+    return result.rows.map(row => row.function_name);
+  }
+
+  /**
+   * Find a specific version of a function's BIA
+   */
+  static async findByFunctionAndVersion(functionName, version) {
+    const result = await db.query(
+      'SELECT * FROM bia_documents WHERE function_name = $1 AND version = $2',
+      [functionName, version]
+    );
+
+    return result.rows.length > 0 ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * List every stored version of a function's BIA, oldest first
+   */
+  static async listVersions(functionName) {
+    const result = await db.query(
+      `SELECT ${SUMMARY_COLUMNS}
+         FROM bia_documents
+        WHERE function_name = $1
+        ORDER BY ${VERSION_ORDER} ASC`,
+      [functionName]
+    );
+
+    return result.rows.map(row => this.fromSummaryRow(row));
+  }
+
+  /**
+   * IDs of every BIA in a status, e.g. all approved BIAs due a refresh
+   */
+  static async listIdsByStatus(status) {
+    const result = await db.query(
+      'SELECT id FROM bia_documents WHERE status = $1 ORDER BY function_name',
+      [status]
+    );
+
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * Latest non-archived version of every function, with just the fields the
+   * dependency graph needs
+   */
+  static async listDependencyNodes() {
+    const result = await db.query(
+      `SELECT DISTINCT ON (function_name)
+              id, function_name, function_type, status, version,
+              technology_data->'service_dependencies' AS service_dependencies,
+              recovery_data->'rto' AS rto,
+              recovery_data->'rpo' AS rpo
+         FROM bia_documents
+        WHERE status <> 'archived'
+        ORDER BY function_name, ${VERSION_ORDER} DESC`
+    );
+
+    return result.rows.map(row => ({
+      id: row.id,
+      function_name: row.function_name,
+      function_type: row.function_type,
+      status: row.status,
+      version: row.version,
+      service_dependencies: row.service_dependencies || [],
+      rto: row.rto,
+      rpo: row.rpo
+    }));
+  }
+
+  /**
+   * List BIA summaries with filtering and pagination
+   */
+  static async list(filters = {}) {
+    const { where, params } = this.buildFilters(filters);
+    const limit = this.normalizeLimit(filters.limit);
+    const offset = this.normalizeOffset(filters.offset);
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) AS total FROM bia_documents ${where}`,
+      params
+    );
+
+    const listResult = await db.query(
+      `SELECT ${SUMMARY_COLUMNS}
+         FROM bia_documents
+         ${where}
+         ORDER BY created_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    return {
+      bias: listResult.rows.map(row => this.fromSummaryRow(row)),
+      total: parseInt(countResult.rows[0].total, 10),
+      limit,
+      offset
+    };
+  }
+
+  /**
+   * List full BIA documents with the same filters and pagination as list()
+   */
+  static async listDocuments(filters = {}) {
+    const { where, params } = this.buildFilters(filters);
+    const limit = this.normalizeLimit(filters.limit);
+    const offset = this.normalizeOffset(filters.offset);
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) AS total FROM bia_documents ${where}`,
+      params
+    );
+
+    const listResult = await db.query(
+      `SELECT *
+         FROM bia_documents
+         ${where}
+         ORDER BY created_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    return {
+      bias: listResult.rows.map(row => this.fromRow(row)),
+      total: parseInt(countResult.rows[0].total, 10),
+      limit,
+      offset
+    };
+  }
+
+  /**
+   * Build WHERE clause for the list filters accepted by GET /api/bia
+   */
+  static buildFilters(filters) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.status) {
+      params.push(filters.status);
+      conditions.push(`status = $${params.length}`);
+    }
+
+    if (filters.functionType) {
+      params.push(filters.functionType);
+      conditions.push(`function_type = $${params.length}`);
+    }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  /**
+   * Map a bia_documents row back onto the generated document structure
+   */
+  static fromRow(row) {
+    const document = {
+      id: row.id,
+      function_name: row.function_name,
+      function_type: row.function_type,
+      dri_name: row.dri_name,
+      dri_team: row.dri_team,
+      registry_app_name: row.registry_app_name,
+      generated_at: this.toISOString(row.created_at),
+      updated_at: this.toISOString(row.updated_at),
+      status: row.status,
+      version: row.version,
+      approved_at: this.toISOString(row.approved_at),
+      approved_by: row.approved_by,
+      approval_comments: row.approval_comments,
+      fusion_record_id: row.fusion_record_id,
+      fusion_status: row.fusion_status,
+      fusion_last_sync: this.toISOString(row.fusion_last_sync)
+    };
+
+    Object.entries(SECTION_COLUMNS).forEach(([section, column]) => {
+      document[section] = row[column];
+    });
+
+    return document;
+  }
+
+  static fromSummaryRow(row) {
+    return {
+      id: row.id,
+      function_name: row.function_name,
+      function_type: row.function_type,
+      dri_name: row.dri_name,
+      dri_team: row.dri_team,
+      registry_app_name: row.registry_app_name,
+      status: row.status,
+      version: row.version,
+      generated_at: this.toISOString(row.created_at),
+      updated_at: this.toISOString(row.updated_at),
+      approved_at: this.toISOString(row.approved_at),
+      approved_by: row.approved_by,
+      overall_confidence: row.overall_confidence !== null ? parseFloat(row.overall_confidence) : null
+    };
+  }
+
+  // Helpers
+  static isUniqueViolation(error) {
+    return error && error.code === '23505';
+  }
+
+  static isValidId(id) {
+    return typeof id === 'string' && UUID_PATTERN.test(id);
+  }
+
+  static toJSONB(value) {
+    // pg serializes JS arrays as Postgres arrays, so JSONB values are stringified explicitly
+    return value === undefined || value === null ? null : JSON.stringify(value);
+  }
+
+  static toISOString(value) {
+    return value ? new Date(value).toISOString() : null;
+  }
+
+  static normalizeLimit(limit) {
+    const parsed = parseInt(limit, 10);
+    if (Number.isNaN(parsed) || parsed <= 0) return DEFAULT_LIMIT;
+    return Math.min(parsed, MAX_LIMIT);
+  }
+
+  static normalizeOffset(offset) {
+    const parsed = parseInt(offset, 10);
+    return Number.isNaN(parsed) || parsed < 0 ? 0 : parsed;
+  }
+}
+
+BIARepository.SECTION_COLUMNS = SECTION_COLUMNS;
+BIARepository.MAX_LIMIT = MAX_LIMIT;
+
+module.exports = BIARepository;
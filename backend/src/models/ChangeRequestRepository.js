@@ -0,0 +1,187 @@
+const db = require('../../config/database');
+const BIARepository = require('./BIARepository');
+
+class ChangeRequestRepository {
+
+  /**
+   * Insert a change request against a BIA
+   */
+  static async insert({ biaId, items, assignee, user }, executor = db) {
+    const result = await executor.query(
+      `INSERT INTO bia_change_requests (bia_id, items, assignee, created_by_id, created_by_name)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [biaId, BIARepository.toJSONB(items), assignee || null, user?.id || null, user?.name || null]
+    );
+
+    return this.fromRow(result.rows[0]);
+  }
+
+  static async findById(id) {
+    if (!BIARepository.isValidId(id)) {
+      return null;
+    }
+
+    const result = await db.query(
+      `SELECT c.*, d.function_name, d.version
+         FROM bia_change_requests c
+         LEFT JOIN bia_documents d ON d.id = c.bia_id
+        WHERE c.id = $1`,
+      [id]
+    );
+    return result.rows.length > 0 ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Close an open change request. Only applies while the request is still
+   * open, returns null when it does not exist or was already resolved.
+   */
+  static async resolve(id, status, { user, comments }) {
+    if (!BIARepository.isValidId(id)) {
+      return null;
+    }
+
+    const result = await db.query(
+      `UPDATE bia_change_requests
+          SET status = $2,
+              resolved_by_id = $3,
+              resolved_by_name = $4,
+              resolution_comments = $5,
+              resolved_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'open'
+        RETURNING *`,
+      [id, status, user?.id || null, user?.name || null, comments || null]
+    );
+
+    return result.rows.length > 0 ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * List change requests, newest first, filtered by BIA, assignee and status
+   */
+  static async list(filters = {}) {
+    const { where, params } = this.buildFilters(filters);
+    const limit = BIARepository.normalizeLimit(filters.limit);
+    const offset = BIARepository.normalizeOffset(filters.offset);
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) AS total FROM bia_change_requests c ${where}`,
+      params
+    );
+
+    const listResult = await db.query(
+      `SELECT c.*, d.function_name, d.version
+         FROM bia_change_requests c
+         LEFT JOIN bia_documents d ON d.id = c.bia_id
+         ${where}
+         ORDER BY c.created_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    return {
+      change_requests: listResult.rows.map(row => this.fromRow(row)),
+      total: parseInt(countResult.rows[0].total, 10),
+      limit,
+      offset
+    };
+  }
+
+  static async countOpen(biaId) {
+    const result = await db.query(
+      `SELECT COUNT(*) AS open FROM bia_change_requests WHERE bia_id = $1 AND status = 'open'`,
+      [biaId]
+    );
+    return parseInt(result.rows[0].open, 10);
+  }
+
+  static async insertComment({ changeRequestId, parentCommentId, user, body }) {
+    const result = await db.query(
+      `INSERT INTO bia_change_request_comments (change_request_id, parent_comment_id, author_id, author_name, body)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [changeRequestId, parentCommentId || null, user?.id || null, user?.name || null, body]
+    );
+
+    return this.fromCommentRow(result.rows[0]);
+  }
+
+  static async findComment(id) {
+    if (!BIARepository.isValidId(id)) {
+      return null;
+    }
+
+    const result = await db.query('SELECT * FROM bia_change_request_comments WHERE id = $1', [id]);
+    return result.rows.length > 0 ? this.fromCommentRow(result.rows[0]) : null;
+  }
+
+  /**
+   * All comments on a change request, oldest first
+   */
+  static async listComments(changeRequestId) {
+    const result = await db.query(
+      `SELECT * FROM bia_change_request_comments
+        WHERE change_request_id = $1
+        ORDER BY created_at, id`,
+      [changeRequestId]
+    );
+
+    return result.rows.map(row => this.fromCommentRow(row));
+  }
+
+  static buildFilters(filters) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.biaId) {
+      params.push(filters.biaId);
+      conditions.push(`c.bia_id = $${params.length}`);
+    }
+
+    if (filters.assignee) {
+      params.push(filters.assignee);
+      conditions.push(`c.assignee = $${params.length}`);
+    }
+
+    if (filters.status) {
+      params.push(filters.status);
+      conditions.push(`c.status = $${params.length}`);
+    }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  static fromRow(row) {
+    return {
+      id: row.id,
+      bia_id: row.bia_id,
+      function_name: row.function_name,
+      version: row.version,
+      items: row.items || [],
+      assignee: row.assignee,
+      status: row.status,
+      created_by: row.created_by_id ? { id: row.created_by_id, name: row.created_by_name } : null,
+      resolved_by: row.resolved_by_id ? { id: row.resolved_by_id, name: row.resolved_by_name } : null,
+      resolution_comments: row.resolution_comments,
+      created_at: BIARepository.toISOString(row.created_at),
+      updated_at: BIARepository.toISOString(row.updated_at),
+      resolved_at: BIARepository.toISOString(row.resolved_at)
+    };
+  }
+
+  static fromCommentRow(row) {
+    return {
+      id: row.id,
+      change_request_id: row.change_request_id,
+      parent_comment_id: row.parent_comment_id,
+      author: row.author_id ? { id: row.author_id, name: row.author_name } : null,
+      body: row.body,
+      created_at: BIARepository.toISOString(row.created_at)
+    };
+  }
+}
+
+module.exports = ChangeRequestRepository;
@@ -0,0 +1,172 @@
+const db = require('../../config/database');
+const BIARepository = require('./BIARepository');
+
+// Advisory lock held by the server instance that is probing
+const PROBE_LOCK = 'data_source_health_probe';
+
+class DataSourceHealthRepository {
+
+  /**
+   * Record one probe result: updates the source's current health and
+   * appends it to the history
+   */
+  static async record({ source, status, responseTimeMs, errorMessage = null, details = null, checkedAt = new Date() }) {
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `INSERT INTO data_source_health (source_name, status, response_time_ms, last_check, error_message, health_details)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (source_name) DO UPDATE
+            SET status = EXCLUDED.status,
+                response_time_ms = EXCLUDED.response_time_ms,
+                last_check = EXCLUDED.last_check,
+                error_message = EXCLUDED.error_message,
+                health_details = COALESCE(data_source_health.health_details, '{}'::jsonb) || COALESCE(EXCLUDED.health_details, '{}'::jsonb)`,
+        [source, status, responseTimeMs, checkedAt, errorMessage, BIARepository.toJSONB(details)]
+      );
+      await client.query(
+        `INSERT INTO data_source_health_history (source_name, status, response_time_ms, error_message, checked_at)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [source, status, responseTimeMs, errorMessage, checkedAt]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Current health of every source that has been probed
+   */
+  static async findAll() {
+    const result = await db.query('SELECT * FROM data_source_health WHERE last_check IS NOT NULL ORDER BY source_name');
+    return result.rows.map(row => this.fromRow(row));
+  }
+
+  /**
+   * Run `fn()` while holding the probe advisory lock. Returns
+   * { acquired: false } without running it when another session holds the
+   * lock, otherwise { acquired: true, result }.
+   */
+  static async withProbeLock(fn) {
+    const client = await db.getClient();
+    try {
+      const lock = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) AS acquired', [PROBE_LOCK]);
+      if (!lock.rows[0].acquired) {
+        return { acquired: false };
+      }
+
+      try {
+        return { acquired: true, result: await fn() };
+      } finally {
+        await client.query('SELECT pg_advisory_unlock(hashtext($1))', [PROBE_LOCK]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Time of the most recent probe of any source, or null before the first probe
+   */
+  static async findLatestCheck() {
+    const result = await db.query('SELECT MAX(checked_at) AS checked_at FROM data_source_health_history');
+    return BIARepository.toISOString(result.rows[0].checked_at);
+  }
+
+  /**
+   * Probe counts and latency per source over the last `windowMs`
+   */
+  static async summarize(windowMs, { source } = {}) {
+    const params = [windowMs];
+    let sourceFilter = '';
+    if (source) {
+      params.push(source);
+      sourceFilter = 'AND source_name = $2';
+    }
+
+    const result = await db.query(
+      `SELECT source_name,
+              COUNT(*) AS checks,
+              COUNT(*) FILTER (WHERE status = 'healthy') AS healthy,
+              COUNT(*) FILTER (WHERE status = 'degraded') AS degraded,
+              COUNT(*) FILTER (WHERE status = 'error') AS failed,
+              ROUND(AVG(response_time_ms) FILTER (WHERE status <> 'error')) AS avg_response_time_ms,
+              MAX(checked_at) FILTER (WHERE status = 'error') AS last_failure_at
+         FROM data_source_health_history
+        WHERE checked_at >= CURRENT_TIMESTAMP - ($1 * INTERVAL '1 millisecond')
+          ${sourceFilter}
+        GROUP BY source_name`,
+      params
+    );
+
+    return result.rows.map(row => ({
+      source: row.source_name,
+      checks: parseInt(row.checks, 10),
+      healthy: parseInt(row.healthy, 10),
+      degraded: parseInt(row.degraded, 10),
+      failed: parseInt(row.failed, 10),
+      avg_response_time_ms: row.avg_response_time_ms === null ? null : Number(row.avg_response_time_ms),
+      last_failure_at: BIARepository.toISOString(row.last_failure_at)
+    }));
+  }
+
+  /**
+   * Most recent probes, newest first
+   */
+  static async listHistory({ source, limit } = {}) {
+    const params = [BIARepository.normalizeLimit(limit)];
+    let sourceFilter = '';
+    if (source) {
+      params.push(source);
+      sourceFilter = 'WHERE source_name = $2';
+    }
+
+    const result = await db.query(
+      `SELECT * FROM data_source_health_history
+        ${sourceFilter}
+        ORDER BY checked_at DESC
+        LIMIT $1`,
+      params
+    );
+
+    return result.rows.map(row => ({
+      source: row.source_name,
+      status: row.status,
+      response_time_ms: row.response_time_ms,
+      error_message: row.error_message,
+      checked_at: BIARepository.toISOString(row.checked_at)
+    }));
+  }
+
+  /**
+   * Delete history older than the retention period; returns the number deleted
+   */
+  static async pruneHistory(retentionDays) {
+    const result = await db.query(
+      `DELETE FROM data_source_health_history
+        WHERE checked_at < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 day')`,
+      [retentionDays]
+    );
+    return result.rowCount;
+  }
+
+  static fromRow(row) {
+    return {
+      source: row.source_name,
+      status: row.status,
+      response_time_ms: row.response_time_ms,
+      last_check: BIARepository.toISOString(row.last_check),
+      error_message: row.error_message,
+      details: row.health_details || {}
+    };
+  }
+}
+
+module.exports = DataSourceHealthRepository;
@@ -0,0 +1,260 @@
+const db = require('../../config/database');
+const BIARepository = require('./BIARepository');
+
+class GenerationJobRepository {
+
+  /**
+   * Queue a BIA generation job
+   */
+  static async create(request, executor = db) {
+    const result = await executor.query(
+      `INSERT INTO bia_generation_jobs
+         (function_name, function_type, dri_name, dri_team, registry_app_name, regional_overlays, requested_by_id, requested_by_name, batch_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        request.functionName,
+        request.functionType,
+        request.driName || null,
+        request.driTeam || null,
+        request.registryAppName || null,
+        BIARepository.toJSONB(request.regionalOverlays),
+        request.requestedBy?.id || null,
+        request.requestedBy?.name || null,
+        request.batchId || null
+      ]
+    );
+
+    return this.fromRow(result.rows[0]);
+  }
+
+  /**
+   * Record a batch and queue one job per request, all or nothing
+   */
+  static async createBatch({ source, filter, requestedBy }, requests) {
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO bia_generation_batches (source, filter, requested_by_id, requested_by_name)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [source, BIARepository.toJSONB(filter), requestedBy?.id || null, requestedBy?.name || null]
+      );
+      const batch = this.fromBatchRow(result.rows[0]);
+
+      const jobs = [];
+      for (const request of requests) {
+        jobs.push(await this.create({ ...request, requestedBy, batchId: batch.id }, client));
+      }
+
+      await client.query('COMMIT');
+      return { ...batch, jobs };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * A batch with its jobs in queue order; null when there is no such batch
+   */
+  static async findBatch(id) {
+    if (!BIARepository.isValidId(id)) {
+      return null;
+    }
+
+    const result = await db.query('SELECT * FROM bia_generation_batches WHERE id = $1', [id]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const jobs = await db.query('SELECT * FROM bia_generation_jobs WHERE batch_id = $1 ORDER BY created_at, function_name', [id]);
+    return { ...this.fromBatchRow(result.rows[0]), jobs: jobs.rows.map(row => this.fromRow(row)) };
+  }
+
+  static async findById(id) {
+    if (!BIARepository.isValidId(id)) {
+      return null;
+    }
+
+    const result = await db.query('SELECT * FROM bia_generation_jobs WHERE id = $1', [id]);
+    return result.rows.length > 0 ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Atomically claim the oldest queued job, returns null when the queue is empty.
+   * SKIP LOCKED lets several workers poll the same table without double-claiming.
+   */
+  static async claimNext() {
+    const result = await db.query(
+      `UPDATE bia_generation_jobs
+          SET status = 'processing',
+              progress = 0,
+              events = '[]'::jsonb,
+              attempts = attempts + 1,
+              started_at = CURRENT_TIMESTAMP,
+              heartbeat_at = CURRENT_TIMESTAMP
+        WHERE id = (
+          SELECT id FROM bia_generation_jobs
+           WHERE status = 'queued'
+           ORDER BY created_at
+           FOR UPDATE SKIP LOCKED
+           LIMIT 1
+        )
+        RETURNING *`
+    );
+
+    return result.rows.length > 0 ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Update progress; doubles as the worker heartbeat
+   */
+  static async updateProgress(id, progress) {
+    await db.query(
+      `UPDATE bia_generation_jobs
+          SET progress = GREATEST(progress, $2),
+              heartbeat_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'processing'`,
+      [id, progress]
+    );
+  }
+
+  /**
+   * Append a step event to the job's event log; doubles as the worker heartbeat
+   */
+  static async appendEvent(id, event) {
+    await db.query(
+      `UPDATE bia_generation_jobs
+          SET events = COALESCE(events, '[]'::jsonb) || $2::jsonb,
+              heartbeat_at = CURRENT_TIMESTAMP
+        WHERE id = $1`,
+      [id, JSON.stringify([event])]
+    );
+  }
+
+  /**
+   * Run `fn(client)` in a transaction holding the job row locked, as long as
+   * `attempt` still owns the job. A run whose job was recovered as stale and
+   * claimed again no longer does; null is returned and nothing runs.
+   */
+  static async withAttempt(id, attempt, fn) {
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        `SELECT 1 FROM bia_generation_jobs WHERE id = $1 AND status = 'processing' AND attempts = $2 FOR UPDATE`,
+        [id, attempt]
+      );
+      if (current.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const result = await fn(client);
+
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Record the result of an attempt; false when the attempt no longer owns the job
+   */
+  static async markCompleted(id, attempt, biaId, resultSummary, executor = db) {
+    const result = await executor.query(
+      `UPDATE bia_generation_jobs
+          SET status = 'completed',
+              progress = 100,
+              result_bia_id = $3,
+              result_summary = $4,
+              error_message = NULL,
+              completed_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'processing' AND attempts = $2`,
+      [id, attempt, biaId, BIARepository.toJSONB(resultSummary)]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Fail the job for an attempt; false when the attempt no longer owns the job
+   */
+  static async markFailed(id, attempt, errorMessage) {
+    const result = await db.query(
+      `UPDATE bia_generation_jobs
+          SET status = 'failed',
+              error_message = $3,
+              completed_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'processing' AND attempts = $2`,
+      [id, attempt, errorMessage]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Recover jobs whose worker stopped heartbeating (e.g. the server restarted
+   * mid-run). Jobs with attempts left are re-queued, the rest are failed.
+   */
+  static async recoverStale(staleAfterMs, maxAttempts) {
+    const result = await db.query(
+      `UPDATE bia_generation_jobs
+          SET status = CASE WHEN attempts < $2 THEN 'queued' ELSE 'failed' END,
+              error_message = CASE WHEN attempts < $2 THEN error_message
+                                   ELSE 'Abandoned after ' || attempts || ' attempts' END,
+              completed_at = CASE WHEN attempts < $2 THEN NULL ELSE CURRENT_TIMESTAMP END
+        WHERE status = 'processing'
+          AND COALESCE(heartbeat_at, started_at, created_at) < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 millisecond')
+        RETURNING id, status`,
+      [staleAfterMs, maxAttempts]
+    );
+
+    return result.rows;
+  }
+
+  static fromRow(row) {
+    return {
+      id: row.id,
+      function_name: row.function_name,
+      function_type: row.function_type,
+      dri_name: row.dri_name,
+      dri_team: row.dri_team,
+      registry_app_name: row.registry_app_name,
+      regional_overlays: row.regional_overlays,
+      batch_id: row.batch_id || null,
+      requested_by: row.requested_by_id ? { id: row.requested_by_id, name: row.requested_by_name } : null,
+      status: row.status,
+      progress: row.progress,
+      attempts: row.attempts,
+      error_message: row.error_message,
+      result_bia_id: row.result_bia_id,
+      result_summary: row.result_summary,
+      events: row.events || [],
+      created_at: BIARepository.toISOString(row.created_at),
+      started_at: BIARepository.toISOString(row.started_at),
+      heartbeat_at: BIARepository.toISOString(row.heartbeat_at),
+      completed_at: BIARepository.toISOString(row.completed_at)
+    };
+  }
+
+  static fromBatchRow(row) {
+    return {
+      id: row.id,
+      source: row.source,
+      filter: row.filter,
+      requested_by: row.requested_by_id ? { id: row.requested_by_id, name: row.requested_by_name } : null,
+      created_at: BIARepository.toISOString(row.created_at)
+    };
+  }
+}
+
+module.exports = GenerationJobRepository;
@@ -0,0 +1,162 @@
+const db = require('../../config/database');
+const BIARepository = require('./BIARepository');
+
+class RefreshRunRepository {
+
+  /**
+   * Start a refresh run. Returns null when another run is already in
+   * progress; a partial unique index allows only one running row.
+   */
+  static async start({ trigger, user }) {
+    try {
+      const result = await db.query(
+        `INSERT INTO bia_refresh_runs (trigger, triggered_by_id, triggered_by_name)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [trigger, user?.id || null, user?.name || null]
+      );
+      return this.fromRow(result.rows[0]);
+    } catch (error) {
+      if (BIARepository.isUniqueViolation(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    if (!BIARepository.isValidId(id)) {
+      return null;
+    }
+
+    const result = await db.query('SELECT * FROM bia_refresh_runs WHERE id = $1', [id]);
+    return result.rows.length > 0 ? this.fromRow(result.rows[0]) : null;
+  }
+
+  static async findRunning() {
+    const result = await db.query(`SELECT * FROM bia_refresh_runs WHERE status = 'running'`);
+    return result.rows.length > 0 ? this.fromRow(result.rows[0]) : null;
+  }
+
+  static async findLatest() {
+    const result = await db.query('SELECT * FROM bia_refresh_runs ORDER BY started_at DESC LIMIT 1');
+    return result.rows.length > 0 ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Mark a run as still alive. Returns false when the run is no longer
+   * running, e.g. because it was failed as abandoned.
+   */
+  static async heartbeat(id) {
+    const result = await db.query(
+      `UPDATE bia_refresh_runs
+          SET heartbeat_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'running'`,
+      [id]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Record the per-BIA results and counts of a finished run; null when the
+   * run is no longer running
+   */
+  static async complete(id, { counts, results }) {
+    const result = await db.query(
+      `UPDATE bia_refresh_runs
+          SET status = 'completed',
+              bias_checked = $2,
+              drafts_created = $3,
+              unchanged = $4,
+              skipped = $5,
+              failed = $6,
+              results = $7,
+              completed_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'running'
+        RETURNING *`,
+      [id, counts.bias_checked, counts.drafts_created, counts.unchanged, counts.skipped, counts.failed, BIARepository.toJSONB(results)]
+    );
+
+    return result.rows.length > 0 ? this.fromRow(result.rows[0]) : null;
+  }
+
+  static async markFailed(id, errorMessage) {
+    const result = await db.query(
+      `UPDATE bia_refresh_runs
+          SET status = 'failed',
+              error_message = $2,
+              completed_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'running'`,
+      [id, errorMessage]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Fail runs left 'running' by a server that stopped mid-run, i.e. runs
+   * that have not heartbeated for `staleAfterMs`
+   */
+  static async failStale(staleAfterMs) {
+    const result = await db.query(
+      `UPDATE bia_refresh_runs
+          SET status = 'failed',
+              error_message = 'Abandoned while running',
+              completed_at = CURRENT_TIMESTAMP
+        WHERE status = 'running'
+          AND COALESCE(heartbeat_at, started_at) < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 millisecond')
+        RETURNING id`,
+      [staleAfterMs]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * List refresh runs, newest first, without per-BIA results
+   */
+  static async list(filters = {}) {
+    const limit = BIARepository.normalizeLimit(filters.limit);
+    const offset = BIARepository.normalizeOffset(filters.offset);
+
+    const countResult = await db.query('SELECT COUNT(*) AS total FROM bia_refresh_runs');
+    const listResult = await db.query(
+      `SELECT * FROM bia_refresh_runs
+        ORDER BY started_at DESC
+        LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+
+    return {
+      runs: listResult.rows.map(row => {
+        const { results, ...summary } = this.fromRow(row);
+        return summary;
+      }),
+      total: parseInt(countResult.rows[0].total, 10),
+      limit,
+      offset
+    };
+  }
+
+  static fromRow(row) {
+    return {
+      id: row.id,
+      trigger: row.trigger,
+      status: row.status,
+      triggered_by: row.triggered_by_id ? { id: row.triggered_by_id, name: row.triggered_by_name } : null,
+      summary: {
+        bias_checked: row.bias_checked,
+        drafts_created: row.drafts_created,
+        unchanged: row.unchanged,
+        skipped: row.skipped,
+        failed: row.failed
+      },
+      results: row.results || [],
+      error_message: row.error_message,
+      started_at: BIARepository.toISOString(row.started_at),
+      heartbeat_at: BIARepository.toISOString(row.heartbeat_at),
+      completed_at: BIARepository.toISOString(row.completed_at)
+    };
+  }
+}
+
+module.exports = RefreshRunRepository;
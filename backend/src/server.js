@@ -13,7 +13,8 @@ const PORT = process.env.PORT || 3001;
 app.use(helmet());
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Content-Disposition'] // Lets the frontend name downloaded exports
 }));
 
 // Rate limiting
@@ -29,12 +30,16 @@ app.use(compression());
 app.use(morgan('combined'));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
+app.use('/api/', require('./middleware/currentUser'));
 
 // API Routes
 app.use('/api/bia', require('./controllers/biaController'));
 app.use('/api/data-sources', require('./controllers/dataSourceController'));
 app.use('/api/fusion', require('./controllers/fusionController'));
 app.use('/api/health', require('./controllers/healthController'));
+app.use('/api/audit', require('./controllers/auditController'));
+app.use('/api/change-requests', require('./controllers/changeRequestController'));
+app.use('/api/refresh', require('./controllers/refreshController'));
 
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
@@ -63,4 +68,19 @@ app.listen(PORT, () => {
   console.log(`🚀 Self-Updating BIA Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 API Base URL: http://localhost:${PORT}/api`);
+
+  // Background worker for asynchronous BIA generation jobs
+  if (process.env.JOB_WORKER_ENABLED !== 'false') {
+    require('./services/GenerationJobWorker').start();
+  }
+
+  // Scheduled self-refresh of approved BIAs
+  if (require('../config/refresh').enabled) {
+    require('./services/RefreshScheduler').start();
+  }
+
+  // Background probing of data-source health
+  if (require('../config/healthMonitor').enabled) {
+    require('./services/HealthMonitorService').start();
+  }
 });
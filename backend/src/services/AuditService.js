@@ -0,0 +1,131 @@
+const AuditRepository = require('../models/AuditRepository');
+const BIADiffService = require('./BIADiffService');
+const { toCSV, escapeFormula } = require('../utils/csv');
+
+// Actions recorded in bia_audit_log
+const AUDIT_ACTIONS = {
+  GENERATE: 'generate',
+  IMPORT: 'import',
+  SECTION_EDIT: 'section_edit',
+  OVERRIDE_RESOLUTION: 'override_resolution',
+  STATUS_CHANGE: 'status_change',
+  APPROVE: 'approve',
+  CHANGE_REQUEST: 'change_request',
+  CHANGE_REQUEST_RESOLUTION: 'change_request_resolution',
+  FUSION_PUSH: 'fusion_push'
+};
+
+const EXPORT_COLUMNS = [
+  { key: 'timestamp', header: 'Timestamp' },
+  { key: 'bia_id', header: 'BIA ID' },
+  { key: 'function_name', header: 'Function' },
+  { key: 'version', header: 'Version' },
+  { key: 'action', header: 'Action' },
+  { key: 'user_id', header: 'User ID' },
+  { key: 'user_name', header: 'User Name' },
+  { key: 'changes', header: 'Changes' },
+  { key: 'comments', header: 'Comments' }
+];
+
+class AuditService {
+
+  /**
+   * Record an audit entry. Callers pass only the fields that the action
+   * touched; the before/after pair is what the JSON diff is computed from.
+   * With `executor` (a transaction client) the entry is part of that transaction.
+   */
+  static async record({ biaId, action, user, oldValues, newValues, comments }, executor) {
+    try {
+      return await AuditRepository.insert({ biaId, action, user, oldValues, newValues, comments }, executor);
+    } catch (error) {
+      // Inside a transaction the failed write aborts it, so the action must fail with it
+      if (executor) throw error;
+      // The audited action has already happened, so surface the gap loudly rather than failing it
+      console.error(`❌ Audit log write failed (${action} on ${biaId}):`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the audit trail for a BIA
+   */
+  static async getAuditTrail(biaId, filters = {}) {
+    return this.getAuditLog({ ...filters, biaId });
+  }
+
+  /**
+   * Get the audit log across all BIAs
+   */
+  static async getAuditLog(filters = {}) {
+    const result = await AuditRepository.list(filters);
+    return {
+      ...result,
+      entries: result.entries.map(entry => this.withChanges(entry))
+    };
+  }
+
+  /**
+   * Export the audit log as JSON or CSV for regulators. CSV text cells that
+   * start like a formula are quoted so spreadsheet apps do not evaluate them.
+   */
+  static async exportLog(filters = {}, format = 'json') {
+    const entries = [];
+    let offset = 0;
+    let total = 0;
+
+    do {
+      const page = await AuditRepository.list({ ...filters, limit: AuditRepository.MAX_LIMIT, offset });
+      entries.push(...page.entries.map(entry => this.withChanges(entry)));
+      total = page.total;
+      offset += page.entries.length;
+      if (page.entries.length === 0) break;
+    } while (offset < total);
+
+    const exportedAt = new Date().toISOString();
+    const filename = `bia_audit_log_${exportedAt.slice(0, 10)}.${format}`;
+
+    if (format === 'csv') {
+      return {
+        contentType: 'text/csv',
+        filename,
+        body: toCSV(entries.map(entry => Object.fromEntries(
+          EXPORT_COLUMNS.map(({ key }) => [key, escapeFormula(entry[key])])
+        )), EXPORT_COLUMNS)
+      };
+    }
+
+    return {
+      contentType: 'application/json',
+      filename,
+      body: JSON.stringify({ exported_at: exportedAt, filters, total: entries.length, entries }, null, 2)
+    };
+  }
+
+  /**
+   * Attach the field-level diff between old and new values
+   */
+  static withChanges(entry) {
+    return {
+      ...entry,
+      changes: BIADiffService.diffValues(entry.old_values, entry.new_values)
+    };
+  }
+
+  /**
+   * Parse the shared audit query-string filters
+   */
+  static parseFilters(query) {
+    return {
+      from: query.from,
+      to: query.to,
+      actions: query.action ? String(query.action).split(',').map(action => action.trim()).filter(Boolean) : [],
+      userId: query.userId,
+      limit: query.limit,
+      offset: query.offset
+    };
+  }
+}
+
+AuditService.AUDIT_ACTIONS = AUDIT_ACTIONS;
+
+module.exports = AuditService;
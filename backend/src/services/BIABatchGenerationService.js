@@ -0,0 +1,183 @@
+const GenerationJobWorker = require('./GenerationJobWorker');
+const GenerationJobRepository = require('../models/GenerationJobRepository');
+const ConnectorRegistry = require('./ConnectorRegistry');
+const ResilienceService = require('./ResilienceService');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const config = {
+  maxFunctions: parseInt(process.env.BATCH_GENERATION_MAX_FUNCTIONS, 10) || 200
+};
+
+// Per-function outcomes of a batch
+const OUTCOMES = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FALLBACK: 'fallback',
+  FAILED: 'failed'
+};
+
+class BIABatchGenerationService {
+
+  /**
+   * Queue BIA generations for an explicit list of functions or for every
+   * Registry application matching `filter`. Each function becomes its own
+   * generation job, run by the job worker; poll getBatch for the outcomes.
+   * @throws {ValidationError} when nothing usable was requested or the batch is too large
+   */
+  static async generate({ functions, filter, functionType, driName, regionalOverlays }, { user } = {}) {
+    if (functions && filter) {
+      throw new ValidationError('Provide either functions or a Registry filter, not both');
+    }
+
+    const requests = functions
+      ? this.fromFunctionList(functions, { driName, regionalOverlays })
+      : await this.fromRegistryFilter(filter, { functionType, driName, regionalOverlays });
+
+    if (requests.length > config.maxFunctions) {
+      throw new ValidationError(`Batches are limited to ${config.maxFunctions} functions`, { matched_functions: requests.length });
+    }
+
+    const batch = await GenerationJobWorker.enqueueBatch({
+      source: functions ? 'functions' : 'registry_filter',
+      filter: functions ? null : filter,
+      requestedBy: user
+    }, requests);
+
+    return {
+      batch_id: batch.id,
+      source: batch.source,
+      filter: batch.filter,
+      queued_at: batch.created_at,
+      total: batch.jobs.length,
+      jobs: batch.jobs.map(job => ({ job_id: job.id, function_name: job.function_name, status: job.status }))
+    };
+  }
+
+  /**
+   * Report of a batch: each job's outcome so far and the counts per outcome.
+   * The batch is completed once no job is queued or processing.
+   * @throws {NotFoundError} when there is no such batch
+   */
+  static async getBatch(batchId) {
+    const batch = await GenerationJobRepository.findBatch(batchId);
+    if (!batch) {
+      throw new NotFoundError(`Batch ${batchId} not found`);
+    }
+
+    const results = batch.jobs.map(job => this.toResult(job));
+    const count = outcome => results.filter(result => result.outcome === outcome).length;
+    const summary = {
+      total: results.length,
+      pending: count(OUTCOMES.PENDING),
+      succeeded: count(OUTCOMES.SUCCEEDED),
+      fallback: count(OUTCOMES.FALLBACK),
+      failed: count(OUTCOMES.FAILED)
+    };
+    const finishedAt = batch.jobs.map(job => job.completed_at).filter(Boolean).sort().pop() || null;
+
+    return {
+      batch_id: batch.id,
+      source: batch.source,
+      filter: batch.filter,
+      requested_by: batch.requested_by,
+      status: summary.pending > 0 ? 'pending' : 'completed',
+      queued_at: batch.created_at,
+      completed_at: summary.pending > 0 ? null : finishedAt,
+      summary,
+      results
+    };
+  }
+
+  /**
+   * Outcome of one job. A BIA built while a source was unavailable or Rooster
+   * fell back to benchmarks is reported as 'fallback'.
+   */
+  static toResult(job) {
+    const result = {
+      job_id: job.id,
+      function_name: job.function_name,
+      function_type: job.function_type,
+      status: job.status
+    };
+
+    if (job.status === 'failed') {
+      return { ...result, outcome: OUTCOMES.FAILED, error: job.error_message };
+    }
+    if (job.status !== 'completed') {
+      return { ...result, outcome: OUTCOMES.PENDING, progress: job.progress };
+    }
+
+    const dataSourceStatus = job.result_summary?.dataSourceStatus || {};
+    const unavailableSources = Object.keys(dataSourceStatus).filter(source => dataSourceStatus[source] !== 'fulfilled');
+    if (job.result_summary?.roosterFallback) {
+      unavailableSources.push('rooster');
+    }
+
+    return {
+      ...result,
+      outcome: unavailableSources.length > 0 ? OUTCOMES.FALLBACK : OUTCOMES.SUCCEEDED,
+      bia_id: job.result_bia_id,
+      unavailable_sources: unavailableSources
+    };
+  }
+
+  /**
+   * Normalize the explicit function list, dropping repeats of the same function
+   */
+  static fromFunctionList(functions, defaults) {
+    if (!Array.isArray(functions) || functions.length === 0) {
+      throw new ValidationError('functions must be a non-empty array');
+    }
+
+    return this.dedupe(functions.map(item => ({
+      functionName: item.functionName,
+      functionType: item.functionType,
+      driName: item.driName || defaults.driName,
+      driTeam: item.driTeam,
+      registryAppName: item.registryAppName,
+      regionalOverlays: item.regionalOverlays || defaults.regionalOverlays
+    })));
+  }
+
+  /**
+   * Resolve a Registry filter to generation requests. The Registry query
+   * runs under the registry source's timeout, retry and circuit breaker.
+   */
+  static async fromRegistryFilter(filter, { functionType, driName, regionalOverlays }) {
+    if (!filter || (!filter.reliabilityTiers?.length && !filter.teamId)) {
+      throw new ValidationError('Provide functions or a Registry filter with reliabilityTiers or teamId');
+    }
+    if (!functionType) {
+      throw new ValidationError('functionType is required when generating from a Registry filter');
+    }
+
+    const registry = ConnectorRegistry.get('registry');
+    const applications = await ResilienceService.execute('registry',
+      ({ signal }) => registry.findApplications(filter, { signal }),
+      { idempotent: true });
+
+    return this.dedupe(applications.map(application => ({
+      functionName: application.app_name,
+      functionType,
+      driName,
+      driTeam: application.team_id,
+      registryAppName: application.app_name,
+      regionalOverlays
+    })));
+  }
+
+  static dedupe(requests) {
+    const seen = new Set();
+    return requests.filter(request => {
+      const key = String(request.functionName).trim().toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+}
+
+BIABatchGenerationService.OUTCOMES = OUTCOMES;
+BIABatchGenerationService.config = config;
+
+module.exports = BIABatchGenerationService;
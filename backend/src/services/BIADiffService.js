@@ -0,0 +1,180 @@
+const { quantityType, isSameQuantity } = require('../utils/units');
+
+// Document sections compared between BIA versions
+const DIFF_SECTIONS = [
+  'personnel_information',
+  'business_impact',
+  'technology_dependencies',
+  'recovery_requirements',
+  'risk_compliance',
+  'iso_22301_compliance',
+  'regional_overlays',
+  'predictive_analysis',
+  'confidence_assessment'
+];
+
+// Top-level document fields that are not part of any section
+const METADATA_FIELDS = ['function_type', 'dri_name', 'dri_team', 'registry_app_name', 'status'];
+
+// Fields that change on every generation and would drown out real changes
+const IGNORED_FIELDS = ['generated_at', 'last_updated', 'scored_at', 'age_hours'];
+
+class BIADiffService {
+
+  /**
+   * Compare two BIA documents section by section
+   */
+  static compareDocuments(fromDocument, toDocument) {
+    const sections = {};
+    let fieldsChanged = 0;
+
+    const metadataChanges = METADATA_FIELDS
+      .filter(field => !this.isEqual(fromDocument[field], toDocument[field]))
+      .map(field => ({
+        path: field,
+        change_type: 'modified',
+        old_value: fromDocument[field] ?? null,
+        new_value: toDocument[field] ?? null
+      }));
+    fieldsChanged += metadataChanges.length;
+
+    DIFF_SECTIONS.forEach(section => {
+      const fromSection = fromDocument[section];
+      const toSection = toDocument[section];
+      const dataSources = {
+        from: this.getSectionDataSources(fromSection),
+        to: this.getSectionDataSources(toSection)
+      };
+
+      const changes = this.diffValues(fromSection, toSection).map(change => ({
+        ...change,
+        data_sources: change.change_type === 'removed' ? dataSources.from : dataSources.to
+      }));
+
+      fieldsChanged += changes.length;
+      sections[section] = {
+        changed: changes.length > 0,
+        changes,
+        data_sources: dataSources
+      };
+    });
+
+    return {
+      function_name: toDocument.function_name,
+      from: this.describeVersion(fromDocument),
+      to: this.describeVersion(toDocument),
+      summary: {
+        sections_changed: Object.keys(sections).filter(section => sections[section].changed),
+        fields_changed: fieldsChanged
+      },
+      metadata: metadataChanges,
+      sections
+    };
+  }
+
+  /**
+   * Produce a flat list of field changes between two values
+   */
+  static diffValues(oldValue, newValue, path = '') {
+    if (this.isEqual(oldValue, newValue)) {
+      return [];
+    }
+
+    if (oldValue === undefined || oldValue === null) {
+      return [{ path: path || '.', change_type: 'added', old_value: null, new_value: newValue }];
+    }
+
+    if (newValue === undefined || newValue === null) {
+      return [{ path: path || '.', change_type: 'removed', old_value: oldValue, new_value: null }];
+    }
+
+    if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+      return this.diffArrays(oldValue, newValue, path);
+    }
+
+    // Quantities are compared as values, so '60 minutes' stored before the
+    // value model and a { value: 60 } quantity are not reported as a change
+    const type = quantityType(oldValue) || quantityType(newValue);
+    if (type) {
+      return isSameQuantity(type, oldValue, newValue)
+        ? []
+        : [{ path: path || '.', change_type: 'modified', old_value: oldValue, new_value: newValue }];
+    }
+
+    if (this.isPlainObject(oldValue) && this.isPlainObject(newValue)) {
+      const keys = new Set([...Object.keys(oldValue), ...Object.keys(newValue)]);
+      return [...keys]
+        .filter(key => !IGNORED_FIELDS.includes(key))
+        .flatMap(key => this.diffValues(oldValue[key], newValue[key], path ? `${path}.${key}` : key));
+    }
+
+    return [{ path: path || '.', change_type: 'modified', old_value: oldValue, new_value: newValue }];
+  }
+
+  /**
+   * Lists of plain values are compared as sets, lists of objects position by position
+   */
+  static diffArrays(oldArray, newArray, path) {
+    const isPrimitiveList = [...oldArray, ...newArray].every(item => !this.isPlainObject(item) && !Array.isArray(item));
+
+    if (isPrimitiveList) {
+      return [{
+        path: path || '.',
+        change_type: 'modified',
+        old_value: oldArray,
+        new_value: newArray,
+        added: newArray.filter(item => !oldArray.includes(item)),
+        removed: oldArray.filter(item => !newArray.includes(item))
+      }];
+    }
+
+    const length = Math.max(oldArray.length, newArray.length);
+    const changes = [];
+    for (let index = 0; index < length; index++) {
+      changes.push(...this.diffValues(oldArray[index], newArray[index], `${path}[${index}]`));
+    }
+    return changes;
+  }
+
+  // Helpers
+  static describeVersion(document) {
+    return {
+      id: document.id,
+      version: document.version,
+      status: document.status,
+      generated_at: document.generated_at
+    };
+  }
+
+  static getSectionDataSources(section) {
+    return Array.isArray(section?.data_sources) ? section.data_sources : [];
+  }
+
+  static isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  static isEqual(a, b) {
+    if ((a === undefined || a === null) && (b === undefined || b === null)) {
+      return true;
+    }
+    return JSON.stringify(this.stripIgnored(a)) === JSON.stringify(this.stripIgnored(b));
+  }
+
+  static stripIgnored(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.stripIgnored(item));
+    }
+    if (this.isPlainObject(value)) {
+      return Object.keys(value)
+        .filter(key => !IGNORED_FIELDS.includes(key))
+        .sort()
+        .reduce((result, key) => ({ ...result, [key]: this.stripIgnored(value[key]) }), {});
+    }
+    return value;
+  }
+}
+
+BIADiffService.DIFF_SECTIONS = DIFF_SECTIONS;
+
+module.exports = BIADiffService;
@@ -0,0 +1,186 @@
+const BIAService = require('./BIAService');
+const DataIntegrationService = require('./DataIntegrationService');
+const RoosterService = require('./RoosterService');
+const ConnectorRegistry = require('./ConnectorRegistry');
+const ConnectorCache = require('./ConnectorCache');
+
+// Share of overall progress reached after each pipeline stage
+const PROGRESS = {
+  DATA_GATHERED: 60,
+  PREDICTIONS: 75,
+  FUSION_CHECKED: 90,
+  DOCUMENT: 100
+};
+
+class BIAGenerationService {
+
+  /**
+   * Run the full generation pipeline: gather connector data, run Rooster
+   * predictions, check Fusion, then build and store the BIA document.
+   *
+   * `onProgress(percent)` is called as stages complete and `onStep(event)`
+   * for every step start and outcome, including per-source failures and timing.
+   * `store(save, outcome)` stores the document: `save(executor)` builds and
+   * stores it, on `executor` when given, and `outcome` is the rest of the
+   * result. It defaults to saving outside any transaction.
+   */
+  static async run(input, { onProgress = async () => {}, onStep = async () => {}, store = save => save() } = {}) {
+    const { functionName, functionType, driName, driTeam, regionalOverlays, requestedBy } = input;
+
+    console.log(`🔄 Generating BIA for: ${functionName}`);
+
+    // A Registry application confirmed for an earlier version is looked up again
+    const registryAppName = await BIAService.resolveRegistryAppName(functionName, input.registryAppName);
+    const request = { ...input, registryAppName };
+
+    // Steps 1-2: Gather data from all sources and run Rooster
+    const { autoPopulatedData, dataSourceStatus, dataSourceCache } = await this.gatherData(request, { onProgress, onStep });
+
+    // Step 3: Check Fusion for existing records. An unavailable Fusion
+    // degrades the result instead of failing it.
+    const fusionCheck = await this.runStep('fusion', 'Fusion check', () =>
+      DataIntegrationService.checkFusionRecord(functionName)
+        .catch(error => ({ exists: null, status: 'unavailable', degraded: true, error: error.message })), onStep, {
+        succeeded: 'Fusion checked',
+        failed: 'Fusion check failed',
+        outcome: check => (check?.degraded
+          ? { status: 'fallback', message: `Fusion check skipped: ${check.error}` }
+          : {
+            status: 'succeeded',
+            message: check?.exists ? `Fusion checked: existing record ${check.record_id}` : 'Fusion checked: no existing record'
+          })
+      });
+    await onProgress(PROGRESS.FUSION_CHECKED);
+
+    // Step 4: Generate and store the BIA document
+    const outcome = {
+      fusionStatus: fusionCheck,
+      dataSourceStatus,
+      dataSourceCache,
+      generatedAt: new Date().toISOString()
+    };
+    const save = executor => BIAService.generateBIA({
+      functionName,
+      functionType,
+      driName,
+      driTeam,
+      registryAppName,
+      regionalOverlays,
+      requestedBy,
+      autoPopulatedData
+    }, executor);
+    const biaDocument = await this.runStep('document', 'BIA document', () => store(save, outcome), onStep, {
+      succeeded: 'BIA document generated',
+      failed: 'BIA document generation failed',
+      outcome: document => ({ status: 'succeeded', message: `BIA document generated (version ${document.version})` })
+    });
+    await onProgress(PROGRESS.DOCUMENT);
+
+    return { bia: biaDocument, ...outcome };
+  }
+
+  /**
+   * Pull data from every enabled connector in parallel and run Rooster
+   * predictions on it. Failed sources (including timeouts and open circuit
+   * breakers) are reported as 'rejected' and disabled ones as 'disabled';
+   * both are passed on as null.
+   *
+   * Connector responses go through ConnectorCache; `fresh: true` refetches
+   * every source instead of serving cached copies.
+   */
+  static async gatherData(request, { onProgress = async () => {}, onStep = async () => {}, fresh = false } = {}) {
+    // Step 1: Gather data from all sources
+    const connectors = ConnectorRegistry.list();
+    let settledSources = 0;
+    const sourceResults = await Promise.allSettled(connectors.map(connector =>
+      this.runStep(connector.id, connector.label, () => this.fetchSource(connector, request, { fresh }), onStep, {
+        succeeded: `${connector.label} fetched`,
+        failed: `${connector.label} failed`,
+        outcome: data => this.describeCacheOutcome(connector, data)
+      }).finally(() => {
+        settledSources++;
+        return onProgress(Math.round((settledSources / connectors.length) * PROGRESS.DATA_GATHERED));
+      })
+    ));
+
+    const autoPopulatedData = {};
+    const dataSourceStatus = {};
+    const dataSourceCache = {};
+    ConnectorRegistry.list({ includeDisabled: true }).forEach(connector => {
+      autoPopulatedData[connector.dataKey] = null;
+      dataSourceStatus[connector.dataKey] = 'disabled';
+    });
+    connectors.forEach((connector, index) => {
+      const result = sourceResults[index];
+      autoPopulatedData[connector.dataKey] = result.status === 'fulfilled' ? result.value : null;
+      dataSourceStatus[connector.dataKey] = result.status;
+      if (result.status === 'fulfilled' && result.value?.cache) {
+        dataSourceCache[connector.dataKey] = result.value.cache;
+      }
+    });
+
+    // Step 2: Use Rooster for predictive analysis
+    autoPopulatedData.predictions = await this.runStep('rooster', 'Rooster predictions', () =>
+      RoosterService.generatePredictions(request.functionName, {
+        registryData: autoPopulatedData.registry,
+        monitoringData: autoPopulatedData.monitoring,
+        pagerDutyData: autoPopulatedData.pagerDuty
+      }), onStep, {
+        succeeded: 'Rooster predictions generated',
+        failed: 'Rooster failed',
+        // Rooster falls back to benchmark predictions instead of throwing
+        outcome: predictions => predictions?.rooster_version === 'fallback'
+          ? { status: 'fallback', message: `Rooster fell back to benchmark predictions${predictions.fallback_reason ? `: ${predictions.fallback_reason}` : ''}` }
+          : null
+      });
+    await onProgress(PROGRESS.PREDICTIONS);
+
+    return { autoPopulatedData, dataSourceStatus, dataSourceCache };
+  }
+
+  static fetchSource(connector, request, { fresh = false } = {}) {
+    return ConnectorCache.fetch(connector, connector.subjectFor(request), { request, fresh });
+  }
+
+  /**
+   * Step outcome for connector responses served from the cache
+   */
+  static describeCacheOutcome(connector, data) {
+    const cache = data?.cache;
+    if (cache?.status === ConnectorCache.CACHE_STATUSES.HIT) {
+      return { status: 'succeeded', message: `${connector.label} served from cache (${cache.age_seconds}s old)`, cache };
+    }
+    if (cache?.status === ConnectorCache.CACHE_STATUSES.STALE) {
+      return { status: 'succeeded', message: `${connector.label} served from stale cache (${cache.age_seconds}s old), refreshing in background`, cache };
+    }
+    return null;
+  }
+
+  /**
+   * Time a pipeline step and report its start and outcome through `onStep`.
+   * Rejections are reported and re-thrown so callers keep their own handling.
+   */
+  static async runStep(step, label, fn, onStep, messages) {
+    const startedAt = Date.now();
+    await onStep({ step, label, status: 'started', message: `${label}...` });
+
+    try {
+      const result = await fn();
+      const outcome = (messages.outcome && messages.outcome(result)) || { status: 'succeeded', message: messages.succeeded };
+      await onStep({ step, label, ...outcome, duration_ms: Date.now() - startedAt });
+      return result;
+    } catch (error) {
+      await onStep({
+        step,
+        label,
+        status: 'failed',
+        message: `${messages.failed}: ${error.message}`,
+        error: error.message,
+        duration_ms: Date.now() - startedAt
+      });
+      throw error;
+    }
+  }
+}
+
+module.exports = BIAGenerationService;
@@ -0,0 +1,297 @@
+const { v4: uuidv4 } = require('uuid');
+const importMappings = require('../../config/importMappings');
+const BIARepository = require('../models/BIARepository');
+const BIAService = require('./BIAService');
+const AuditService = require('./AuditService');
+const SectionOverrideService = require('./SectionOverrideService');
+const { isValidPath, setPath } = require('../utils/objectPath');
+const { parseCSVRecords } = require('../utils/csv');
+const { QUANTITY_UNITS, toQuantity } = require('../utils/units');
+const { ValidationError } = require('../utils/errors');
+
+// Provenance given to everything carried over from the spreadsheet process
+const LEGACY_SOURCE = 'Legacy Import';
+const LEGACY_CONFIDENCE = 0.3;
+
+const METADATA_FIELDS = ['function_name', 'function_type', 'dri_name', 'dri_team'];
+const REQUIRED_FIELDS = ['function_name', 'function_type'];
+
+const MAX_IMPORT_ROWS = 5000;
+const LIST_SEPARATOR = ';';
+
+class BIAImportService {
+
+  /**
+   * Import legacy BIAs from CSV text or JSON records. Valid rows are stored
+   * as draft version 1.0 documents; invalid rows are reported and skipped.
+   * With `dryRun` nothing is written and the same report is returned.
+   * @throws {ValidationError} when the input or mapping is unusable as a whole
+   */
+  static async importBIAs({ csv, records, mapping, dryRun = false }, { user } = {}) {
+    const resolvedMapping = this.resolveMapping(mapping);
+    const rows = this.readRows({ csv, records });
+
+    const importedAt = new Date().toISOString();
+    const results = rows.map(({ row, record }) => ({ row, ...this.buildDocument(record, resolvedMapping, importedAt) }));
+
+    await this.flagDuplicates(results);
+
+    if (!dryRun) {
+      for (const result of results.filter(item => item.errors.length === 0)) {
+        await this.storeDocument(result, user);
+      }
+    }
+
+    const invalid = results.filter(result => result.errors.length > 0);
+    console.log(`📥 Legacy import${dryRun ? ' (dry run)' : ''}: ${results.length - invalid.length}/${results.length} rows valid`);
+
+    return {
+      dry_run: dryRun,
+      total_rows: results.length,
+      valid_rows: results.length - invalid.length,
+      invalid_rows: invalid.length,
+      imported: results.filter(result => result.bia_id).length,
+      errors: invalid.flatMap(result => result.errors.map(error => ({ row: result.row, ...error }))),
+      rows: results.map(result => ({
+        row: result.row,
+        function_name: result.document?.function_name || null,
+        status: this.rowStatus(result, dryRun),
+        ...(result.bia_id && { bia_id: result.bia_id, version: result.document.version }),
+        ...(result.errors.length > 0 && { errors: result.errors })
+      }))
+    };
+  }
+
+  /**
+   * Resolve a named mapping from config or validate an inline one
+   * @throws {ValidationError} for unknown names or invalid target fields
+   */
+  static resolveMapping(mapping = 'default') {
+    const source = typeof mapping === 'string' ? importMappings[mapping] : mapping;
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+      throw new ValidationError(`Unknown import mapping: ${mapping}`, { mappings: Object.keys(importMappings) });
+    }
+
+    const resolved = {};
+    const invalidTargets = [];
+
+    Object.entries(source).forEach(([target, spec]) => {
+      const columns = Array.isArray(spec) ? spec : typeof spec === 'string' ? [spec] : spec?.columns;
+      const type = spec?.type || null;
+      if (!this.isValidTarget(target) || !Array.isArray(columns) || columns.length === 0 || (type && !QUANTITY_UNITS[type])) {
+        invalidTargets.push(target);
+        return;
+      }
+      resolved[target] = { columns: columns.map(column => String(column).trim().toLowerCase()), list: Boolean(spec.list), type };
+    });
+
+    const missing = REQUIRED_FIELDS.filter(field => !resolved[field]);
+    if (invalidTargets.length > 0 || missing.length > 0) {
+      throw new ValidationError('Invalid import mapping', {
+        invalid_targets: invalidTargets,
+        missing_required: missing,
+        allowed_targets: [...METADATA_FIELDS, ...SectionOverrideService.EDITABLE_SECTIONS.map(section => `${section}.<field>`)],
+        allowed_types: Object.keys(QUANTITY_UNITS)
+      });
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Normalize CSV text or JSON records into numbered rows
+   * @throws {ValidationError} when the input is missing, malformed or too large
+   */
+  static readRows({ csv, records }) {
+    if ((csv === undefined) === (records === undefined)) {
+      throw new ValidationError('Provide either CSV content or JSON records to import');
+    }
+
+    let rows;
+    if (csv !== undefined) {
+      try {
+        rows = parseCSVRecords(csv).records.map(({ __row, ...record }) => ({ row: __row, record }));
+      } catch (error) {
+        throw new ValidationError(`CSV could not be parsed: ${error.message}`);
+      }
+    } else {
+      if (!Array.isArray(records)) {
+        throw new ValidationError('records must be an array of objects');
+      }
+      rows = records.map((record, index) => ({ row: index + 1, record }));
+    }
+
+    if (rows.length === 0) {
+      throw new ValidationError('No rows to import');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new ValidationError(`Imports are limited to ${MAX_IMPORT_ROWS} rows per request`, { total_rows: rows.length });
+    }
+
+    return rows;
+  }
+
+  /**
+   * Map one source record onto a BIA document marked as legacy content
+   */
+  static buildDocument(record, mapping, importedAt) {
+    const errors = [];
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return { document: null, errors: [{ field: null, message: 'Row must be an object' }] };
+    }
+
+    const cells = Object.fromEntries(Object.entries(record).map(([column, value]) => [column.trim().toLowerCase(), value]));
+    const document = {
+      id: uuidv4(),
+      status: 'draft',
+      version: '1.0',
+      generated_at: importedAt,
+      regional_overlays: [],
+      predictive_analysis: null
+    };
+    const sections = {};
+
+    Object.entries(mapping).forEach(([target, { columns, list, type }]) => {
+      let value = this.readCell(cells, columns, list);
+      if (value === null) return;
+
+      if (METADATA_FIELDS.includes(target)) {
+        document[target] = String(value).trim();
+        return;
+      }
+
+      if (type) {
+        value = toQuantity(type, typeof value === 'string' ? value.trim() : value);
+        if (value.value === null) {
+          errors.push({ field: target, message: `'${value.display}' is not a valid ${type}` });
+          return;
+        }
+      }
+
+      const [section, ...path] = target.split('.');
+      sections[section] = sections[section] || {};
+      setPath(sections[section], path.join('.'), value);
+    });
+
+    if (!document.function_name) {
+      errors.push({ field: 'function_name', message: 'Function name is required' });
+    } else if (document.function_name.length > 255) {
+      errors.push({ field: 'function_name', message: 'Function name must be at most 255 characters' });
+    }
+
+    if (!document.function_type) {
+      errors.push({ field: 'function_type', message: 'Function type is required' });
+    } else {
+      document.function_type = document.function_type.toLowerCase();
+      if (!BIAService.FUNCTION_TYPES.includes(document.function_type)) {
+        errors.push({
+          field: 'function_type',
+          message: `Invalid function type '${document.function_type}'; expected one of: ${BIAService.FUNCTION_TYPES.join(', ')}`
+        });
+      }
+    }
+
+    SectionOverrideService.EDITABLE_SECTIONS.forEach(section => {
+      document[section] = sections[section]
+        ? { ...sections[section], confidence_score: LEGACY_CONFIDENCE, data_sources: [LEGACY_SOURCE], auto_populated: false }
+        : null;
+    });
+
+    const importedSections = Object.keys(sections).length;
+    document.data_sources = [{ key: 'legacy', name: LEGACY_SOURCE, status: 'imported', confidence: LEGACY_CONFIDENCE, last_updated: importedAt }];
+    document.confidence_assessment = {
+      overall_confidence: LEGACY_CONFIDENCE,
+      data_completeness: (importedSections / SectionOverrideService.EDITABLE_SECTIONS.length) * 100,
+      confidence_level: 'Low',
+      recommendations: [
+        'Review content carried over from the legacy BIA process',
+        'Regenerate from live data sources to replace legacy values'
+      ]
+    };
+
+    return { document, errors };
+  }
+
+  /**
+   * Reject rows whose function already has a BIA or appears earlier in the import
+   */
+  static async flagDuplicates(results) {
+    const valid = results.filter(result => result.errors.length === 0);
+    const existing = new Set(await BIARepository.findExistingFunctionNames(valid.map(result => result.document.function_name)));
+    const seen = new Map();
+
+    valid.forEach(result => {
+      const name = result.document.function_name;
+      if (existing.has(name)) {
+        result.errors.push({ field: 'function_name', message: `A BIA already exists for '${name}'` });
+      } else if (seen.has(name)) {
+        result.errors.push({ field: 'function_name', message: `Duplicate of row ${seen.get(name)}` });
+      } else {
+        seen.set(name, result.row);
+      }
+    });
+  }
+
+  static async storeDocument(result, user) {
+    try {
+      const stored = await BIARepository.insert(result.document);
+      result.bia_id = stored.id;
+
+      await AuditService.record({
+        biaId: stored.id,
+        action: AuditService.AUDIT_ACTIONS.IMPORT,
+        user,
+        newValues: { id: stored.id, version: stored.version, status: stored.status, source: LEGACY_SOURCE },
+        comments: `Imported from legacy BIA row ${result.row}`
+      });
+    } catch (error) {
+      const message = BIARepository.isUniqueViolation(error)
+        ? `A BIA already exists for '${result.document.function_name}'`
+        : `Could not be stored: ${error.message}`;
+      console.error(`❌ Legacy import of row ${result.row} failed:`, error);
+      result.errors.push({ field: null, message });
+    }
+  }
+
+  // Helpers
+  static isValidTarget(target) {
+    if (METADATA_FIELDS.includes(target)) {
+      return true;
+    }
+
+    const [section, field] = String(target).split('.');
+    return isValidPath(target)
+      && SectionOverrideService.EDITABLE_SECTIONS.includes(section)
+      && Boolean(field)
+      && !SectionOverrideService.PROTECTED_FIELDS.includes(field);
+  }
+
+  /**
+   * First non-empty cell among the candidate columns, or null
+   */
+  static readCell(cells, columns, list) {
+    for (const column of columns) {
+      const value = cells[column];
+      if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) continue;
+
+      if (list) {
+        return Array.isArray(value)
+          ? value
+          : String(value).split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+      }
+      return typeof value === 'string' ? value.trim() : value;
+    }
+    return null;
+  }
+
+  static rowStatus(result, dryRun) {
+    if (result.errors.length > 0) return 'invalid';
+    return dryRun ? 'valid' : 'imported';
+  }
+}
+
+BIAImportService.LEGACY_SOURCE = LEGACY_SOURCE;
+BIAImportService.LEGACY_CONFIDENCE = LEGACY_CONFIDENCE;
+BIAImportService.MAX_IMPORT_ROWS = MAX_IMPORT_ROWS;
+
+module.exports = BIAImportService;
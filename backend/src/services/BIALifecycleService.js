@@ -0,0 +1,116 @@
+const BIARepository = require('../models/BIARepository');
+const ChangeRequestRepository = require('../models/ChangeRequestRepository');
+const AuditService = require('./AuditService');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+// Legal lifecycle transitions, keyed by transition name
+const TRANSITIONS = {
+  submit: { from: ['draft'], to: 'pending_approval' },
+  approve: { from: ['pending_approval'], to: 'approved' },
+  reject: { from: ['pending_approval'], to: 'rejected' },
+  return_to_draft: { from: ['pending_approval', 'rejected'], to: 'draft' },
+  request_changes: { from: ['pending_approval', 'approved', 'rejected'], to: 'draft' },
+  archive: { from: ['draft', 'approved', 'rejected'], to: 'archived' }
+};
+
+class BIALifecycleService {
+
+  /**
+   * Apply a lifecycle transition to a BIA. With `client`, the transition and
+   * its audit entry are part of the caller's transaction.
+   * @throws {NotFoundError} when the BIA does not exist
+   * @throws {ConflictError} when the transition is not legal from the current status,
+   *   or when submitting a BIA that still has open change requests
+   */
+  static async transition(biaId, transitionName, { user, comments, client } = {}) {
+    const transition = TRANSITIONS[transitionName];
+    if (!transition) {
+      throw new Error(`Unknown lifecycle transition: ${transitionName}`);
+    }
+
+    const bia = await BIARepository.findById(biaId, client);
+    if (!bia) {
+      throw new NotFoundError('BIA not found');
+    }
+
+    this.assertTransitionAllowed(bia, transitionName);
+
+    if (transitionName === 'submit') {
+      const openChangeRequests = await ChangeRequestRepository.countOpen(biaId);
+      if (openChangeRequests > 0) {
+        throw new ConflictError('Resolve open change requests before submitting the BIA', {
+          current_status: bia.status,
+          open_change_requests: openChangeRequests
+        });
+      }
+    }
+
+    console.log(`🔀 BIA ${biaId}: ${bia.status} -> ${transition.to} (${transitionName})`);
+
+    const updated = await BIARepository.transitionStatus(biaId, bia.status, transition.to, {
+      approvedBy: user?.name || user?.id || null,
+      comments: comments || null
+    }, client);
+
+    if (!updated) {
+      // Another request changed the status between our read and the update
+      const current = await BIARepository.findById(biaId, client);
+      throw new ConflictError('BIA status changed concurrently', {
+        current_status: current?.status,
+        allowed_transitions: current ? this.getAllowedTransitions(current.status) : []
+      });
+    }
+
+    await AuditService.record({
+      biaId,
+      action: transitionName === 'approve' ? AuditService.AUDIT_ACTIONS.APPROVE : AuditService.AUDIT_ACTIONS.STATUS_CHANGE,
+      user,
+      oldValues: { status: bia.status },
+      newValues: { status: updated.status, transition: transitionName },
+      comments
+    }, client);
+
+    return updated;
+  }
+
+  /**
+   * @throws {ConflictError} when the transition is not legal from the BIA's status
+   */
+  static assertTransitionAllowed(bia, transitionName) {
+    if (!TRANSITIONS[transitionName].from.includes(bia.status)) {
+      throw new ConflictError(`Cannot ${transitionName.replace(/_/g, ' ')} a BIA in status '${bia.status}'`, {
+        current_status: bia.status,
+        allowed_transitions: this.getAllowedTransitions(bia.status)
+      });
+    }
+  }
+
+  /**
+   * Load a BIA that is about to be pushed to Fusion
+   * @throws {NotFoundError} when the BIA does not exist
+   * @throws {ConflictError} when the BIA has not been approved
+   */
+  static async getPushableBIA(biaId) {
+    const bia = await BIARepository.findById(biaId);
+    if (!bia) {
+      throw new NotFoundError('BIA not found');
+    }
+
+    if (bia.status !== 'approved') {
+      throw new ConflictError('Only approved BIAs can be pushed to Fusion', {
+        current_status: bia.status,
+        allowed_transitions: this.getAllowedTransitions(bia.status)
+      });
+    }
+
+    return bia;
+  }
+
+  static getAllowedTransitions(status) {
+    return Object.keys(TRANSITIONS).filter(name => TRANSITIONS[name].from.includes(status));
+  }
+}
+
+BIALifecycleService.TRANSITIONS = TRANSITIONS;
+
+module.exports = BIALifecycleService;
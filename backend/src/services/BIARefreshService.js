@@ -0,0 +1,167 @@
+const refreshConfig = require('../../config/refresh');
+const BIARepository = require('../models/BIARepository');
+const RefreshRunRepository = require('../models/RefreshRunRepository');
+const BIAService = require('./BIAService');
+const BIAGenerationService = require('./BIAGenerationService');
+const MaterialityService = require('./MaterialityService');
+const { SYSTEM_USER } = require('../middleware/currentUser');
+const { ConflictError } = require('../utils/errors');
+
+// Per-BIA outcomes of a refresh run
+const OUTCOMES = {
+  DRAFT_CREATED: 'draft_created',
+  UNCHANGED: 'unchanged',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+};
+
+class BIARefreshService {
+
+  /**
+   * Start a refresh run record
+   * @throws {ConflictError} when another run is already in progress
+   */
+  static async startRun({ trigger, user }) {
+    const abandoned = await RefreshRunRepository.failStale(refreshConfig.staleAfterMs);
+    abandoned.forEach(run => console.warn(`⚠️ Marked abandoned refresh run ${run.id} as failed`));
+
+    const run = await RefreshRunRepository.start({ trigger, user });
+    if (!run) {
+      const running = await RefreshRunRepository.findRunning();
+      throw new ConflictError('A refresh run is already in progress', { running_run_id: running?.id || null });
+    }
+
+    console.log(`🔁 Refresh run ${run.id} started (${trigger})`);
+    return run;
+  }
+
+  /**
+   * Refresh every approved BIA (or just `biaIds`) and record the run summary.
+   * The run heartbeats before each BIA and stops once it is no longer running.
+   */
+  static async executeRun(run, { biaIds } = {}) {
+    try {
+      const ids = biaIds || await BIARepository.listIdsByStatus('approved');
+      const results = [];
+
+      // One BIA at a time keeps the load on the upstream sources predictable
+      for (const biaId of ids) {
+        if (!(await RefreshRunRepository.heartbeat(run.id))) {
+          console.warn(`⚠️ Refresh run ${run.id} is no longer running; stopped after ${results.length} of ${ids.length} BIAs`);
+          return null;
+        }
+        results.push(await this.refreshBIA(biaId));
+      }
+
+      const counts = {
+        bias_checked: results.length,
+        drafts_created: results.filter(result => result.outcome === OUTCOMES.DRAFT_CREATED).length,
+        unchanged: results.filter(result => result.outcome === OUTCOMES.UNCHANGED).length,
+        skipped: results.filter(result => result.outcome === OUTCOMES.SKIPPED).length,
+        failed: results.filter(result => result.outcome === OUTCOMES.FAILED).length
+      };
+
+      const completed = await RefreshRunRepository.complete(run.id, { counts, results });
+      if (!completed) {
+        console.warn(`⚠️ Refresh run ${run.id} was no longer running when it finished; results not recorded`);
+        return null;
+      }
+      console.log(`✅ Refresh run ${run.id} completed: ${counts.drafts_created} drafts from ${counts.bias_checked} BIAs`);
+      return completed;
+
+    } catch (error) {
+      console.error(`❌ Refresh run ${run.id} failed:`, error);
+      await RefreshRunRepository.markFailed(run.id, error.message)
+        .catch(markError => console.error(`❌ Could not mark refresh run ${run.id} failed:`, markError));
+      return null;
+    }
+  }
+
+  /**
+   * Re-pull source data for an approved BIA and open a new draft version
+   * when a materiality rule fires. Never throws; failures become results.
+   */
+  static async refreshBIA(biaId) {
+    const startedAt = Date.now();
+    const result = { bia_id: biaId };
+
+    try {
+      const bia = await BIARepository.findById(biaId);
+      if (!bia) {
+        return { ...result, outcome: OUTCOMES.SKIPPED, reason: 'BIA not found' };
+      }
+
+      Object.assign(result, { function_name: bia.function_name, version: bia.version });
+
+      if (bia.status !== 'approved') {
+        return { ...result, outcome: OUTCOMES.SKIPPED, reason: `BIA is ${bia.status}, only approved BIAs are refreshed` };
+      }
+
+      // A newer version (e.g. an earlier refresh draft) is already waiting for review
+      const latest = await BIARepository.findLatestByFunctionName(bia.function_name);
+      if (latest && latest.id !== bia.id) {
+        return { ...result, outcome: OUTCOMES.SKIPPED, reason: `Newer version ${latest.version} exists (${latest.status})` };
+      }
+
+      const request = {
+        functionName: bia.function_name,
+        functionType: bia.function_type,
+        driName: bia.dri_name,
+        driTeam: bia.dri_team,
+        registryAppName: bia.registry_app_name,
+        regionalOverlays: (bia.regional_overlays || []).map(overlay => ({ region: overlay.region }))
+      };
+
+      // A refresh compares against current source data, so cached responses are skipped
+      const { autoPopulatedData, dataSourceStatus } = await BIAGenerationService.gatherData(request, { fresh: true });
+      const candidate = BIAService.buildBIADocument({ ...request, autoPopulatedData }, bia);
+
+      const unavailableSources = Object.keys(dataSourceStatus).filter(source => dataSourceStatus[source] !== 'fulfilled');
+      if (autoPopulatedData.predictions?.rooster_version === 'fallback') {
+        unavailableSources.push('rooster');
+      }
+
+      const materiality = MaterialityService.evaluate(bia, candidate, { unavailableSources });
+      Object.assign(result, {
+        triggered_rules: materiality.triggered,
+        skipped_rules: materiality.skipped,
+        unavailable_sources: unavailableSources
+      });
+
+      if (!materiality.material) {
+        return { ...result, outcome: OUTCOMES.UNCHANGED, duration_ms: Date.now() - startedAt };
+      }
+
+      const draft = await BIAService.saveGeneratedBIA(candidate, bia, {
+        user: SYSTEM_USER,
+        comments: `Scheduled refresh: ${materiality.triggered.map(rule => rule.message).join('; ')}`
+      });
+
+      console.log(`📈 Material change for ${bia.function_name}: draft ${draft.version} created`);
+
+      return {
+        ...result,
+        outcome: OUTCOMES.DRAFT_CREATED,
+        new_bia_id: draft.id,
+        new_version: draft.version,
+        duration_ms: Date.now() - startedAt
+      };
+
+    } catch (error) {
+      console.error(`❌ Refresh of BIA ${biaId} failed:`, error);
+      return { ...result, outcome: OUTCOMES.FAILED, error: error.message, duration_ms: Date.now() - startedAt };
+    }
+  }
+
+  static async getRun(id) {
+    return RefreshRunRepository.findById(id);
+  }
+
+  static async listRuns(filters = {}) {
+    return RefreshRunRepository.list(filters);
+  }
+}
+
+BIARefreshService.OUTCOMES = OUTCOMES;
+
+module.exports = BIARefreshService;
@@ -1,64 +1,38 @@
 const { v4: uuidv4 } = require('uuid');
 const { format } = require('date-fns');
+const BIARepository = require('../models/BIARepository');
+const BIADiffService = require('./BIADiffService');
+const AuditService = require('./AuditService');
+const BIALifecycleService = require('./BIALifecycleService');
+const DataIntegrationService = require('./DataIntegrationService');
+const ConnectorRegistry = require('./ConnectorRegistry');
+const SectionOverrideService = require('./SectionOverrideService');
+const ImpactModelService = require('./ImpactModelService');
+const ConfidenceScoringService = require('./ConfidenceScoringService');
+const LineageService = require('./LineageService');
+const { duration, percentage, currency } = require('../utils/units');
+
+const MAX_VERSION_ATTEMPTS = 3;
+
+// Allowed bia_documents.function_type values
+const FUNCTION_TYPES = ['product', 'platform', 'support', 'infrastructure', 'compliance'];
 
 class BIAService {
   
   /**
-   * Generate comprehensive BIA document with auto-populated data
+   * Generate comprehensive BIA document with auto-populated data. With an
+   * `executor` the document is read, stored and audited on that transaction.
    */
-  static async generateBIA(biaRequest) {
+  static async generateBIA(biaRequest, executor) {
     try {
-      const {
-        functionName,
-        functionType,
-        driName,
-        driTeam,
-        regionalOverlays,
-        autoPopulatedData
-      } = biaRequest;
+      const { functionName, requestedBy } = biaRequest;
 
       console.log(`📋 Generating BIA document for: ${functionName}`);
 
-      const biaId = uuidv4();
-      const generatedAt = new Date();
-
-      // Generate comprehensive BIA document
-      const biaDocument = {
-        // Basic Information
-        id: biaId,
-        function_name: functionName,
-        function_type: functionType,
-        dri_name: driName,
-        dri_team: driTeam,
-        generated_at: generatedAt.toISOString(),
-        status: 'draft',
-        version: '1.0',
-
-        // Auto-populated sections
-        personnel_information: this.generatePersonnelSection(autoPopulatedData.hr, autoPopulatedData.pagerDuty),
-        business_impact: this.generateBusinessImpactSection(autoPopulatedData.financial, autoPopulatedData.predictions),
-        technology_dependencies: this.generateTechnologySection(autoPopulatedData.registry),
-        recovery_requirements: this.generateRecoverySection(autoPopulatedData.predictions, autoPopulatedData.monitoring),
-        risk_compliance: this.generateRiskComplianceSection(autoPopulatedData.registry, functionType),
-        iso_22301_compliance: this.generateISO22301Section(functionType, autoPopulatedData.predictions),
-
-        // Regional overlays
-        regional_overlays: regionalOverlays ? this.generateRegionalOverlays(regionalOverlays) : [],
-
-        // Predictive analysis from Rooster
-        predictive_analysis: autoPopulatedData.predictions,
-
-        // Data source tracking
-        data_sources: this.generateDataSourceSummary(autoPopulatedData),
-
-        // Confidence scoring
-        confidence_assessment: this.calculateConfidenceScores(autoPopulatedData)
-      };
-
-      // Store BIA in database (scaffolding)
-      await this.storeBIA(biaDocument);
+      const previousVersion = await BIARepository.findLatestByFunctionName(functionName, executor);
+      const biaDocument = this.buildBIADocument(biaRequest, previousVersion);
 
-      return biaDocument;
+      return await this.saveGeneratedBIA(biaDocument, previousVersion, { user: requestedBy }, executor);
 
     } catch (error) {
       console.error('❌ BIA generation error:', error);
@@ -66,6 +40,92 @@ class BIAService {
     }
   }
 
+  /**
+   * Registry application a generation looks up: the one given, else the one
+   * confirmed for an earlier version of the function
+   */
+  static async resolveRegistryAppName(functionName, registryAppName) {
+    if (registryAppName) return registryAppName;
+
+    const previousVersion = await BIARepository.findLatestByFunctionName(functionName);
+    return previousVersion?.registry_app_name || null;
+  }
+
+  /**
+   * Build the next version of a function's BIA document without storing it.
+   * A request without a confirmed Registry application keeps the previous version's.
+   */
+  static buildBIADocument(biaRequest, previousVersion) {
+    const {
+      functionName,
+      functionType,
+      driName,
+      driTeam,
+      registryAppName,
+      regionalOverlays,
+      autoPopulatedData
+    } = biaRequest;
+
+    const generatedAt = new Date();
+    const impactAnalysis = ImpactModelService.analyze(autoPopulatedData.financial, functionType);
+
+    // Generate comprehensive BIA document
+    const biaDocument = {
+      // Basic Information
+      id: uuidv4(),
+      function_name: functionName,
+      function_type: functionType,
+      dri_name: driName,
+      dri_team: driTeam,
+      registry_app_name: registryAppName || previousVersion?.registry_app_name || null,
+      generated_at: generatedAt.toISOString(),
+      status: 'draft',
+      version: this.getNextVersion(previousVersion),
+
+      // Auto-populated sections
+      personnel_information: this.generatePersonnelSection(autoPopulatedData.hr, autoPopulatedData.pagerDuty),
+      business_impact: this.generateBusinessImpactSection(autoPopulatedData.financial, autoPopulatedData.predictions, impactAnalysis),
+      technology_dependencies: this.generateTechnologySection(autoPopulatedData.registry),
+      recovery_requirements: this.generateRecoverySection(autoPopulatedData.predictions, autoPopulatedData.monitoring, autoPopulatedData.pagerDuty),
+      risk_compliance: this.generateRiskComplianceSection(autoPopulatedData.registry, functionType),
+      iso_22301_compliance: this.generateISO22301Section(functionType, autoPopulatedData.predictions, impactAnalysis),
+
+      // Regional overlays
+      regional_overlays: regionalOverlays ? this.generateRegionalOverlays(regionalOverlays) : [],
+
+      // Predictive analysis from Rooster
+      predictive_analysis: autoPopulatedData.predictions,
+
+      // Data source tracking
+      data_sources: this.generateDataSourceSummary(autoPopulatedData)
+    };
+    biaDocument.lineage = LineageService.build(biaDocument, autoPopulatedData);
+
+    // Manual overrides from the previous version survive the refresh and are
+    // scored as reviewer-set values
+    SectionOverrideService.carryForward(previousVersion, biaDocument);
+    return this.applyConfidenceScores(biaDocument);
+  }
+
+  /**
+   * Store a built document as a new version of its function and audit the generation
+   */
+  static async saveGeneratedBIA(biaDocument, previousVersion, { user, comments } = {}, executor) {
+    // Store BIA in database as a new version of the function
+    await this.storeNewVersion(biaDocument, executor);
+
+    await AuditService.record({
+      biaId: biaDocument.id,
+      action: AuditService.AUDIT_ACTIONS.GENERATE,
+      user,
+      oldValues: previousVersion ? { id: previousVersion.id, version: previousVersion.version } : null,
+      newValues: { id: biaDocument.id, version: biaDocument.version, status: biaDocument.status },
+      comments
+    }, executor);
+
+    return biaDocument;
+  }
+
   /**
    * Generate personnel information section
    */
@@ -91,29 +151,27 @@ class BIAService {
   }
 
   /**
-   * Generate business impact section
+   * Generate business impact section from the modelled cost of downtime
    */
-  static generateBusinessImpactSection(financialData, predictions) {
-    const impactMatrix = this.calculateImpactMatrix(financialData);
-    
+  static generateBusinessImpactSection(financialData, predictions, impactAnalysis) {
     return {
-      daily_revenue_impact: financialData?.daily_revenue_impact || 'TBD',
-      monthly_revenue_impact: financialData?.monthly_revenue_impact || 'TBD',
+      daily_revenue_impact: currency(financialData?.daily_revenue_impact),
+      monthly_revenue_impact: currency(financialData?.monthly_revenue_impact),
       active_customers: financialData?.active_customers || 'TBD',
       transaction_volume: financialData?.transaction_volume || { daily: 'TBD', peak_hourly: 'TBD' },
-      customer_segments: financialData?.customer_segments || { enterprise: 'TBD', smb: 'TBD', consumer: 'TBD' },
-      
-      impact_timeline: {
-        '1_4_hours': impactMatrix.low,
-        '4_24_hours': impactMatrix.medium,
-        '1_7_days': impactMatrix.high,
-        '7_plus_days': impactMatrix.critical
+      customer_segments: {
+        enterprise: percentage(financialData?.customer_segments?.enterprise),
+        smb: percentage(financialData?.customer_segments?.smb),
+        consumer: percentage(financialData?.customer_segments?.consumer)
       },
       
+      impact_timeline: impactAnalysis.impact_timeline,
+      downtime_cost_curve: impactAnalysis.curve,
+      
       predictive_impact: {
-        twelve_month_forecast: predictions?.performance_predictions?.availability_forecast || 'TBD',
+        twelve_month_forecast: percentage(predictions?.performance_predictions?.availability_forecast),
         risk_level: predictions?.risk_assessment?.overall_risk || 'Medium',
-        improvement_potential: predictions?.rto_analysis?.improvement_potential || 'TBD'
+        improvement_potential: percentage(predictions?.rto_analysis?.improvement_potential)
       },
       
       confidence_score: financialData?.confidence_score || 0.6,
@@ -147,42 +205,60 @@ class BIAService {
   }
 
   /**
-   * Generate recovery requirements section
+   * Generate recovery requirements section. MTTR, MTTA and the incident
+   * history come from PagerDuty's incident analytics over its longest window.
    */
-  static generateRecoverySection(predictions, monitoringData) {
+  static generateRecoverySection(predictions, monitoringData, pagerDutyData) {
+    const incidentStats = pagerDutyData?.incident_stats;
+
     return {
       rto: {
-        current: predictions?.rto_analysis?.current_estimate || '4 hours',
-        target: predictions?.rto_analysis?.twelve_month_forecast || '2 hours',
+        current: duration(predictions?.rto_analysis?.current_estimate || '4 hours'),
+        target: duration(predictions?.rto_analysis?.twelve_month_forecast || '2 hours'),
         confidence: predictions?.rto_analysis?.confidence_score || 0.7
       },
       rpo: {
-        current: predictions?.rpo_analysis?.current_estimate || '1 hour',
-        target: predictions?.rpo_analysis?.twelve_month_forecast || '30 minutes',
+        current: duration(predictions?.rpo_analysis?.current_estimate || '1 hour'),
+        target: duration(predictions?.rpo_analysis?.twelve_month_forecast || '30 minutes'),
         confidence: predictions?.rpo_analysis?.confidence_score || 0.7
       },
-      current_availability: monitoringData?.current_availability || '99.5%',
-      sla_target: monitoringData?.sla_target || '99.9%',
-      mttr: monitoringData?.performance_metrics?.avg_response_time || 'TBD',
+      current_availability: percentage(monitoringData?.current_availability || '99.5%'),
+      sla_target: percentage(monitoringData?.sla_target || '99.9%'),
+      mttr: duration(incidentStats?.mttr_minutes),
+      mtta: duration(incidentStats?.mtta_minutes),
+      incident_history: incidentStats ? {
+        window_days: incidentStats.window_days,
+        incident_count: incidentStats.incident_count,
+        incidents_per_30_days: incidentStats.frequency.per_30_days,
+        by_priority: incidentStats.frequency.by_priority,
+        longest_outage: incidentStats.longest_outage ? {
+          incident_number: incidentStats.longest_outage.incident_number,
+          priority: incidentStats.longest_outage.priority,
+          started_at: incidentStats.longest_outage.started_at,
+          duration: duration(incidentStats.longest_outage.duration_minutes),
+          ongoing: incidentStats.longest_outage.ongoing
+        } : null
+      } : null,
       
       recovery_timeline: {
-        detection: '0-15 minutes',
-        initial_response: '15-30 minutes',
-        mitigation: '30 minutes - 2 hours',
-        full_recovery: '2-4 hours'
+        detection: duration('0-15 minutes'),
+        initial_response: duration('15-30 minutes'),
+        mitigation: duration('30 minutes - 2 hours'),
+        full_recovery: duration('2-4 hours')
       },
       
       scenarios: predictions?.scenarios || {
-        best_case: { rto: 'TBD', rpo: 'TBD', probability: '25%' },
-        most_likely: { rto: 'TBD', rpo: 'TBD', probability: '50%' },
-        worst_case: { rto: 'TBD', rpo: 'TBD', probability: '25%' }
+        best_case: { rto: duration(null), rpo: duration(null), probability: percentage('25%') },
+        most_likely: { rto: duration(null), rpo: duration(null), probability: percentage('50%') },
+        worst_case: { rto: duration(null), rpo: duration(null), probability: percentage('25%') }
       },
       
       confidence_score: Math.min(
         (predictions?.confidence_overall || 0.7),
-        (monitoringData?.confidence_score || 0.7)
+        (monitoringData?.confidence_score || 0.7),
+        (pagerDutyData?.confidence_score || 0.7)
       ),
-      data_sources: ['Rooster Predictions', 'Monitoring Systems', 'Historical Data'],
+      data_sources: ['Rooster Predictions', 'Monitoring Systems', 'PagerDuty', 'Historical Data'],
       auto_populated: true
     };
   }
@@ -210,12 +286,13 @@ class BIAService {
   }
 
   /**
-   * Generate ISO 22301 compliance section
+   * Generate ISO 22301 compliance section; the MTPD comes from the impact model
    */
-  static generateISO22301Section(functionType, predictions) {
+  static generateISO22301Section(functionType, predictions, impactAnalysis) {
     return {
       business_function_classification: this.getBCMClassification(functionType),
-      mtpd: this.getMTPD(functionType),
+      mtpd: impactAnalysis.mtpd,
+      mtpd_basis: impactAnalysis.mtpd_basis,
       mbco: this.getMBCO(functionType),
       resource_requirements: this.getResourceRequirements(functionType),
       
@@ -266,46 +343,20 @@ class BIAService {
    * Generate data source summary
    */
   static generateDataSourceSummary(autoPopulatedData) {
-    const sources = [];
-    
-    if (autoPopulatedData.registry) sources.push({
-      name: 'Registry (Snowflake)',
-      status: 'connected',
-      confidence: autoPopulatedData.registry.confidence_score,
-      last_updated: autoPopulatedData.registry.last_updated
-    });
-    
-    if (autoPopulatedData.pagerDuty) sources.push({
-      name: 'PagerDuty',
-      status: 'connected',
-      confidence: autoPopulatedData.pagerDuty.confidence_score,
-      last_updated: autoPopulatedData.pagerDuty.last_updated
-    });
-    
-    if (autoPopulatedData.hr) sources.push({
-      name: 'HR Systems',
-      status: 'connected',
-      confidence: autoPopulatedData.hr.confidence_score,
-      last_updated: autoPopulatedData.hr.last_updated
-    });
-    
-    if (autoPopulatedData.financial) sources.push({
-      name: 'Financial Systems',
-      status: 'connected',
-      confidence: autoPopulatedData.financial.confidence_score,
-      last_updated: autoPopulatedData.financial.last_updated
-    });
-    
-    if (autoPopulatedData.monitoring) sources.push({
-      name: 'Monitoring Systems',
-      status: 'connected',
-      confidence: autoPopulatedData.monitoring.confidence_score,
-      last_updated: autoPopulatedData.monitoring.last_updated
-    });
-    
+    const sources = ConnectorRegistry.list({ includeDisabled: true })
+      .filter(connector => autoPopulatedData[connector.dataKey])
+      .map(connector => ({
+        key: connector.dataKey,
+        name: connector.label,
+        status: 'connected',
+        confidence: autoPopulatedData[connector.dataKey].confidence_score,
+        last_updated: autoPopulatedData[connector.dataKey].last_updated
+      }));
+
     if (autoPopulatedData.predictions) sources.push({
+      key: 'predictions',
       name: 'Rooster Predictions',
-      status: 'connected',
+      status: autoPopulatedData.predictions.rooster_version === 'fallback' ? 'fallback' : 'connected',
       confidence: autoPopulatedData.predictions.confidence_overall,
       last_updated: autoPopulatedData.predictions.generated_at
     });
@@ -314,30 +365,16 @@ class BIAService {
   }
 
   /**
-   * Calculate overall confidence scores
+   * Score the finished document and write each section's score back onto it
    */
-  static calculateConfidenceScores(autoPopulatedData) {
-    const scores = [];
-    
-    if (autoPopulatedData.registry?.confidence_score) scores.push(autoPopulatedData.registry.confidence_score);
-    if (autoPopulatedData.pagerDuty?.confidence_score) scores.push(autoPopulatedData.pagerDuty.confidence_score);
-    if (autoPopulatedData.hr?.confidence_score) scores.push(autoPopulatedData.hr.confidence_score);
-    if (autoPopulatedData.financial?.confidence_score) scores.push(autoPopulatedData.financial.confidence_score);
-    if (autoPopulatedData.monitoring?.confidence_score) scores.push(autoPopulatedData.monitoring.confidence_score);
-    if (autoPopulatedData.predictions?.confidence_overall) scores.push(autoPopulatedData.predictions.confidence_overall);
-    
-    const overallConfidence = scores.length > 0 ? scores.reduce((a, b) => a + b, 0) / scores.length : 0.5;
-    
-    return {
-      overall_confidence: Math.round(overallConfidence * 100) / 100,
-      data_completeness: (scores.length / 6) * 100, // 6 possible data sources
-      confidence_level: overallConfidence >= 0.8 ? 'High' : overallConfidence >= 0.6 ? 'Medium' : 'Low',
-      recommendations: overallConfidence < 0.7 ? [
-        'Verify data source connections',
-        'Update missing information',
-        'Schedule data validation review'
-      ] : []
-    };
+  static applyConfidenceScores(biaDocument) {
+    const assessment = ConfidenceScoringService.assess(biaDocument);
+
+    Object.entries(assessment.sections).forEach(([section, { score }]) => {
+      biaDocument[section].confidence_score = score;
+    });
+    biaDocument.confidence_assessment = assessment;
+    return biaDocument;
   }
 
   // Helper methods for ISO 22301 and regional compliance
@@ -352,17 +389,6 @@ class BIAService {
     return classifications[functionType] || 'To Be Determined';
   }
 
-  static getMTPD(functionType) {
-    const mtpds = {
-      'product': '2 hours',
-      'platform': '4 hours',
-      'support': '24 hours',
-      'infrastructure': '1 hour',
-      'compliance': '8 hours'
-    };
-    return mtpds[functionType] || '4 hours';
-  }
-
   static getMBCO(functionType) {
     const mbcos = {
       'product': '80% capacity within MTPD',
@@ -385,15 +411,6 @@ class BIAService {
     return resources[functionType] || 'Standard backup procedures';
   }
 
-  static calculateImpactMatrix(financialData) {
-    return {
-      low: 'Minimal customer impact, <$100K revenue',
-      medium: 'Moderate customer impact, $100K-$1M revenue',
-      high: 'Significant customer impact, $1M-$10M revenue',
-      critical: 'Severe customer impact, >$10M revenue'
-    };
-  }
-
   static getComplianceRequirements(functionType) {
     const requirements = {
       'product': ['PCI-DSS', 'SOX Controls', 'Data Privacy'],
@@ -450,7 +467,7 @@ class BIAService {
       'eu': '4 hours',
       'apac': '6 hours'
     };
-    return rtos[region] || '4 hours';
+    return duration(rtos[region] || '4 hours');
   }
 
   static getRegionalRPO(region) {
@@ -459,7 +476,7 @@ class BIAService {
       'eu': '1 hour',
       'apac': '2 hours'
     };
-    return rpos[region] || '1 hour';
+    return duration(rpos[region] || '1 hour');
   }
 
   static getNextTestDate() {
@@ -468,31 +485,161 @@ class BIAService {
     return format(nextQuarter, 'yyyy-MM-dd');
   }
 
-  // Database operations (scaffolding)
-  static async storeBIA(biaDocument) {
-    // TODO: Implement actual database storage
+  // Database operations
+  static async storeBIA(biaDocument, executor) {
     console.log(`💾 Storing BIA: ${biaDocument.id}`);
-    // This would store in PostgreSQL
-    return biaDocument.id;
+    const stored = await BIARepository.insert(biaDocument, executor);
+    return stored.id;
+  }
+
+  /**
+   * Store a document as the next version of its function, re-numbering if a
+   * concurrent generation claimed the same version first. Inside a
+   * transaction each insert runs under a savepoint, so a collision does not
+   * abort the transaction.
+   */
+  static async storeNewVersion(biaDocument, executor) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        if (!executor) return await this.storeBIA(biaDocument);
+
+        await executor.query('SAVEPOINT store_version');
+        const id = await this.storeBIA(biaDocument, executor);
+        await executor.query('RELEASE SAVEPOINT store_version');
+        return id;
+      } catch (error) {
+        if (executor) await executor.query('ROLLBACK TO SAVEPOINT store_version');
+        if (!BIARepository.isUniqueViolation(error) || attempt >= MAX_VERSION_ATTEMPTS) {
+          throw error;
+        }
+        const latest = await BIARepository.findLatestByFunctionName(biaDocument.function_name, executor);
+        biaDocument.version = this.getNextVersion(latest);
+        console.warn(`⚠️ Version collision for ${biaDocument.function_name}, retrying as ${biaDocument.version}`);
+      }
+    }
+  }
+
+  /**
+   * Regenerating a function's BIA bumps the major version
+   */
+  static getNextVersion(previousDocument) {
+    if (!previousDocument) {
+      return '1.0';
+    }
+    const major = parseInt(String(previousDocument.version).split('.')[0], 10) || 0;
+    return `${major + 1}.0`;
   }
 
   static async getBIAById(id) {
-    // TODO: Implement actual database retrieval
     console.log(`📖 Retrieving BIA: ${id}`);
-    return null; // Placeholder
+    return BIARepository.findById(id);
   }
 
-  static async updateBIAStatus(id, status, comments) {
-    // TODO: Implement actual database update
-    console.log(`📝 Updating BIA status: ${id} -> ${status}`);
-    return true;
+  /**
+   * Push an approved BIA to Fusion and record the resulting Fusion record
+   * @throws {NotFoundError|ConflictError} when the BIA is missing or not approved
+   */
+  static async pushToFusion(biaId, comments, user) {
+    const bia = await BIALifecycleService.getPushableBIA(biaId);
+
+    const fusionResult = await DataIntegrationService.pushToFusion(bia.id, comments);
+    await BIARepository.updateFusionRecord(bia.id, {
+      recordId: fusionResult.record_id,
+      status: fusionResult.status
+    });
+
+    await AuditService.record({
+      biaId: bia.id,
+      action: AuditService.AUDIT_ACTIONS.FUSION_PUSH,
+      user,
+      oldValues: { fusion_record_id: bia.fusion_record_id, fusion_status: bia.fusion_status },
+      newValues: { fusion_record_id: fusionResult.record_id, fusion_status: fusionResult.status },
+      comments
+    });
+
+    return fusionResult;
   }
 
   static async listBIAs(filters) {
-    // TODO: Implement actual database query
     console.log(`📋 Listing BIAs with filters:`, filters);
-    return []; // Placeholder
+    return BIARepository.list(filters);
+  }
+
+  /**
+   * Full BIA documents matching the list filters. Without an explicit
+   * `limit` every matching BIA is returned, one page at a time.
+   */
+  static async getPortfolio(filters = {}) {
+    if (filters.limit) {
+      return (await BIARepository.listDocuments(filters)).bias;
+    }
+
+    const bias = [];
+    let offset = 0;
+    let total = 0;
+
+    do {
+      const page = await BIARepository.listDocuments({ ...filters, limit: BIARepository.MAX_LIMIT, offset });
+      bias.push(...page.bias);
+      total = page.total;
+      offset += page.bias.length;
+      if (page.bias.length === 0) break;
+    } while (offset < total);
+
+    return bias;
+  }
+
+  /**
+   * List every version of the function a BIA belongs to
+   */
+  static async getVersionHistory(id) {
+    const bia = await BIARepository.findById(id);
+    if (!bia) {
+      return null;
+    }
+
+    const versions = await BIARepository.listVersions(bia.function_name);
+    return {
+      function_name: bia.function_name,
+      current_version: bia.version,
+      versions
+    };
+  }
+
+  /**
+   * Diff two versions of the function a BIA belongs to. Defaults to comparing
+   * the given BIA against the version immediately before it.
+   */
+  static async compareVersions(id, { from, to } = {}) {
+    const bia = await BIARepository.findById(id);
+    if (!bia) {
+      return null;
+    }
+
+    const versions = await BIARepository.listVersions(bia.function_name);
+    const toVersion = to || bia.version;
+    let fromVersion = from;
+    if (!fromVersion) {
+      const index = versions.findIndex(version => version.version === toVersion);
+      fromVersion = index > 0 ? versions[index - 1].version : null;
+    }
+
+    const [fromDocument, toDocument] = await Promise.all([
+      fromVersion ? BIARepository.findByFunctionAndVersion(bia.function_name, fromVersion) : null,
+      BIARepository.findByFunctionAndVersion(bia.function_name, toVersion)
+    ]);
+
+    if (!fromDocument || !toDocument) {
+      return {
+        error: 'Version not found',
+        available_versions: versions.map(version => version.version)
+      };
+    }
+
+    return BIADiffService.compareDocuments(fromDocument, toDocument);
   }
 }
 
+BIAService.FUNCTION_TYPES = FUNCTION_TYPES;
+
 module.exports = BIAService;
@@ -0,0 +1,190 @@
+const BIARepository = require('../models/BIARepository');
+const ChangeRequestRepository = require('../models/ChangeRequestRepository');
+const AuditService = require('./AuditService');
+const BIALifecycleService = require('./BIALifecycleService');
+const SectionOverrideService = require('./SectionOverrideService');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// What a reviewer asks for on a section, mirroring the results page edit controls
+const ITEM_ACTIONS = ['change', 'missing', 'remove'];
+
+const STATUSES = ['open', 'addressed', 'rejected'];
+const RESOLUTION_STATUSES = ['addressed', 'rejected'];
+
+class ChangeRequestService {
+
+  /**
+   * Open a change request against a BIA and send the BIA back to draft. The
+   * change request, its audit entry and the transition are stored in one
+   * transaction holding the BIA's row lock, so none remain if one fails.
+   * @throws {NotFoundError} when the BIA does not exist
+   * @throws {ConflictError} when the BIA is archived
+   */
+  static async create(biaId, { items, assignee }, { user }) {
+    const normalizedItems = this.normalizeItems(items);
+
+    const created = await BIARepository.withLock(biaId, async (bia, client) => {
+      if (bia.status === 'archived') {
+        throw new ConflictError('Cannot request changes on an archived BIA', { current_status: bia.status });
+      }
+
+      const changeRequest = await ChangeRequestRepository.insert({
+        biaId,
+        items: normalizedItems,
+        // Changes land on the DRI unless the reviewer names someone else
+        assignee: assignee || bia.dri_name,
+        user
+      }, client);
+
+      await AuditService.record({
+        biaId,
+        action: AuditService.AUDIT_ACTIONS.CHANGE_REQUEST,
+        user,
+        newValues: { change_request_id: changeRequest.id, items: normalizedItems, assignee: changeRequest.assignee }
+      }, client);
+
+      let updatedBIA = bia;
+      if (bia.status !== 'draft') {
+        updatedBIA = await BIALifecycleService.transition(biaId, 'request_changes', {
+          user,
+          comments: `Change request ${changeRequest.id} opened`,
+          client
+        });
+      }
+
+      return { change_request: changeRequest, bia_status: updatedBIA.status };
+    });
+
+    if (!created) {
+      throw new NotFoundError('BIA not found');
+    }
+
+    console.log(`📝 Change request ${created.change_request.id} opened on BIA ${biaId} (${normalizedItems.length} items)`);
+    return created;
+  }
+
+  /**
+   * Mark an open change request addressed or rejected
+   * @throws {NotFoundError} when the change request does not exist
+   * @throws {ConflictError} when it has already been resolved
+   */
+  static async resolve(changeRequestId, status, { user, comments }) {
+    if (!RESOLUTION_STATUSES.includes(status)) {
+      throw new ValidationError(`Unknown change request resolution: ${status}`, { resolutions: RESOLUTION_STATUSES });
+    }
+
+    const resolved = await ChangeRequestRepository.resolve(changeRequestId, status, { user, comments });
+    if (!resolved) {
+      const existing = await ChangeRequestRepository.findById(changeRequestId);
+      if (!existing) {
+        throw new NotFoundError('Change request not found');
+      }
+      throw new ConflictError(`Change request is already ${existing.status}`, { current_status: existing.status });
+    }
+
+    await AuditService.record({
+      biaId: resolved.bia_id,
+      action: AuditService.AUDIT_ACTIONS.CHANGE_REQUEST_RESOLUTION,
+      user,
+      oldValues: { change_request_id: resolved.id, status: 'open' },
+      newValues: { change_request_id: resolved.id, status: resolved.status },
+      comments
+    });
+
+    const openRemaining = await ChangeRequestRepository.countOpen(resolved.bia_id);
+    return { change_request: resolved, open_change_requests: openRemaining };
+  }
+
+  /**
+   * Add a comment, optionally as a reply to another comment on the same request
+   * @throws {NotFoundError} when the change request does not exist
+   * @throws {ValidationError} when the parent comment belongs to another request
+   */
+  static async addComment(changeRequestId, { body, parentCommentId }, { user }) {
+    const changeRequest = await ChangeRequestRepository.findById(changeRequestId);
+    if (!changeRequest) {
+      throw new NotFoundError('Change request not found');
+    }
+
+    if (parentCommentId) {
+      const parent = await ChangeRequestRepository.findComment(parentCommentId);
+      if (!parent || parent.change_request_id !== changeRequest.id) {
+        throw new ValidationError('Parent comment not found on this change request');
+      }
+    }
+
+    return ChangeRequestRepository.insertComment({ changeRequestId: changeRequest.id, parentCommentId, user, body });
+  }
+
+  /**
+   * Get a change request with its comments as a reply tree
+   */
+  static async getChangeRequest(changeRequestId) {
+    const changeRequest = await ChangeRequestRepository.findById(changeRequestId);
+    if (!changeRequest) {
+      return null;
+    }
+
+    const comments = await ChangeRequestRepository.listComments(changeRequest.id);
+    return { ...changeRequest, comments: this.threadComments(comments) };
+  }
+
+  static async listForBIA(biaId, filters = {}) {
+    return ChangeRequestRepository.list({ ...filters, biaId });
+  }
+
+  /**
+   * Outstanding change requests, e.g. everything still open for a DRI
+   */
+  static async listOutstanding(filters = {}) {
+    return ChangeRequestRepository.list({ status: 'open', ...filters });
+  }
+
+  static async countOpen(biaId) {
+    return ChangeRequestRepository.countOpen(biaId);
+  }
+
+  // Helpers
+  static normalizeItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ValidationError('At least one change request item is required');
+    }
+
+    return items.map((item, index) => {
+      if (!SectionOverrideService.EDITABLE_SECTIONS.includes(item?.section)) {
+        throw new ValidationError(`Item ${index}: unknown section ${item?.section}`, {
+          sections: SectionOverrideService.EDITABLE_SECTIONS
+        });
+      }
+      if (!ITEM_ACTIONS.includes(item.action)) {
+        throw new ValidationError(`Item ${index}: unknown action ${item.action}`, { actions: ITEM_ACTIONS });
+      }
+      if (typeof item.content !== 'string' || item.content.trim() === '') {
+        throw new ValidationError(`Item ${index}: content is required`);
+      }
+
+      return { section: item.section, action: item.action, content: item.content.trim() };
+    });
+  }
+
+  /**
+   * Nest flat comments under their parents, keeping creation order
+   */
+  static threadComments(comments) {
+    const byId = new Map(comments.map(comment => [comment.id, { ...comment, replies: [] }]));
+    const roots = [];
+
+    byId.forEach(comment => {
+      const parent = comment.parent_comment_id && byId.get(comment.parent_comment_id);
+      (parent ? parent.replies : roots).push(comment);
+    });
+
+    return roots;
+  }
+}
+
+ChangeRequestService.ITEM_ACTIONS = ITEM_ACTIONS;
+ChangeRequestService.STATUSES = STATUSES;
+ChangeRequestService.RESOLUTION_STATUSES = RESOLUTION_STATUSES;
+
+module.exports = ChangeRequestService;
@@ -0,0 +1,355 @@
+const confidenceConfig = require('../../config/confidence');
+const BIARepository = require('../models/BIARepository');
+const { formatDuration, isQuantity } = require('../utils/units');
+const { NotFoundError } = require('../utils/errors');
+
+// Source of each scored field, per section. 'policy' fields come from static
+// tables keyed by function type rather than from a connector.
+const FIELD_SOURCES = {
+  personnel_information: {
+    team_size: 'hr',
+    key_personnel: 'hr',
+    escalation_policy: 'pagerDuty',
+    on_call_schedule: 'pagerDuty',
+    manager_chain: 'hr',
+    business_hours: 'hr'
+  },
+  business_impact: {
+    daily_revenue_impact: 'financial',
+    monthly_revenue_impact: 'financial',
+    active_customers: 'financial',
+    transaction_volume: 'financial',
+    customer_segments: 'financial',
+    impact_timeline: 'financial',
+    downtime_cost_curve: 'financial',
+    predictive_impact: 'predictions'
+  },
+  technology_dependencies: {
+    core_technologies: 'registry',
+    service_dependencies: 'registry',
+    reliability_tier: 'registry',
+    deployment_info: 'registry',
+    documentation: 'registry'
+  },
+  recovery_requirements: {
+    rto: 'predictions',
+    rpo: 'predictions',
+    current_availability: 'monitoring',
+    sla_target: 'monitoring',
+    mttr: 'pagerDuty',
+    mtta: 'pagerDuty',
+    incident_history: 'pagerDuty',
+    recovery_timeline: 'policy',
+    scenarios: 'predictions'
+  },
+  risk_compliance: {
+    compliance_requirements: 'policy',
+    data_classification: 'policy',
+    regulatory_impact: 'policy',
+    security_considerations: 'policy'
+  },
+  iso_22301_compliance: {
+    business_function_classification: 'policy',
+    mtpd: 'financial',
+    mbco: 'policy',
+    resource_requirements: 'policy',
+    continuity_strategies: 'policy',
+    testing_requirements: 'policy',
+    risk_assessment: 'predictions'
+  }
+};
+
+// Names under which sources appear in a document's data_sources summary
+const SOURCE_NAMES = {
+  registry: 'Registry (Snowflake)',
+  pagerDuty: 'PagerDuty',
+  hr: 'HR Systems',
+  financial: 'Financial Systems',
+  monitoring: 'Monitoring Systems',
+  predictions: 'Rooster Predictions',
+  legacy: 'Legacy Import',
+  policy: 'Policy Tables'
+};
+
+// Sections carried over by a legacy import are attributed to the import itself
+const LEGACY_SECTION_SOURCE = 'Legacy Import';
+
+const PLACEHOLDER_PATTERN = /^(tbd|unknown|n\/a|to be determined)$|\(tbd\)/i;
+
+class ConfidenceScoringService {
+
+  /**
+   * Score a BIA document field by field. Each field starts from the
+   * confidence of the source it came from, decays with the age of that
+   * source's data and is penalised when it fell back to a default. Sections
+   * and the document are weighted averages, each with a breakdown of why.
+   */
+  static assess(document, { now = new Date(), config = confidenceConfig } = {}) {
+    const sources = this.resolveSources(document.data_sources, now, config);
+
+    const sections = {};
+    Object.keys(FIELD_SOURCES).forEach(key => {
+      if (document[key]) {
+        sections[key] = this.scoreSection(key, document[key], sources, config);
+      }
+    });
+
+    const scoredSections = Object.entries(sections).filter(([, section]) => section.score !== null);
+    const overall = this.weightedAverage(scoredSections.map(([key, section]) => [section.score, config.sectionWeights[key] ?? 1]));
+    const fields = Object.values(sections).flatMap(section => Object.values(section.fields));
+    const completeFields = fields.filter(field => !field.fallback && !field.source_unavailable);
+
+    return {
+      overall_confidence: overall,
+      confidence_level: this.getLevel(overall, config),
+      data_completeness: fields.length > 0 ? Math.round((completeFields.length / fields.length) * 100) : 0,
+      recommendations: this.buildRecommendations(sections, sources),
+      sections,
+      sources: Object.fromEntries(Object.entries(sources).map(([key, source]) => [key, {
+        name: source.name,
+        status: source.status,
+        confidence: source.confidence,
+        age_hours: source.age_hours,
+        freshness_factor: source.freshness_factor
+      }])),
+      scored_at: now.toISOString()
+    };
+  }
+
+  /**
+   * Rescore a stored BIA as of now. Source data ages, so the current score
+   * can be lower than the one recorded when the BIA was generated.
+   * @throws {NotFoundError} when the BIA does not exist
+   */
+  static async getConfidence(biaId) {
+    const bia = await BIARepository.findById(biaId);
+    if (!bia) {
+      throw new NotFoundError('BIA not found');
+    }
+
+    return {
+      bia: { id: bia.id, function_name: bia.function_name, version: bia.version, status: bia.status },
+      scored_at_generation: bia.confidence_assessment?.overall_confidence ?? null,
+      confidence: this.assess(bia)
+    };
+  }
+
+  /**
+   * Source confidence and freshness from the document's data_sources summary
+   */
+  static resolveSources(dataSources = [], now, config) {
+    const sources = {};
+
+    (dataSources || []).forEach(entry => {
+      const key = entry.key || Object.keys(SOURCE_NAMES).find(name => SOURCE_NAMES[name] === entry.name);
+      if (!key) return;
+
+      const ageHours = entry.last_updated ? Math.max(0, (now - new Date(entry.last_updated)) / (60 * 60 * 1000)) : null;
+      sources[key] = {
+        name: entry.name || SOURCE_NAMES[key],
+        status: entry.status || 'connected',
+        confidence: typeof entry.confidence === 'number' ? entry.confidence : null,
+        age_hours: ageHours !== null && !Number.isNaN(ageHours) ? Math.round(ageHours * 10) / 10 : null,
+        freshness_factor: this.getFreshnessFactor(ageHours, config)
+      };
+    });
+
+    sources.policy = {
+      name: SOURCE_NAMES.policy,
+      status: 'static',
+      confidence: config.policyConfidence,
+      age_hours: null,
+      freshness_factor: 1
+    };
+
+    return sources;
+  }
+
+  static scoreSection(key, section, sourcesByKey, config) {
+    const legacy = (section.data_sources || []).includes(LEGACY_SECTION_SOURCE);
+    const overrides = Object.keys(section.manual_overrides || {});
+
+    const fields = {};
+    Object.entries(FIELD_SOURCES[key]).forEach(([field, sourceKey]) => {
+      if (section[field] === undefined) return;
+
+      const source = legacy ? 'legacy' : sourceKey;
+      const overridden = overrides.some(path => path === field || path.startsWith(`${field}.`));
+      fields[field] = this.scoreField(section[field], source, sourcesByKey[source], overridden, config);
+    });
+
+    const weights = { ...config.sourceWeights, ...(config.sectionSourceWeights[key] || {}) };
+    const score = this.weightedAverage(Object.values(fields).map(field => [field.score, weights[field.source] ?? 1]));
+
+    return {
+      score,
+      level: this.getLevel(score, config),
+      weight: config.sectionWeights[key] ?? 1,
+      explanation: this.explainSection(fields, sourcesByKey, config),
+      fields
+    };
+  }
+
+  static scoreField(value, sourceKey, source, overridden, config) {
+    const name = source?.name || SOURCE_NAMES[sourceKey] || sourceKey;
+
+    if (overridden) {
+      return {
+        source: sourceKey,
+        score: config.manualOverrideConfidence,
+        manual_override: true,
+        fallback: false,
+        source_unavailable: false,
+        reasons: ['Set manually by a reviewer']
+      };
+    }
+
+    if (!source || source.confidence === null) {
+      return {
+        source: sourceKey,
+        score: config.unavailableSourceConfidence,
+        manual_override: false,
+        fallback: true,
+        source_unavailable: true,
+        reasons: [`${name} was unavailable; built-in default used`]
+      };
+    }
+
+    const reasons = [`${name} reports confidence ${source.confidence}`];
+    let score = source.confidence;
+
+    if (source.freshness_factor < 1) {
+      score *= source.freshness_factor;
+      reasons.push(`${name} data is ${formatDuration(source.age_hours * 60)} old (x${source.freshness_factor})`);
+    }
+
+    const benchmark = source.status === 'fallback';
+    const placeholder = this.isPlaceholder(value);
+    if (benchmark || placeholder) {
+      score *= config.fallbackPenalty;
+      reasons.push(placeholder
+        ? `No value from ${name}; placeholder used (x${config.fallbackPenalty})`
+        : `${name} fell back to benchmark data (x${config.fallbackPenalty})`);
+    }
+
+    return {
+      source: sourceKey,
+      score: Math.round(score * 100) / 100,
+      manual_override: false,
+      fallback: benchmark || placeholder,
+      source_unavailable: false,
+      reasons
+    };
+  }
+
+  /**
+   * Freshness multiplier: 1 within the grace period, then halving every half-life
+   */
+  static getFreshnessFactor(ageHours, config) {
+    const { graceHours, halfLifeHours, minFactor } = config.freshness;
+    if (ageHours === null || Number.isNaN(ageHours) || ageHours <= graceHours) {
+      return 1;
+    }
+
+    const factor = Math.pow(0.5, (ageHours - graceHours) / halfLifeHours);
+    return Math.round(Math.max(minFactor, factor) * 100) / 100;
+  }
+
+  /**
+   * Plain-language reasons a section scored below full confidence, worst first
+   */
+  static explainSection(fields, sourcesByKey, config) {
+    const explanation = [];
+    const entries = Object.entries(fields);
+    const fieldsWhere = predicate => entries.filter(([, field]) => predicate(field)).map(([name]) => name);
+
+    const unavailable = [...new Set(entries.filter(([, field]) => field.source_unavailable).map(([, field]) => field.source))];
+    unavailable.forEach(source => {
+      const affected = fieldsWhere(field => field.source_unavailable && field.source === source);
+      explanation.push(`${SOURCE_NAMES[source] || source} was unavailable, so ${affected.join(', ')} use built-in defaults`);
+    });
+
+    const placeholders = fieldsWhere(field => field.fallback && !field.source_unavailable);
+    if (placeholders.length > 0) {
+      explanation.push(`${placeholders.length} of ${entries.length} fields fell back to defaults or benchmarks: ${placeholders.join(', ')}`);
+    }
+
+    const usedSources = [...new Set(entries.filter(([, field]) => !field.manual_override).map(([, field]) => field.source))];
+    usedSources.forEach(key => {
+      const source = sourcesByKey[key];
+      if (!source || source.confidence === null) return;
+
+      if (source.freshness_factor < 1) {
+        explanation.push(`${source.name} data is ${formatDuration(source.age_hours * 60)} old, reducing its confidence by ${Math.round((1 - source.freshness_factor) * 100)}%`);
+      }
+      if (key === 'policy') {
+        explanation.push(`Policy defaults for the function type (confidence ${source.confidence}) supply ${fieldsWhere(field => field.source === 'policy' && !field.manual_override).join(', ')}`);
+      } else if (source.confidence < config.levels.high) {
+        explanation.push(`${source.name} reports a confidence of only ${source.confidence}`);
+      }
+    });
+
+    const overridden = fieldsWhere(field => field.manual_override);
+    if (overridden.length > 0) {
+      explanation.push(`Set manually by a reviewer: ${overridden.join(', ')}`);
+    }
+
+    return explanation;
+  }
+
+  static buildRecommendations(sections, sourcesByKey) {
+    const recommendations = new Set();
+
+    Object.entries(sections).forEach(([key, section]) => {
+      Object.entries(section.fields).forEach(([field, score]) => {
+        const name = SOURCE_NAMES[score.source] || score.source;
+        if (score.source_unavailable) {
+          recommendations.add(`Restore the ${name} connection and regenerate`);
+        } else if (score.fallback && sourcesByKey[score.source]?.status === 'fallback') {
+          recommendations.add(`Regenerate once ${name} is available instead of benchmark data`);
+        } else if (score.fallback) {
+          recommendations.add(`Provide a value for ${key}.${field}`);
+        }
+      });
+    });
+
+    Object.values(sourcesByKey)
+      .filter(source => source.freshness_factor < 1)
+      .forEach(source => recommendations.add(`Refresh ${source.name} data (last updated ${formatDuration(source.age_hours * 60)} ago)`));
+
+    return [...recommendations];
+  }
+
+  // Helpers
+  static weightedAverage(pairs) {
+    const weighted = pairs.filter(([score, weight]) => typeof score === 'number' && weight > 0);
+    const totalWeight = weighted.reduce((sum, [, weight]) => sum + weight, 0);
+    if (totalWeight === 0) {
+      return null;
+    }
+    return Math.round((weighted.reduce((sum, [score, weight]) => sum + score * weight, 0) / totalWeight) * 100) / 100;
+  }
+
+  static getLevel(score, config) {
+    if (score === null) return 'Unknown';
+    return score >= config.levels.high ? 'High' : score >= config.levels.medium ? 'Medium' : 'Low';
+  }
+
+  /**
+   * Whether a value is a placeholder such as 'TBD', 'Unknown' or an empty quantity,
+   * including lists and objects made up only of placeholders
+   */
+  static isPlaceholder(value) {
+    if (value === undefined || value === null || value === '') return true;
+    if (isQuantity(value)) return value.value === null;
+    if (typeof value === 'string') return PLACEHOLDER_PATTERN.test(value.trim());
+    if (Array.isArray(value)) return value.length > 0 && value.every(item => this.isPlaceholder(item));
+    if (typeof value === 'object') return Object.values(value).every(item => this.isPlaceholder(item));
+    return false;
+  }
+}
+
+ConfidenceScoringService.FIELD_SOURCES = FIELD_SOURCES;
+ConfidenceScoringService.SOURCE_NAMES = SOURCE_NAMES;
+
+module.exports = ConfidenceScoringService;
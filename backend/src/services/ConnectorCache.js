@@ -0,0 +1,239 @@
+const cacheConfig = require('../../config/cache');
+const MemoryCacheStore = require('./cache/MemoryCacheStore');
+const RedisCacheStore = require('./cache/RedisCacheStore');
+const ResilienceService = require('./ResilienceService');
+
+const CACHE_STATUSES = {
+  HIT: 'hit',
+  STALE: 'stale',
+  MISS: 'miss',
+  BYPASS: 'bypass'
+};
+
+const memoryStore = new MemoryCacheStore({ maxEntries: cacheConfig.memoryMaxEntries });
+let storeReady = null;
+
+// Lookups and background revalidations in flight, by cache key
+const inFlight = new Map();
+
+const stats = { hits: 0, stale: 0, misses: 0, bypassed: 0, degraded: 0, revalidations: 0, revalidation_failures: 0, store_errors: 0 };
+
+/**
+ * Read-through cache in front of connector fetches. Fresh responses are
+ * served for the connector's TTL; after that they are served stale for
+ * `staleWhileRevalidateSeconds` while a background fetch replaces them.
+ * Every response carries a `cache` block describing how it was served.
+ *
+ * Source calls run through ResilienceService. When one fails or its circuit
+ * breaker is open, a copy cached within `staleIfErrorSeconds` is served as
+ * a degraded fallback.
+ */
+class ConnectorCache {
+
+  /**
+   * Fetch a connector's data for a subject through the cache. `request` is
+   * passed on to the connector; `fresh: true` skips the cached copy but
+   * still stores the new response.
+   */
+  static async fetch(connector, subject, { request, fresh = false, config = cacheConfig } = {}) {
+    const ttlSeconds = this.getTtlSeconds(connector.id, config);
+    if (!config.enabled || ttlSeconds <= 0) {
+      stats.bypassed++;
+      const value = await this.fetchFromSource(connector, subject, request);
+      return this.withMetadata(value, { status: CACHE_STATUSES.BYPASS });
+    }
+
+    const key = this.key(connector.id, subject, config);
+    const entry = await this.read(key);
+    const now = Date.now();
+
+    if (entry && !fresh && now < entry.expires_at) {
+      stats.hits++;
+      return this.withMetadata(entry.value, this.describeEntry(CACHE_STATUSES.HIT, key, entry, now));
+    }
+
+    if (entry && !fresh && now < entry.stale_until) {
+      stats.stale++;
+      this.revalidate(connector, subject, request, key, ttlSeconds, config);
+      return this.withMetadata(entry.value, this.describeEntry(CACHE_STATUSES.STALE, key, entry, now));
+    }
+
+    stats.misses++;
+    try {
+      const stored = await this.load(connector, subject, request, key, ttlSeconds, config);
+      return this.withMetadata(stored.value, this.describeEntry(CACHE_STATUSES.MISS, key, stored, Date.now()));
+    } catch (error) {
+      if (!entry) throw error;
+
+      stats.degraded++;
+      console.warn(`⚠️ ${connector.label} unavailable (${error.message}), serving cached copy for ${subject}`);
+      return this.withMetadata(entry.value, {
+        ...this.describeEntry(CACHE_STATUSES.STALE, key, entry, now),
+        degraded: true,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Drop cached responses: everything, one connector's, or one subject's
+   */
+  static async invalidate({ connectorId, subject, config = cacheConfig } = {}) {
+    const store = await this.getStore(config);
+    const run = target => (subject !== undefined
+      ? target.delete(this.key(connectorId, subject, config))
+      : target.deleteByPrefix(connectorId ? `${config.keyPrefix}${connectorId}:` : config.keyPrefix));
+
+    let deleted = await run(memoryStore);
+    if (store !== memoryStore) {
+      deleted += await run(store).catch(error => {
+        stats.store_errors++;
+        console.warn('⚠️ Redis cache invalidation failed:', error.message);
+        return 0;
+      });
+    }
+
+    console.log(`🧹 Invalidated ${deleted} cached response(s) for ${connectorId || 'all connectors'}${subject !== undefined ? `: ${subject}` : ''}`);
+    return { deleted, invalidated_at: new Date().toISOString() };
+  }
+
+  /**
+   * Backend, TTLs and hit counters since startup
+   */
+  static async getStats(config = cacheConfig) {
+    const store = await this.getStore(config);
+
+    return {
+      enabled: config.enabled,
+      backend: store.name,
+      redis_configured: Boolean(config.redisUrl),
+      default_ttl_seconds: config.defaultTtlSeconds,
+      ttl_seconds: config.ttlSeconds,
+      stale_while_revalidate_seconds: config.staleWhileRevalidateSeconds,
+      stale_if_error_seconds: config.staleIfErrorSeconds,
+      entries: await store.size().catch(() => null),
+      ...stats
+    };
+  }
+
+  static getTtlSeconds(connectorId, config = cacheConfig) {
+    return config.ttlSeconds[connectorId] ?? config.defaultTtlSeconds;
+  }
+
+  static key(connectorId, subject, config = cacheConfig) {
+    return `${config.keyPrefix}${connectorId}:${encodeURIComponent(String(subject).trim())}`;
+  }
+
+  // Lookups
+  /**
+   * Fetch from the source and store the response. Concurrent misses for the
+   * same key share one fetch.
+   */
+  static load(connector, subject, request, key, ttlSeconds, config) {
+    if (!inFlight.has(key)) {
+      const pending = (async () => {
+        const value = await this.fetchFromSource(connector, subject, request);
+        const cachedAt = Date.now();
+        const entry = {
+          value,
+          cached_at: cachedAt,
+          expires_at: cachedAt + ttlSeconds * 1000,
+          stale_until: cachedAt + (ttlSeconds + config.staleWhileRevalidateSeconds) * 1000
+        };
+        await this.write(key, entry, ttlSeconds + Math.max(config.staleWhileRevalidateSeconds, config.staleIfErrorSeconds));
+        return entry;
+      })().finally(() => inFlight.delete(key));
+      inFlight.set(key, pending);
+    }
+    return inFlight.get(key);
+  }
+
+  /**
+   * Refetch a stale response in the background; on failure the stale copy
+   * keeps being served until it expires
+   */
+  static revalidate(connector, subject, request, key, ttlSeconds, config) {
+    if (inFlight.has(key)) return;
+
+    stats.revalidations++;
+    this.load(connector, subject, request, key, ttlSeconds, config).catch(error => {
+      stats.revalidation_failures++;
+      console.warn(`⚠️ Background refresh of ${connector.label} failed for ${subject}:`, error.message);
+    });
+  }
+
+  /**
+   * Call the connector under its timeout, retry and circuit breaker policy
+   */
+  static fetchFromSource(connector, subject, request) {
+    return ResilienceService.execute(connector.id, ({ signal }) => connector.fetch(subject, request, { signal }), { idempotent: true });
+  }
+
+  // Store access; Redis failures fall back to the in-memory store
+  static async read(key) {
+    const store = await this.getStore();
+    if (store === memoryStore) return memoryStore.get(key);
+
+    try {
+      return await store.get(key);
+    } catch (error) {
+      stats.store_errors++;
+      console.warn('⚠️ Redis cache read failed, using in-memory cache:', error.message);
+      return memoryStore.get(key);
+    }
+  }
+
+  static async write(key, entry, ttlSeconds) {
+    const store = await this.getStore();
+    if (store === memoryStore) return memoryStore.set(key, entry, ttlSeconds);
+
+    try {
+      await store.set(key, entry, ttlSeconds);
+    } catch (error) {
+      stats.store_errors++;
+      console.warn('⚠️ Redis cache write failed, using in-memory cache:', error.message);
+      await memoryStore.set(key, entry, ttlSeconds);
+    }
+  }
+
+  /**
+   * Redis when configured and reachable at first use, the in-memory store otherwise
+   */
+  static getStore(config = cacheConfig) {
+    if (!storeReady) {
+      storeReady = !config.redisUrl
+        ? Promise.resolve(memoryStore)
+        : RedisCacheStore.connect(config.redisUrl, { connectTimeoutMs: config.redisConnectTimeoutMs })
+          .then(store => {
+            console.log('🗄️ Connector cache using Redis');
+            return store;
+          })
+          .catch(error => {
+            console.warn('⚠️ Redis unavailable, connector cache is in-memory:', error.message);
+            return memoryStore;
+          });
+    }
+    return storeReady;
+  }
+
+  // Metadata
+  static describeEntry(status, key, entry, now) {
+    return {
+      status,
+      key,
+      cached_at: new Date(entry.cached_at).toISOString(),
+      expires_at: new Date(entry.expires_at).toISOString(),
+      stale_until: new Date(entry.stale_until).toISOString(),
+      age_seconds: Math.max(0, Math.round((now - entry.cached_at) / 1000))
+    };
+  }
+
+  static withMetadata(value, metadata) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+    return { ...value, cache: metadata };
+  }
+}
+
+ConnectorCache.CACHE_STATUSES = CACHE_STATUSES;
+
+module.exports = ConnectorCache;
@@ -0,0 +1,160 @@
+const connectorsConfig = require('../../config/connectors');
+const RegistryConnector = require('./connectors/RegistryConnector');
+const PagerDutyConnector = require('./connectors/PagerDutyConnector');
+const HRConnector = require('./connectors/HRConnector');
+const FinancialConnector = require('./connectors/FinancialConnector');
+const MonitoringConnector = require('./connectors/MonitoringConnector');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+// Registered at startup, in the order generation steps and health checks run
+const BUILT_IN_CONNECTORS = [
+  RegistryConnector,
+  PagerDutyConnector,
+  HRConnector,
+  FinancialConnector,
+  MonitoringConnector
+];
+
+const CONNECTOR_STATUSES = {
+  ENABLED: 'enabled',
+  DISABLED: 'disabled',
+  MISCONFIGURED: 'misconfigured'
+};
+
+// Registered connectors by id: { connector, status, config_errors }
+const entries = new Map();
+
+class ConnectorRegistry {
+
+  /**
+   * Register a connector and apply its settings, by default the entry of
+   * config/connectors.js with the connector's id. Connectors whose settings
+   * fail their configSchema are registered but stay disabled.
+   */
+  static register(Connector, settings = connectorsConfig[Connector.DEFINITION?.id] || {}) {
+    const definition = Connector.DEFINITION;
+    if (!definition?.id || !definition.label || typeof Connector.fetch !== 'function' || typeof Connector.health !== 'function') {
+      throw new Error('A connector needs DEFINITION.id and DEFINITION.label and must implement fetch and health');
+    }
+    if (entries.has(definition.id)) {
+      throw new Error(`Connector already registered: ${definition.id}`);
+    }
+
+    const { config, errors } = this.resolveConfig(definition.configSchema || {}, settings);
+    Connector.config = config;
+
+    let status = settings.enabled === false ? CONNECTOR_STATUSES.DISABLED : CONNECTOR_STATUSES.ENABLED;
+    if (status === CONNECTOR_STATUSES.ENABLED && errors.length > 0) {
+      status = CONNECTOR_STATUSES.MISCONFIGURED;
+      console.warn(`⚠️ Connector '${definition.id}' disabled: ${errors.join('; ')}`);
+    }
+
+    entries.set(definition.id, { connector: Connector, status, config_errors: errors });
+    return Connector;
+  }
+
+  /**
+   * Enabled connectors in registration order, or every registered connector
+   */
+  static list({ includeDisabled = false } = {}) {
+    return Array.from(entries.values())
+      .filter(entry => includeDisabled || entry.status === CONNECTOR_STATUSES.ENABLED)
+      .map(entry => entry.connector);
+  }
+
+  /**
+   * Enabled connector by id
+   * @throws {NotFoundError} when no connector has the id
+   * @throws {ConflictError} when the connector is disabled or misconfigured
+   */
+  static get(id) {
+    const entry = entries.get(id);
+    if (!entry) {
+      throw new NotFoundError(`Unknown data source: ${id}`, { data_sources: Array.from(entries.keys()) });
+    }
+    if (entry.status !== CONNECTOR_STATUSES.ENABLED) {
+      throw new ConflictError(`Data source '${id}' is ${entry.status}`, { config_errors: entry.config_errors });
+    }
+    return entry.connector;
+  }
+
+  static has(id) {
+    return entries.has(id);
+  }
+
+  static getStatus(id) {
+    return entries.get(id)?.status || null;
+  }
+
+  /**
+   * Metadata, status and redacted settings of one connector or of all of them
+   */
+  static describe(id) {
+    if (id !== undefined) {
+      const entry = entries.get(id);
+      if (!entry) {
+        throw new NotFoundError(`Unknown data source: ${id}`, { data_sources: Array.from(entries.keys()) });
+      }
+      return this.describeEntry(entry);
+    }
+
+    return Array.from(entries.values()).map(entry => this.describeEntry(entry));
+  }
+
+  static describeEntry(entry) {
+    return {
+      ...entry.connector.describe(),
+      status: entry.status,
+      config_errors: entry.config_errors
+    };
+  }
+
+  /**
+   * Apply schema defaults to connector settings and check their types.
+   * Returns the resolved config and a list of problems.
+   */
+  static resolveConfig(schema, settings) {
+    const config = {};
+    const errors = [];
+
+    Object.entries(schema).forEach(([setting, spec]) => {
+      let value = settings[setting];
+      if (value === undefined || value === null || value === '') {
+        value = spec.default;
+      }
+
+      const label = spec.env ? `${setting} (${spec.env})` : setting;
+      if (value === undefined) {
+        if (spec.required) errors.push(`${label} is required`);
+        return;
+      }
+
+      if (spec.type === 'number') {
+        value = Number(value);
+        if (Number.isNaN(value)) errors.push(`${label} must be a number`);
+      } else if (spec.type === 'boolean') {
+        value = value === true || value === 'true';
+      } else if (spec.type === 'url') {
+        try {
+          new URL(value);
+        } catch (error) {
+          errors.push(`${label} must be a URL`);
+        }
+      }
+      if (spec.values && !spec.values.includes(value)) {
+        errors.push(`${label} must be one of ${spec.values.join(', ')}`);
+      }
+
+      config[setting] = value;
+    });
+
+    return { config, errors };
+  }
+}
+
+BUILT_IN_CONNECTORS.forEach(Connector => ConnectorRegistry.register(Connector));
+
+ConnectorRegistry.BUILT_IN_CONNECTORS = BUILT_IN_CONNECTORS;
+ConnectorRegistry.CONNECTOR_STATUSES = CONNECTOR_STATUSES;
+
+module.exports = ConnectorRegistry;
@@ -1,254 +1,19 @@
 const axios = require('axios');
 const { spawn } = require('child_process');
 const path = require('path');
+const ConnectorRegistry = require('./ConnectorRegistry');
+const ResilienceService = require('./ResilienceService');
 
 class DataIntegrationService {
   
   /**
-   * Get Registry data from Snowflake via Goose
-   * This replaces traditional CMDB with Block's Registry system
-   */
-  static async getRegistryData(functionName) {
-    try {
-      console.log(`📊 Fetching Registry data for: ${functionName}`);
-      
-      // Use Goose's Snowflake extension to query Registry
-      // This is a scaffolding - integrations team will replace with actual Goose calls
-      const registryQuery = `
-        SELECT 
-          app_name,
-          description,
-          reliability_tier,
-          team_id,
-          slack_channel,
-          documentation_url,
-          runbook_url,
-          dependencies,
-          technology_stack,
-          deployment_info
-        FROM REGISTRY.PUBLIC.APPLICATIONS 
-        WHERE LOWER(app_name) LIKE '%${functionName.toLowerCase()}%'
-           OR LOWER(description) LIKE '%${functionName.toLowerCase()}%'
-        LIMIT 10
-      `;
-
-      // TODO: Replace with actual Goose Snowflake extension call
-      // const result = await goose.snowflake.execute_query(registryQuery);
-      
-      // Mock data for now - integrations team will replace
-      const mockRegistryData = {
-        app_name: functionName,
-        description: `${functionName} service`,
-        reliability_tier: 'Tier 1',
-        team_id: 'unknown',
-        slack_channel: '#unknown',
-        documentation_url: 'https://docs.internal.block.xyz/unknown',
-        runbook_url: 'https://runbooks.internal.block.xyz/unknown',
-        dependencies: ['Authentication Service', 'Database Cluster', 'Cache Layer'],
-        technology_stack: ['Node.js', 'PostgreSQL', 'Redis', 'Kubernetes'],
-        deployment_info: {
-          regions: ['us-west-2', 'us-east-1'],
-          replicas: 3,
-          auto_scaling: true
-        },
-        confidence_score: 0.7,
-        data_source: 'Registry (Snowflake)',
-        last_updated: new Date().toISOString()
-      };
-
-      return mockRegistryData;
-
-    } catch (error) {
-      console.error('❌ Registry data fetch error:', error);
-      throw new Error(`Failed to fetch Registry data: ${error.message}`);
-    }
-  }
-
-  /**
-   * Get PagerDuty escalation policies and incident data
-   */
-  static async getPagerDutyData(functionName) {
-    try {
-      console.log(`📟 Fetching PagerDuty data for: ${functionName}`);
-      
-      // TODO: Replace with actual PagerDuty API integration
-      // const pagerDutyAPI = axios.create({
-      //   baseURL: 'https://api.pagerduty.com',
-      //   headers: {
-      //     'Authorization': `Token token=${process.env.PAGERDUTY_API_KEY}`,
-      //     'Accept': 'application/vnd.pagerduty+json;version=2'
-      //   }
-      // });
-
-      // Mock data for scaffolding
-      const mockPagerDutyData = {
-        service_name: functionName,
-        escalation_policy: 'L1 Ops → L2 Engineering → Manager → Director',
-        escalation_timeout: '15 minutes per level',
-        on_call_schedule: 'Follow-the-sun rotation',
-        incident_stats: {
-          last_30_days: 3,
-          mttr_minutes: 45,
-          p1_incidents: 1,
-          p2_incidents: 2
-        },
-        availability_sla: '99.9%',
-        current_status: 'operational',
-        confidence_score: 0.8,
-        data_source: 'PagerDuty API',
-        last_updated: new Date().toISOString()
-      };
-
-      return mockPagerDutyData;
-
-    } catch (error) {
-      console.error('❌ PagerDuty data fetch error:', error);
-      throw new Error(`Failed to fetch PagerDuty data: ${error.message}`);
-    }
-  }
-
-  /**
-   * Get HR/Personnel data from internal systems
-   */
-  static async getHRData(teamName) {
-    try {
-      console.log(`👥 Fetching HR data for team: ${teamName}`);
-      
-      // TODO: Replace with actual HR API integration
-      // This might be LDAP, Workday, or internal HR systems
-      
-      const mockHRData = {
-        team_name: teamName,
-        team_size: 25,
-        key_personnel: [
-          { name: 'Tech Lead (TBD)', role: 'Technical Leadership', backup: 'Senior Engineer' },
-          { name: 'Product Manager (TBD)', role: 'Product Strategy', backup: 'Associate PM' },
-          { name: 'Operations Manager (TBD)', role: 'Day-to-day Operations', backup: 'Senior Ops' }
-        ],
-        manager_chain: [
-          'Team Lead',
-          'Engineering Manager', 
-          'Director of Engineering',
-          'VP Engineering'
-        ],
-        team_location: 'Distributed (SF, NYC, Remote)',
-        business_hours: '24/7 on-call rotation',
-        confidence_score: 0.6,
-        data_source: 'HR Systems API',
-        last_updated: new Date().toISOString()
-      };
-
-      return mockHRData;
-
-    } catch (error) {
-      console.error('❌ HR data fetch error:', error);
-      throw new Error(`Failed to fetch HR data: ${error.message}`);
-    }
-  }
-
-  /**
-   * Get Financial impact data from revenue systems
-   */
-  static async getFinancialData(functionName) {
-    try {
-      console.log(`💰 Fetching Financial data for: ${functionName}`);
-      
-      // TODO: Replace with actual financial systems integration
-      // This might be Datadog revenue dashboards, internal analytics, etc.
-      
-      const mockFinancialData = {
-        function_name: functionName,
-        daily_revenue_impact: '$1.2M',
-        monthly_revenue_impact: '$36M',
-        active_customers: 250000,
-        transaction_volume: {
-          daily: 1500000,
-          peak_hourly: 180000
-        },
-        revenue_per_transaction: '$0.80',
-        customer_segments: {
-          enterprise: '15%',
-          smb: '60%', 
-          consumer: '25%'
-        },
-        confidence_score: 0.75,
-        data_source: 'Financial Analytics API',
-        last_updated: new Date().toISOString()
-      };
-
-      return mockFinancialData;
-
-    } catch (error) {
-      console.error('❌ Financial data fetch error:', error);
-      throw new Error(`Failed to fetch Financial data: ${error.message}`);
-    }
-  }
-
-  /**
-   * Get Monitoring/Observability data
-   */
-  static async getMonitoringData(functionName) {
-    try {
-      console.log(`📈 Fetching Monitoring data for: ${functionName}`);
-      
-      // TODO: Replace with actual monitoring systems (Datadog, New Relic, etc.)
-      
-      const mockMonitoringData = {
-        service_name: functionName,
-        current_availability: '99.85%',
-        sla_target: '99.9%',
-        performance_metrics: {
-          avg_response_time: '250ms',
-          p95_response_time: '500ms',
-          p99_response_time: '1.2s',
-          error_rate: '0.15%'
-        },
-        infrastructure_health: {
-          cpu_utilization: '65%',
-          memory_utilization: '70%',
-          disk_utilization: '45%',
-          network_latency: '15ms'
-        },
-        recent_incidents: [
-          {
-            date: '2024-09-15',
-            duration: '23 minutes',
-            impact: 'Elevated latency',
-            root_cause: 'Database connection pool exhaustion'
-          }
-        ],
-        confidence_score: 0.9,
-        data_source: 'Monitoring Systems API',
-        last_updated: new Date().toISOString()
-      };
-
-      return mockMonitoringData;
-
-    } catch (error) {
-      console.error('❌ Monitoring data fetch error:', error);
-      throw new Error(`Failed to fetch Monitoring data: ${error.message}`);
-    }
-  }
-
-  /**
-   * Check Fusion for existing BIA records
+   * Check Fusion for existing BIA records. A read, so it is retried.
    */
   static async checkFusionRecord(functionName) {
     try {
       console.log(`🔍 Checking Fusion for existing BIA: ${functionName}`);
-      
-      // TODO: Replace with actual Fusion MCP integration
-      // Use existing Fusion MCP components at ~/fusion_integration/
-      
-      const mockFusionCheck = {
-        exists: Math.random() > 0.6, // 40% chance of existing record
-        record_id: `BIA-${Math.floor(Math.random() * 10000)}`,
-        last_updated: new Date(Date.now() - Math.random() * 90 * 24 * 60 * 60 * 1000).toLocaleDateString(),
-        status: 'active',
-        action_required: Math.random() > 0.6 ? 'update' : 'create'
-      };
 
-      return mockFusionCheck;
+      return await ResilienceService.execute('fusion', () => this.queryFusionRecord(functionName), { idempotent: true });
 
     } catch (error) {
       console.error('❌ Fusion check error:', error);
@@ -257,34 +22,54 @@ class DataIntegrationService {
   }
 
   /**
-   * Push approved BIA to Fusion
+   * Look up a BIA record in Fusion
+   */
+  static async queryFusionRecord(functionName) {
+    // TODO: Replace with actual Fusion MCP integration
+    // Use existing Fusion MCP components at ~/fusion_integration/
+
+    const mockFusionCheck = {
+      exists: Math.random() > 0.6, // 40% chance of existing record
+      record_id: `BIA-${Math.floor(Math.random() * 10000)}`,
+      last_updated: new Date(Date.now() - Math.random() * 90 * 24 * 60 * 60 * 1000).toLocaleDateString(),
+      status: 'active',
+      action_required: Math.random() > 0.6 ? 'update' : 'create'
+    };
+
+    return mockFusionCheck;
+  }
+
+  /**
+   * Push approved BIA to Fusion. Not idempotent, so it is never retried.
    */
   static async pushToFusion(biaId, comments) {
     try {
       console.log(`⬆️ Pushing BIA to Fusion: ${biaId}`);
-      
-      // TODO: Replace with actual Fusion MCP integration
-      // Simulate the push process
-      
-      await new Promise(resolve => setTimeout(resolve, 2000)); // Simulate API call
-      
-      const fusionResult = {
-        record_id: `BIA-${Math.floor(Math.random() * 10000)}`,
-        status: 'active',
-        fusion_url: `https://fusion.block.xyz/bia/BIA-${Math.floor(Math.random() * 10000)}`,
-        next_review_date: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toLocaleDateString(),
-        iso_compliance: 'verified',
-        comments: comments || '',
-        automated_actions: [
-          'BCM team notified',
-          'Continuity plan review scheduled',
-          'Stakeholder notifications sent',
-          'Risk register updated'
-        ],
-        pushed_at: new Date().toISOString()
-      };
 
-      return fusionResult;
+      return await ResilienceService.execute('fusion', async () => {
+        // TODO: Replace with actual Fusion MCP integration
+        // Simulate the push process
+
+        await new Promise(resolve => setTimeout(resolve, 2000)); // Simulate API call
+
+        const fusionResult = {
+          record_id: `BIA-${Math.floor(Math.random() * 10000)}`,
+          status: 'active',
+          fusion_url: `https://fusion.block.xyz/bia/BIA-${Math.floor(Math.random() * 10000)}`,
+          next_review_date: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toLocaleDateString(),
+          iso_compliance: 'verified',
+          comments: comments || '',
+          automated_actions: [
+            'BCM team notified',
+            'Continuity plan review scheduled',
+            'Stakeholder notifications sent',
+            'Risk register updated'
+          ],
+          pushed_at: new Date().toISOString()
+        };
+
+        return fusionResult;
+      });
 
     } catch (error) {
       console.error('❌ Fusion push error:', error);
@@ -293,57 +78,52 @@ class DataIntegrationService {
   }
 
   /**
-   * Get data source health status
+   * Get health status of every registered connector and Fusion, each check
+   * bounded by the source's timeout, with the state of every circuit breaker.
+   * Disabled connectors are reported without being checked.
    */
   static async getDataSourceHealth() {
     try {
+      const enabled = ConnectorRegistry.list();
+      const check = (source, fn) => ResilienceService.withTimeout(source, fn, ResilienceService.getPolicy(source).timeoutMs);
       const healthChecks = await Promise.allSettled([
-        this.checkRegistryHealth(),
-        this.checkPagerDutyHealth(),
-        this.checkHRHealth(),
-        this.checkFinancialHealth(),
-        this.checkMonitoringHealth(),
-        this.checkFusionHealth()
+        ...enabled.map(connector => check(connector.id, signal => connector.health({ signal }))),
+        check('fusion', () => this.checkFusionHealth())
       ]);
-
-      return {
-        registry: healthChecks[0].status === 'fulfilled' ? healthChecks[0].value : { status: 'error' },
-        pagerduty: healthChecks[1].status === 'fulfilled' ? healthChecks[1].value : { status: 'error' },
-        hr: healthChecks[2].status === 'fulfilled' ? healthChecks[2].value : { status: 'error' },
-        financial: healthChecks[3].status === 'fulfilled' ? healthChecks[3].value : { status: 'error' },
-        monitoring: healthChecks[4].status === 'fulfilled' ? healthChecks[4].value : { status: 'error' },
-        fusion: healthChecks[5].status === 'fulfilled' ? healthChecks[5].value : { status: 'error' },
-        overall: healthChecks.filter(check => check.status === 'fulfilled').length >= 4 ? 'healthy' : 'degraded'
-      };
+      const toHealth = check => (check.status === 'fulfilled' ? check.value : { status: 'error', error: check.reason?.message });
+
+      const health = {};
+      ConnectorRegistry.list({ includeDisabled: true }).forEach(connector => {
+        health[connector.id] = { status: ConnectorRegistry.getStatus(connector.id) };
+      });
+      enabled.forEach((connector, index) => {
+        health[connector.id] = toHealth(healthChecks[index]);
+      });
+      health.fusion = toHealth(healthChecks[healthChecks.length - 1]);
+
+      const sources = [...enabled.map(connector => connector.id), 'fusion', 'rooster'];
+      health.circuit_breakers = Object.fromEntries(sources.map(source => [source, ResilienceService.getBreakerState(source)]));
+
+      // Tolerate a third of the checks failing before reporting degraded; an open breaker always degrades
+      const fulfilled = healthChecks.filter(result => result.status === 'fulfilled').length;
+      const breakerOpen = sources.some(source => ResilienceService.isOpen(source));
+      health.overall = fulfilled >= Math.ceil((healthChecks.length * 2) / 3) && !breakerOpen ? 'healthy' : 'degraded';
+
+      return health;
     } catch (error) {
       console.error('❌ Health check error:', error);
       return { overall: 'error', message: error.message };
     }
   }
 
-  // Health check methods (scaffolding for integrations team)
-  static async checkRegistryHealth() {
-    return { status: 'healthy', response_time: '150ms', last_check: new Date().toISOString() };
-  }
-
-  static async checkPagerDutyHealth() {
-    return { status: 'healthy', response_time: '200ms', last_check: new Date().toISOString() };
-  }
-
-  static async checkHRHealth() {
-    return { status: 'healthy', response_time: '300ms', last_check: new Date().toISOString() };
-  }
-
-  static async checkFinancialHealth() {
-    return { status: 'healthy', response_time: '250ms', last_check: new Date().toISOString() };
-  }
-
-  static async checkMonitoringHealth() {
-    return { status: 'healthy', response_time: '100ms', last_check: new Date().toISOString() };
-  }
-
+  /**
+   * Check Fusion is reachable by timing a record lookup
+   */
   static async checkFusionHealth() {
-    return { status: 'healthy', response_time: '180ms', last_check: new Date().toISOString() };
+    const startedAt = Date.now();
+    await this.queryFusionRecord('health-check');
+
+    return { status: 'healthy', response_time_ms: Date.now() - startedAt, last_check: new Date().toISOString() };
   }
 }
 
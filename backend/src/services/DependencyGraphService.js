@@ -0,0 +1,203 @@
+const BIARepository = require('../models/BIARepository');
+const { parseDurationMinutes, parseDurationRange, displayValue } = require('../utils/units');
+const { NotFoundError } = require('../utils/errors');
+
+const DEFAULT_MAX_DEPTH = 10;
+
+// Placeholder dependency names written when Registry had no data
+const PLACEHOLDER_DEPENDENCIES = ['unknown', 'tbd', 'n/a', 'none'];
+
+const ISSUE_TYPES = {
+  MISSING_BIA: 'missing_bia',
+  RTO_EXCEEDS_TARGET: 'rto_exceeds_dependent_target',
+  RPO_EXCEEDS_TARGET: 'rpo_exceeds_dependent_target'
+};
+
+class DependencyGraphService {
+
+  /**
+   * Upstream (what the BIA depends on) and downstream (what depends on it)
+   * functions, followed transitively, plus consistency issues along every
+   * edge visited: dependencies without a BIA, and dependencies whose current
+   * RTO/RPO is longer than the dependent's target.
+   * @throws {NotFoundError} when the BIA does not exist
+   */
+  static async getDependencies(biaId, { maxDepth = DEFAULT_MAX_DEPTH } = {}) {
+    const bia = await BIARepository.findById(biaId);
+    if (!bia) {
+      throw new NotFoundError('BIA not found');
+    }
+
+    const root = {
+      id: bia.id,
+      function_name: bia.function_name,
+      function_type: bia.function_type,
+      status: bia.status,
+      version: bia.version,
+      service_dependencies: bia.technology_dependencies?.service_dependencies || [],
+      rto: bia.recovery_requirements?.rto || null,
+      rpo: bia.recovery_requirements?.rpo || null
+    };
+
+    // The requested version stands in for its function, even if it is not the latest
+    const nodes = (await BIARepository.listDependencyNodes())
+      .filter(node => this.normalizeName(node.function_name) !== this.normalizeName(root.function_name));
+    const graph = this.buildGraph([root, ...nodes]);
+
+    const upstream = this.traverse(graph, root, 'upstream', maxDepth);
+    const downstream = this.traverse(graph, root, 'downstream', maxDepth);
+    const issues = this.findIssues([...upstream.edges, ...downstream.edges]);
+
+    return {
+      bia: { id: root.id, function_name: root.function_name, version: root.version, status: root.status },
+      max_depth: maxDepth,
+      upstream: upstream.entries,
+      downstream: downstream.entries,
+      issues,
+      summary: {
+        upstream: upstream.entries.length,
+        downstream: downstream.entries.length,
+        missing_bias: issues.filter(issue => issue.type === ISSUE_TYPES.MISSING_BIA).length,
+        rto_violations: issues.filter(issue => issue.type === ISSUE_TYPES.RTO_EXCEEDS_TARGET).length,
+        rpo_violations: issues.filter(issue => issue.type === ISSUE_TYPES.RPO_EXCEEDS_TARGET).length
+      }
+    };
+  }
+
+  /**
+   * Resolve every node's dependency names to nodes. Names with no matching
+   * BIA become placeholder nodes so they can still be reported.
+   */
+  static buildGraph(nodes) {
+    const byName = new Map(nodes.map(node => [this.normalizeName(node.function_name), node]));
+    const dependencies = new Map();
+    const dependents = new Map(nodes.map(node => [node, []]));
+
+    nodes.forEach(node => {
+      const resolved = this.dependencyNames(node).map(name => {
+        const key = this.normalizeName(name);
+        if (!byName.has(key)) {
+          byName.set(key, { id: null, function_name: name, missing: true, service_dependencies: [] });
+          dependents.set(byName.get(key), []);
+        }
+        return byName.get(key);
+      });
+
+      dependencies.set(node, [...new Set(resolved)].filter(dependency => dependency !== node));
+      dependencies.get(node).forEach(dependency => dependents.get(dependency).push(node));
+    });
+
+    return { dependencies, dependents };
+  }
+
+  /**
+   * Breadth-first walk from the root. Each function is listed once, at the
+   * depth it is first reached; every edge walked is returned for the checks.
+   */
+  static traverse(graph, root, direction, maxDepth) {
+    const neighbours = direction === 'upstream' ? graph.dependencies : graph.dependents;
+    const visited = new Set([root]);
+    const entries = [];
+    const edges = [];
+    let frontier = [root];
+
+    for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+      const next = [];
+
+      frontier.forEach(node => {
+        (neighbours.get(node) || []).forEach(neighbour => {
+          edges.push(direction === 'upstream'
+            ? { dependent: node, dependency: neighbour }
+            : { dependent: neighbour, dependency: node });
+
+          if (visited.has(neighbour)) return;
+          visited.add(neighbour);
+          next.push(neighbour);
+          entries.push(this.toEntry(neighbour, depth, node));
+        });
+      });
+
+      frontier = next;
+    }
+
+    return { entries, edges };
+  }
+
+  static findIssues(edges) {
+    const issues = [];
+    const seen = new Set();
+
+    edges.forEach(({ dependent, dependency }) => {
+      const edgeKey = `${dependent.function_name}->${dependency.function_name}`;
+      if (seen.has(edgeKey)) return;
+      seen.add(edgeKey);
+
+      if (dependency.missing) {
+        issues.push({
+          type: ISSUE_TYPES.MISSING_BIA,
+          dependent: dependent.function_name,
+          dependency: dependency.function_name,
+          message: `${dependent.function_name} depends on ${dependency.function_name}, which has no BIA`
+        });
+        return;
+      }
+
+      [['rto', ISSUE_TYPES.RTO_EXCEEDS_TARGET], ['rpo', ISSUE_TYPES.RPO_EXCEEDS_TARGET]].forEach(([objective, type]) => {
+        const dependencyValue = dependency[objective]?.current;
+        const dependentTarget = dependent[objective]?.target;
+        // A dependency that recovers in '1-4 hours' may take the full 4 hours
+        const dependencyMinutes = parseDurationRange(dependencyValue)?.max ?? null;
+        const targetMinutes = parseDurationMinutes(dependentTarget);
+
+        if (dependencyMinutes !== null && targetMinutes !== null && dependencyMinutes > targetMinutes) {
+          issues.push({
+            type,
+            dependent: dependent.function_name,
+            dependency: dependency.function_name,
+            dependency_value: dependencyValue,
+            dependent_target: dependentTarget,
+            message: `${dependency.function_name} ${objective.toUpperCase()} (${displayValue(dependencyValue)}) is longer than ` +
+              `the ${objective.toUpperCase()} target of ${dependent.function_name} (${displayValue(dependentTarget)})`
+          });
+        }
+      });
+    });
+
+    return issues;
+  }
+
+  // Helpers
+  static toEntry(node, depth, via) {
+    return {
+      function_name: node.function_name,
+      bia_id: node.id,
+      version: node.version || null,
+      status: node.status || null,
+      has_bia: !node.missing,
+      depth,
+      via: via.function_name,
+      rto: node.rto ? { current: node.rto.current ?? null, target: node.rto.target ?? null } : null,
+      rpo: node.rpo ? { current: node.rpo.current ?? null, target: node.rpo.target ?? null } : null
+    };
+  }
+
+  static dependencyNames(node) {
+    const names = Array.isArray(node.service_dependencies) ? node.service_dependencies : [];
+    return names
+      .filter(name => typeof name === 'string' && name.trim() !== '')
+      .filter(name => !PLACEHOLDER_DEPENDENCIES.includes(name.trim().toLowerCase()));
+  }
+
+  /**
+   * Match dependency names to function names ignoring case and punctuation,
+   * e.g. 'cash-app payments' resolves to 'Cash App Payments'
+   */
+  static normalizeName(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+}
+
+DependencyGraphService.ISSUE_TYPES = ISSUE_TYPES;
+DependencyGraphService.DEFAULT_MAX_DEPTH = DEFAULT_MAX_DEPTH;
+
+module.exports = DependencyGraphService;
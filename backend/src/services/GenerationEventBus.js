@@ -0,0 +1,27 @@
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+// One listener per open SSE connection
+emitter.setMaxListeners(0);
+
+/**
+ * In-process fan-out of generation job events to SSE subscribers.
+ * Events are also persisted on the job row, so subscribers connected to a
+ * different server instance than the worker still see them by polling.
+ */
+class GenerationEventBus {
+
+  static publish(jobId, event) {
+    emitter.emit(jobId, event);
+  }
+
+  /**
+   * Subscribe to a job's events, returns the unsubscribe function
+   */
+  static subscribe(jobId, listener) {
+    emitter.on(jobId, listener);
+    return () => emitter.off(jobId, listener);
+  }
+}
+
+module.exports = GenerationEventBus;
@@ -0,0 +1,172 @@
+const GenerationJobRepository = require('../models/GenerationJobRepository');
+const BIAGenerationService = require('./BIAGenerationService');
+const GenerationEventBus = require('./GenerationEventBus');
+const { ConflictError } = require('../utils/errors');
+
+const config = {
+  concurrency: parseInt(process.env.JOB_WORKER_CONCURRENCY, 10) || 2,
+  pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 5000,
+  staleAfterMs: parseInt(process.env.JOB_STALE_AFTER_MS, 10) || 10 * 60 * 1000,
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3
+};
+
+let pollTimer = null;
+let activeJobs = 0;
+let polling = false;
+
+/**
+ * In-process worker that drains bia_generation_jobs. Several server
+ * instances can run it side by side; claims are made with SKIP LOCKED.
+ */
+class GenerationJobWorker {
+
+  /**
+   * Queue a generation request and wake the worker
+   */
+  static async enqueue(request) {
+    const job = await GenerationJobRepository.create(request);
+    console.log(`📥 Queued BIA generation job ${job.id} for: ${job.function_name}`);
+    setImmediate(() => this.poll());
+    return job;
+  }
+
+  /**
+   * Queue one job per request under a new batch and wake the worker
+   */
+  static async enqueueBatch(batch, requests) {
+    const created = await GenerationJobRepository.createBatch(batch, requests);
+    console.log(`📥 Queued batch ${created.id}: ${created.jobs.length} BIA generation jobs`);
+    setImmediate(() => this.poll());
+    return created;
+  }
+
+  static start() {
+    if (pollTimer) return;
+
+    console.log(`👷 BIA generation worker started (concurrency ${config.concurrency})`);
+    pollTimer = setInterval(() => this.poll(), config.pollIntervalMs);
+    this.poll();
+  }
+
+  static stop() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  /**
+   * Recover abandoned jobs, then claim queued jobs up to the concurrency limit
+   */
+  static async poll() {
+    if (polling) return;
+    polling = true;
+
+    try {
+      const recovered = await GenerationJobRepository.recoverStale(config.staleAfterMs, config.maxAttempts);
+      recovered.forEach(job => console.warn(`⚠️ Recovered stale generation job ${job.id} -> ${job.status}`));
+
+      while (activeJobs < config.concurrency) {
+        const job = await GenerationJobRepository.claimNext();
+        if (!job) break;
+
+        activeJobs++;
+        this.process(job).finally(() => {
+          activeJobs--;
+          setImmediate(() => this.poll());
+        });
+      }
+    } catch (error) {
+      console.error('❌ Generation worker poll error:', error);
+    } finally {
+      polling = false;
+    }
+  }
+
+  /**
+   * Run the generation pipeline for a claimed job. When the job was recovered
+   * as stale and claimed by another worker meanwhile, this run stores no BIA
+   * and leaves the job to the new attempt.
+   */
+  static async process(job) {
+    console.log(`⚙️ Processing generation job ${job.id} (attempt ${job.attempts})`);
+
+    const emit = this.createEmitter(job);
+
+    try {
+      const result = await BIAGenerationService.run({
+        functionName: job.function_name,
+        functionType: job.function_type,
+        driName: job.dri_name,
+        driTeam: job.dri_team,
+        registryAppName: job.registry_app_name,
+        regionalOverlays: job.regional_overlays,
+        requestedBy: job.requested_by
+      }, {
+        onProgress: progress => Promise.all([
+          GenerationJobRepository.updateProgress(job.id, progress)
+            .catch(error => console.warn(`⚠️ Progress update failed for job ${job.id}:`, error.message)),
+          emit({ type: 'progress', progress })
+        ]),
+        onStep: event => emit({ type: 'step', ...event }),
+        store: (save, outcome) => this.storeAndComplete(job, save, outcome)
+      });
+
+      await emit({ type: 'completed', bia_id: result.bia.id, version: result.bia.version, progress: 100 });
+      console.log(`✅ Generation job ${job.id} completed: BIA ${result.bia.id}`);
+
+    } catch (error) {
+      const failed = await GenerationJobRepository.markFailed(job.id, job.attempts, error.message)
+        .catch(markError => {
+          console.error(`❌ Could not mark job ${job.id} failed:`, markError);
+          return true;
+        });
+      if (!failed) {
+        console.warn(`⚠️ Generation job ${job.id} attempt ${job.attempts} abandoned: ${error.message}`);
+        return;
+      }
+
+      console.error(`❌ Generation job ${job.id} failed:`, error);
+      await emit({ type: 'failed', error: error.message });
+    }
+  }
+
+  /**
+   * Store the generated BIA and mark the job completed in one transaction,
+   * holding the job row locked so it cannot be recovered in between
+   */
+  static async storeAndComplete(job, save, outcome) {
+    const stored = await GenerationJobRepository.withAttempt(job.id, job.attempts, async client => {
+      const bia = await save(client);
+      await GenerationJobRepository.markCompleted(job.id, job.attempts, bia.id, {
+        ...outcome,
+        roosterFallback: bia.predictive_analysis?.rooster_version === 'fallback'
+      }, client);
+      return bia;
+    });
+
+    if (!stored) {
+      throw new ConflictError(`Generation job ${job.id} was claimed by a later attempt`);
+    }
+    return stored;
+  }
+
+  /**
+   * Build the event emitter for a job run. Events are numbered, published to
+   * live subscribers and persisted in order on the job row.
+   */
+  static createEmitter(job) {
+    let seq = 0;
+    let persisted = Promise.resolve();
+
+    return event => {
+      const stamped = { ...event, seq: ++seq, attempt: job.attempts, timestamp: new Date().toISOString() };
+      GenerationEventBus.publish(job.id, stamped);
+
+      persisted = persisted
+        .then(() => GenerationJobRepository.appendEvent(job.id, stamped))
+        .catch(error => console.warn(`⚠️ Event persist failed for job ${job.id}:`, error.message));
+      return persisted;
+    };
+  }
+}
+
+module.exports = GenerationJobWorker;
@@ -0,0 +1,187 @@
+const healthMonitorConfig = require('../../config/healthMonitor');
+const DataSourceHealthRepository = require('../models/DataSourceHealthRepository');
+const ConnectorRegistry = require('./ConnectorRegistry');
+const DataIntegrationService = require('./DataIntegrationService');
+const RoosterService = require('./RoosterService');
+const ResilienceService = require('./ResilienceService');
+const { NotFoundError } = require('../utils/errors');
+
+// Statuses a health check reports when its source is down
+const FAILED_STATUSES = ['error', 'unavailable', 'unhealthy'];
+
+let checkTimer = null;
+let probing = false;
+
+/**
+ * Probes every enabled connector, Fusion and Rooster in the background,
+ * measures latency and records the results in data_source_health and its
+ * history. Whether a probe is due is decided from the last recorded probe
+ * while holding a database advisory lock, so several server instances do
+ * not multiply probes.
+ */
+class HealthMonitorService {
+
+  static start() {
+    if (checkTimer) return;
+
+    console.log(`🩺 Data source health monitor started (every ${Math.round(healthMonitorConfig.intervalMs / 1000)} seconds)`);
+    checkTimer = setInterval(() => this.probeIfDue(), healthMonitorConfig.checkIntervalMs);
+    this.probeIfDue();
+  }
+
+  static stop() {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  }
+
+  /**
+   * Probe every source when the last probe is older than the probe interval.
+   * Skipped while another instance holds the probe lock.
+   */
+  static async probeIfDue() {
+    if (probing) return;
+    probing = true;
+
+    try {
+      await DataSourceHealthRepository.withProbeLock(async () => {
+        const latest = await DataSourceHealthRepository.findLatestCheck();
+        const due = !latest || Date.now() - new Date(latest).getTime() >= healthMonitorConfig.intervalMs;
+        if (due) {
+          await this.probeAll();
+        }
+      });
+    } catch (error) {
+      console.error('❌ Health monitor error:', error);
+    } finally {
+      probing = false;
+    }
+  }
+
+  /**
+   * Probe every source, record the results and prune expired history
+   */
+  static async probeAll() {
+    const results = await Promise.all(this.getChecks().map(({ source, check }) => this.probe(source, check)));
+
+    await Promise.all(results.map(result => DataSourceHealthRepository.record(result).catch(error => {
+      console.error(`❌ Failed to record health of ${result.source}:`, error.message);
+    })));
+    await DataSourceHealthRepository.pruneHistory(healthMonitorConfig.historyRetentionDays);
+
+    const failed = results.filter(result => result.status === 'error').map(result => result.source);
+    console.log(`🩺 Probed ${results.length} data sources${failed.length > 0 ? `, failing: ${failed.join(', ')}` : ''}`);
+    return results;
+  }
+
+  /**
+   * Health check of each enabled connector, Fusion and Rooster
+   */
+  static getChecks() {
+    return [
+      ...ConnectorRegistry.list().map(connector => ({ source: connector.id, check: signal => connector.health({ signal }) })),
+      { source: 'fusion', check: () => DataIntegrationService.checkFusionHealth() },
+      { source: 'rooster', check: () => RoosterService.getServiceHealth() }
+    ];
+  }
+
+  /**
+   * Run one health check under the source's timeout and classify it. Latency
+   * is measured here rather than taken from the check's own report.
+   */
+  static async probe(source, check, config = healthMonitorConfig) {
+    const startedAt = Date.now();
+    const result = { source, status: 'healthy', responseTimeMs: null, errorMessage: null };
+
+    try {
+      const health = await ResilienceService.withTimeout(source, check, ResilienceService.getPolicy(source).timeoutMs);
+      result.responseTimeMs = Date.now() - startedAt;
+
+      if (FAILED_STATUSES.includes(health?.status)) {
+        result.status = 'error';
+        result.errorMessage = health.error || `${source} reported ${health.status}`;
+      } else if (health?.status === 'degraded' || result.responseTimeMs > config.degradedLatencyMs) {
+        result.status = 'degraded';
+      }
+    } catch (error) {
+      result.responseTimeMs = Date.now() - startedAt;
+      result.status = 'error';
+      result.errorMessage = error.message;
+    }
+
+    result.checkedAt = new Date();
+    return result;
+  }
+
+  /**
+   * Current health and uptime percentages per source over each uptime
+   * window, with the most recent probes
+   * @throws {NotFoundError} when `source` is not a monitored source
+   */
+  static async getHistory({ source, limit } = {}, config = healthMonitorConfig) {
+    if (source && !this.getSourceIds().includes(source)) {
+      throw new NotFoundError(`Unknown data source: ${source}`, { data_sources: this.getSourceIds() });
+    }
+
+    const windows = Object.entries(config.uptimeWindows);
+    const [current, summaries, recent] = await Promise.all([
+      DataSourceHealthRepository.findAll(),
+      Promise.all(windows.map(([, windowMs]) => DataSourceHealthRepository.summarize(windowMs, { source }))),
+      DataSourceHealthRepository.listHistory({ source, limit })
+    ]);
+
+    const sources = {};
+    const sourceEntry = id => {
+      sources[id] = sources[id] || {
+        current: null,
+        uptime: Object.fromEntries(windows.map(([window]) => [window, this.toUptime(null)]))
+      };
+      return sources[id];
+    };
+
+    current.filter(row => !source || row.source === source).forEach(row => {
+      sourceEntry(row.source).current = {
+        status: row.status,
+        response_time_ms: row.response_time_ms,
+        last_check: row.last_check,
+        error_message: row.error_message
+      };
+    });
+    windows.forEach(([window], index) => {
+      summaries[index].forEach(summary => {
+        sourceEntry(summary.source).uptime[window] = this.toUptime(summary);
+      });
+    });
+
+    return {
+      windows: windows.map(([window]) => window),
+      probe_interval_seconds: Math.round(config.intervalMs / 1000),
+      sources,
+      recent,
+      generated_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Uptime counts degraded probes as up: the source answered, only slowly
+   */
+  static toUptime(summary) {
+    if (!summary || summary.checks === 0) {
+      return { uptime_percent: null, checks: 0, healthy: 0, degraded: 0, failed: 0, avg_response_time_ms: null, last_failure_at: null };
+    }
+
+    const { source, ...counts } = summary;
+    return {
+      uptime_percent: Math.round(((summary.checks - summary.failed) / summary.checks) * 10000) / 100,
+      ...counts
+    };
+  }
+
+  /**
+   * Every source the monitor may have history for, including disabled connectors
+   */
+  static getSourceIds() {
+    return [...ConnectorRegistry.list({ includeDisabled: true }).map(connector => connector.id), 'fusion', 'rooster'];
+  }
+}
+
+module.exports = HealthMonitorService;
@@ -0,0 +1,201 @@
+const impactConfig = require('../../config/impact');
+const { QUANTITY_UNITS, parseCurrency, parsePercentage, formatDuration, duration, currency } = require('../utils/units');
+
+const DIMENSIONS = ['financial', 'customer', 'regulatory', 'reputational'];
+
+// Business impact timeline periods and the outage duration (hours) each is assessed at
+const TIMELINE_PERIODS = {
+  '1_4_hours': 4,
+  '4_24_hours': 24,
+  '1_7_days': 168,
+  '7_plus_days': null // the model horizon
+};
+
+class ImpactModelService {
+
+  /**
+   * Model the cumulative cost of an outage from financial connector data.
+   * Returns the cost curve, the impact timeline summary and the MTPD, i.e.
+   * the first outage duration at which any dimension becomes intolerable.
+   */
+  static analyze(financialData, functionType, config = impactConfig) {
+    const inputs = this.getInputs(financialData, functionType, config);
+    const assess = hours => this.assessAt(hours, inputs, config);
+
+    const curve = config.curveHours.filter(hours => hours <= config.horizonHours).map(assess);
+    const intolerable = this.findIntolerablePoint(assess, config);
+
+    const impactTimeline = Object.fromEntries(Object.entries(TIMELINE_PERIODS).map(([period, hours]) =>
+      [period, this.describePoint(assess(hours || config.horizonHours))]));
+
+    return {
+      inputs,
+      curve,
+      impact_timeline: impactTimeline,
+      ...this.describeMTPD(intolerable, assess(config.horizonHours), config)
+    };
+  }
+
+  /**
+   * The MTPD and its basis. Without data for any dimension the MTPD is unknown
+   * rather than beyond the horizon.
+   */
+  static describeMTPD(intolerable, horizonPoint, config) {
+    if (intolerable) {
+      return {
+        mtpd: duration(intolerable.hours * 60),
+        mtpd_basis: `${intolerable.driver.severity} ${intolerable.driver.dimension} impact after ${formatDuration(intolerable.hours * 60)} of outage`
+      };
+    }
+    if (horizonPoint.overall_score === null) {
+      return {
+        mtpd: { value: null, unit: QUANTITY_UNITS.duration, display: 'Unknown' },
+        mtpd_basis: 'No financial or customer data to assess when the impact becomes intolerable'
+      };
+    }
+    return {
+      mtpd: { value: null, unit: QUANTITY_UNITS.duration, display: `>${formatDuration(config.horizonHours * 60)}` },
+      mtpd_basis: `No impact dimension becomes intolerable within ${formatDuration(config.horizonHours * 60)}`
+    };
+  }
+
+  /**
+   * Rates the model runs on, derived from whatever the connector supplied.
+   * Missing financial data leaves every dimension unknown: regulatory impact
+   * is read from transaction volume and reputational impact from customer reach.
+   */
+  static getInputs(financialData, functionType, config) {
+    const dailyRevenue = parseCurrency(financialData?.daily_revenue_impact);
+    const dailyTransactions = this.toNumber(financialData?.transaction_volume?.daily);
+    const peakHourlyTransactions = this.toNumber(financialData?.transaction_volume?.peak_hourly);
+    const revenuePerTransaction = parseCurrency(financialData?.revenue_per_transaction);
+
+    const hourlyRevenue = dailyRevenue !== null
+      ? dailyRevenue / 24
+      : dailyTransactions !== null && revenuePerTransaction !== null ? (dailyTransactions * revenuePerTransaction) / 24 : null;
+
+    // Outages are assumed to start at peak load
+    const peakHourlyRevenue = peakHourlyTransactions !== null && revenuePerTransaction !== null
+      ? Math.max(peakHourlyTransactions * revenuePerTransaction, hourlyRevenue || 0)
+      : hourlyRevenue;
+
+    const enterpriseShare = parsePercentage(financialData?.customer_segments?.enterprise);
+
+    return {
+      hourly_revenue: hourlyRevenue,
+      peak_hourly_revenue: peakHourlyRevenue,
+      active_customers: this.toNumber(financialData?.active_customers),
+      daily_transactions: dailyTransactions,
+      peak_hourly_transactions: peakHourlyTransactions,
+      enterprise_share: enterpriseShare !== null ? enterpriseShare / 100 : 0,
+      regulatory_exposure: config.regulatoryExposure[functionType] ?? 0.5
+    };
+  }
+
+  /**
+   * Cumulative impact of an outage lasting `hours`, per dimension
+   */
+  static assessAt(hours, inputs, config) {
+    const lostRevenue = inputs.hourly_revenue !== null
+      ? this.cumulative(hours, inputs.hourly_revenue * 24, inputs.peak_hourly_revenue)
+      : null;
+
+    const failedTransactions = inputs.daily_transactions
+      ? this.cumulative(hours, inputs.daily_transactions, inputs.peak_hourly_transactions)
+      : null;
+
+    // Share of a day's transactions that failed, applied to the customer base
+    let customersAffected = null;
+    if (inputs.active_customers !== null) {
+      const failedShare = failedTransactions !== null ? failedTransactions / inputs.daily_transactions : hours / 24;
+      customersAffected = Math.round(inputs.active_customers * Math.min(1, failedShare));
+    }
+
+    const values = {
+      financial: lostRevenue,
+      customer: customersAffected,
+      // Failed transactions, weighted by how closely regulators watch this function type
+      regulatory: failedTransactions !== null ? failedTransactions * inputs.regulatory_exposure : null,
+      // Customers affected, weighted up by the enterprise share of the base
+      reputational: customersAffected !== null ? customersAffected * (1 + inputs.enterprise_share) : null
+    };
+
+    const point = { hours, duration: duration(hours * 60) };
+    DIMENSIONS.forEach(dimension => {
+      point[dimension] = this.rate(values[dimension], config.thresholds[dimension], config);
+    });
+    point.financial.cumulative_loss = currency(lostRevenue !== null ? Math.round(lostRevenue) : null);
+    point.customer.customers_affected = customersAffected;
+
+    const scores = DIMENSIONS.map(dimension => point[dimension].score).filter(score => score !== null);
+    point.overall_score = scores.length > 0 ? Math.max(...scores) : null;
+    point.overall_severity = point.overall_score ? config.severityLevels[point.overall_score - 1] : null;
+
+    return point;
+  }
+
+  /**
+   * Cumulative amount of a daily quantity over `hours`. Each day starts with
+   * its peak hour; the rest of the day shares what the peak hour leaves, so
+   * 24 hours add up to exactly one day.
+   */
+  static cumulative(hours, daily, peakHourly) {
+    const peak = Math.min(peakHourly ?? daily / 24, daily);
+    const offPeak = (daily - peak) / 23;
+    const days = Math.floor(hours / 24);
+    const rest = hours - days * 24;
+
+    return days * daily + Math.min(rest, 1) * peak + Math.max(rest - 1, 0) * offPeak;
+  }
+
+  /**
+   * Scan every five minutes for the first hour, hour by hour for three days,
+   * then every six hours up to the horizon
+   */
+  static findIntolerablePoint(assess, config) {
+    for (let minutes = 5; minutes <= config.horizonHours * 60; minutes += minutes < 60 ? 5 : minutes < 72 * 60 ? 60 : 360) {
+      const hours = minutes / 60;
+      const point = assess(hours);
+      const dimension = DIMENSIONS.find(name => point[name].score !== null && point[name].score >= config.intolerableScore);
+      if (dimension) {
+        return { hours, driver: { dimension, severity: point[dimension].severity } };
+      }
+    }
+    return null;
+  }
+
+  static rate(value, thresholds, config) {
+    if (value === null) {
+      return { score: null, severity: 'Unknown' };
+    }
+
+    const score = 1 + thresholds.filter(threshold => value > threshold).length;
+    return { score, severity: config.severityLevels[score - 1] };
+  }
+
+  /**
+   * One-line summary of a curve point for the impact timeline
+   */
+  static describePoint(point) {
+    const financial = point.financial.cumulative_loss.value !== null
+      ? `${point.financial.cumulative_loss.display} revenue lost`
+      : 'revenue impact unknown';
+    const customers = point.customer.customers_affected !== null
+      ? `${point.customer.customers_affected.toLocaleString('en-US')} customers affected`
+      : 'customer impact unknown';
+
+    return `${point.overall_severity} - ${financial}, ${customers}; ` +
+      `regulatory: ${point.regulatory.severity}, reputational: ${point.reputational.severity}`;
+  }
+
+  static toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string') return null;
+    const parsed = parseFloat(value.replace(/,/g, ''));
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+}
+
+ImpactModelService.DIMENSIONS = DIMENSIONS;
+
+module.exports = ImpactModelService;
@@ -0,0 +1,269 @@
+const BIARepository = require('../models/BIARepository');
+const ConfidenceScoringService = require('./ConfidenceScoringService');
+const SectionOverrideService = require('./SectionOverrideService');
+const { getPath } = require('../utils/objectPath');
+const { quantityType, QUANTITY_UNITS } = require('../utils/units');
+const { NotFoundError } = require('../utils/errors');
+
+// Connector fields the downtime impact model reads
+const IMPACT_MODEL_INPUTS = [
+  'daily_revenue_impact',
+  'revenue_per_transaction',
+  'active_customers',
+  'transaction_volume.daily',
+  'transaction_volume.peak_hourly',
+  'customer_segments.enterprise'
+];
+
+/**
+ * Where each auto-populated document field comes from: the connector, the
+ * connector fields it was read from and how it was transformed. Fields
+ * without `from` are derived from built-in policy tables.
+ */
+const LINEAGE_FIELDS = {
+  'personnel_information.team_size': { source: 'hr', from: ['team_size'] },
+  'personnel_information.key_personnel': { source: 'hr', from: ['key_personnel'] },
+  'personnel_information.escalation_policy': { source: 'pagerDuty', from: ['escalation_policy'] },
+  'personnel_information.on_call_schedule': { source: 'pagerDuty', from: ['on_call_schedule'] },
+  'personnel_information.manager_chain': { source: 'hr', from: ['manager_chain'] },
+  'personnel_information.business_hours': { source: 'hr', from: ['business_hours'] },
+
+  'business_impact.daily_revenue_impact': { source: 'financial', from: ['daily_revenue_impact'] },
+  'business_impact.monthly_revenue_impact': { source: 'financial', from: ['monthly_revenue_impact'] },
+  'business_impact.active_customers': { source: 'financial', from: ['active_customers'] },
+  'business_impact.transaction_volume': { source: 'financial', from: ['transaction_volume'] },
+  'business_impact.customer_segments.enterprise': { source: 'financial', from: ['customer_segments.enterprise'] },
+  'business_impact.customer_segments.smb': { source: 'financial', from: ['customer_segments.smb'] },
+  'business_impact.customer_segments.consumer': { source: 'financial', from: ['customer_segments.consumer'] },
+  'business_impact.impact_timeline': {
+    source: 'financial',
+    from: IMPACT_MODEL_INPUTS,
+    transformation: 'Downtime impact model (config/impact.js) assessed at 4 hours, 24 hours, 7 days and the model horizon'
+  },
+  'business_impact.downtime_cost_curve': {
+    source: 'financial',
+    from: IMPACT_MODEL_INPUTS,
+    transformation: 'Downtime impact model (config/impact.js): cumulative impact per outage duration'
+  },
+  'business_impact.predictive_impact.twelve_month_forecast': { source: 'predictions', from: ['performance_predictions.availability_forecast'] },
+  'business_impact.predictive_impact.risk_level': { source: 'predictions', from: ['risk_assessment.overall_risk'] },
+  'business_impact.predictive_impact.improvement_potential': { source: 'predictions', from: ['rto_analysis.improvement_potential'] },
+
+  'technology_dependencies.core_technologies': { source: 'registry', from: ['technology_stack'] },
+  'technology_dependencies.service_dependencies': { source: 'registry', from: ['dependencies'] },
+  'technology_dependencies.reliability_tier': { source: 'registry', from: ['reliability_tier'] },
+  'technology_dependencies.deployment_info': { source: 'registry', from: ['deployment_info'] },
+  'technology_dependencies.documentation.runbook_url': { source: 'registry', from: ['runbook_url'] },
+  'technology_dependencies.documentation.documentation_url': { source: 'registry', from: ['documentation_url'] },
+  'technology_dependencies.documentation.slack_channel': { source: 'registry', from: ['slack_channel'] },
+
+  'recovery_requirements.rto.current': { source: 'predictions', from: ['rto_analysis.current_estimate'] },
+  'recovery_requirements.rto.target': { source: 'predictions', from: ['rto_analysis.twelve_month_forecast'] },
+  'recovery_requirements.rpo.current': { source: 'predictions', from: ['rpo_analysis.current_estimate'] },
+  'recovery_requirements.rpo.target': { source: 'predictions', from: ['rpo_analysis.twelve_month_forecast'] },
+  'recovery_requirements.current_availability': { source: 'monitoring', from: ['current_availability'] },
+  'recovery_requirements.sla_target': { source: 'monitoring', from: ['sla_target'] },
+  'recovery_requirements.mttr': {
+    source: 'pagerDuty',
+    from: ['incident_stats.mttr_minutes'],
+    transformation: 'Mean time from trigger to resolution of incidents in the longest analytics window'
+  },
+  'recovery_requirements.mtta': {
+    source: 'pagerDuty',
+    from: ['incident_stats.mtta_minutes'],
+    transformation: 'Mean time from trigger to first acknowledgement of incidents in the longest analytics window'
+  },
+  'recovery_requirements.incident_history': {
+    source: 'pagerDuty',
+    from: ['incident_stats.incident_count', 'incident_stats.frequency', 'incident_stats.longest_outage'],
+    transformation: 'Incident frequency by priority and the longest outage in the longest analytics window'
+  },
+  'recovery_requirements.scenarios': { source: 'predictions', from: ['scenarios'] },
+  'recovery_requirements.recovery_timeline': { source: 'policy', rule: 'Standard recovery timeline' },
+
+  'risk_compliance.compliance_requirements': { source: 'policy', rule: 'Compliance requirements by function type' },
+  'risk_compliance.data_classification': { source: 'policy', rule: 'Data classification by function type' },
+  'risk_compliance.regulatory_impact': { source: 'policy', rule: 'Regulatory impact by function type' },
+  'risk_compliance.security_considerations': { source: 'policy', rule: 'Standard security controls' },
+
+  'iso_22301_compliance.business_function_classification': { source: 'policy', rule: 'BCM classification by function type' },
+  'iso_22301_compliance.mtpd': {
+    source: 'financial',
+    from: IMPACT_MODEL_INPUTS,
+    transformation: 'First outage duration at which the downtime impact model rates any dimension intolerable'
+  },
+  'iso_22301_compliance.mbco': { source: 'policy', rule: 'MBCO by function type' },
+  'iso_22301_compliance.resource_requirements': { source: 'policy', rule: 'Resource requirements by function type' },
+  'iso_22301_compliance.continuity_strategies': { source: 'policy', rule: 'Standard continuity strategies' },
+  'iso_22301_compliance.testing_requirements': { source: 'policy', rule: 'Quarterly BCM testing policy' },
+  'iso_22301_compliance.risk_assessment': { source: 'predictions', from: ['risk_assessment'] }
+};
+
+const LINEAGE_STATUSES = {
+  FETCHED: 'fetched',
+  BENCHMARK: 'benchmark',
+  DEFAULT: 'default',
+  POLICY: 'policy',
+  MANUAL: 'manual'
+};
+
+class LineageService {
+
+  /**
+   * Record the lineage of every auto-populated field of a freshly built
+   * document, keyed by field path
+   */
+  static build(biaDocument, autoPopulatedData) {
+    const lineage = {};
+
+    Object.entries(LINEAGE_FIELDS).forEach(([field, spec]) => {
+      const value = getPath(biaDocument, field);
+      if (value === undefined) return;
+
+      lineage[field] = spec.source === 'policy'
+        ? this.describePolicyField(spec, biaDocument.function_type)
+        : this.describeConnectorField(value, spec, autoPopulatedData[spec.source]);
+    });
+
+    return lineage;
+  }
+
+  /**
+   * Lineage of a stored BIA, optionally for a single field. Current values
+   * are read from the document, so fields a reviewer has since overridden
+   * show the override alongside where the original value came from.
+   * @throws {NotFoundError} when the BIA or the requested field does not exist
+   */
+  static async getLineage(biaId, { field } = {}) {
+    const bia = await BIARepository.findById(biaId);
+    if (!bia) {
+      throw new NotFoundError('BIA not found');
+    }
+
+    const lineage = bia.lineage || {};
+    const overrides = this.listOverrides(bia);
+    const fields = Object.entries(lineage).map(([path, entry]) => this.withCurrentValue(bia, path, entry, overrides[path]));
+
+    // Overridden fields outside the recorded lineage only have the manual entry
+    Object.entries(overrides)
+      .filter(([path]) => !lineage[path])
+      .forEach(([path, override]) => fields.push(this.withCurrentValue(bia, path, {
+        connector: null,
+        source: null,
+        status: LINEAGE_STATUSES.MANUAL,
+        request: null,
+        fetched_at: null,
+        source_fields: [],
+        raw_value: null,
+        transformation: null
+      }, override)));
+
+    const selected = field ? fields.filter(entry => entry.field === field) : fields;
+    if (field && selected.length === 0) {
+      throw new NotFoundError(`No lineage recorded for field: ${field}`, { fields: fields.map(entry => entry.field) });
+    }
+
+    return {
+      bia: { id: bia.id, function_name: bia.function_name, version: bia.version, status: bia.status },
+      generated_at: bia.generated_at,
+      fields: selected
+    };
+  }
+
+  // Lineage entries
+  static describeConnectorField(value, spec, sourceData) {
+    const name = ConfidenceScoringService.SOURCE_NAMES[spec.source];
+
+    if (!sourceData) {
+      return {
+        connector: spec.source,
+        source: name,
+        status: LINEAGE_STATUSES.DEFAULT,
+        request: null,
+        fetched_at: null,
+        source_fields: spec.from,
+        raw_value: null,
+        transformation: `${name} was unavailable; built-in default used`
+      };
+    }
+
+    const rawValue = spec.from.length === 1
+      ? getPath(sourceData, spec.from[0])
+      : Object.fromEntries(spec.from.map(path => [path, getPath(sourceData, path) ?? null]));
+    const missing = rawValue === undefined || rawValue === null;
+    const benchmark = sourceData.rooster_version === 'fallback';
+
+    return {
+      connector: spec.source,
+      source: name,
+      status: missing ? LINEAGE_STATUSES.DEFAULT : benchmark ? LINEAGE_STATUSES.BENCHMARK : LINEAGE_STATUSES.FETCHED,
+      request: sourceData.source_request || null,
+      fetched_at: sourceData.last_updated || sourceData.generated_at || null,
+      source_fields: spec.from,
+      raw_value: missing ? null : rawValue,
+      transformation: missing
+        ? `${name} returned no value; built-in default used`
+        : this.describeTransformation(value, spec)
+    };
+  }
+
+  static describePolicyField(spec, functionType) {
+    return {
+      connector: 'policy',
+      source: ConfidenceScoringService.SOURCE_NAMES.policy,
+      status: LINEAGE_STATUSES.POLICY,
+      request: { type: 'policy', rule: spec.rule, function_type: functionType || null },
+      fetched_at: null,
+      source_fields: [],
+      raw_value: null,
+      transformation: `${spec.rule}${functionType ? ` (function type '${functionType}')` : ''}`
+    };
+  }
+
+  static describeTransformation(value, spec) {
+    const steps = [];
+    if (spec.transformation) {
+      steps.push(spec.transformation);
+    }
+
+    const type = quantityType(value);
+    if (type) {
+      steps.push(`Parsed as a ${type} and normalized to ${QUANTITY_UNITS[type]}`);
+    }
+
+    return steps.length > 0 ? steps.join('; ') : 'Copied as reported';
+  }
+
+  // Helpers
+  static withCurrentValue(bia, path, entry, override) {
+    const value = getPath(bia, path);
+
+    return {
+      field: path,
+      value: value === undefined ? null : value,
+      ...entry,
+      manual_override: override
+        ? {
+          author: override.author,
+          reason: override.reason,
+          overridden_at: override.overridden_at,
+          source_value: override.source_value
+        }
+        : null
+    };
+  }
+
+  /**
+   * Manual overrides of every editable section, keyed by document field path
+   */
+  static listOverrides(bia) {
+    return Object.fromEntries(SectionOverrideService.EDITABLE_SECTIONS
+      .flatMap(section => Object.entries(bia[section]?.manual_overrides || {})
+        .map(([field, override]) => [`${section}.${field}`, override])));
+  }
+}
+
+LineageService.LINEAGE_FIELDS = LINEAGE_FIELDS;
+LineageService.LINEAGE_STATUSES = LINEAGE_STATUSES;
+
+module.exports = LineageService;
@@ -0,0 +1,117 @@
+const refreshConfig = require('../../config/refresh');
+const { getPath } = require('../utils/objectPath');
+const { parseDurationMinutes, parseCurrency, displayValue } = require('../utils/units');
+
+/**
+ * Materiality rules compare a stored BIA with a freshly built candidate.
+ * Each rule names the sources its field is derived from; when one of them
+ * was unavailable during the refresh the rule is skipped, so fallback
+ * defaults are never mistaken for real change.
+ */
+const RULES = [
+  {
+    name: 'reliability_tier_change',
+    field: 'technology_dependencies.reliability_tier',
+    sources: ['registry'],
+    enabled: config => config.reliabilityTierChange,
+    evaluate(previousValue, currentValue) {
+      if (!previousValue || !currentValue || currentValue === 'Unknown' || previousValue === currentValue) {
+        return null;
+      }
+      return { message: `Reliability tier changed from ${previousValue} to ${currentValue}` };
+    }
+  },
+  {
+    name: 'rto_change',
+    field: 'recovery_requirements.rto.current',
+    sources: ['rooster'],
+    enabled: config => config.rtoChangePercent > 0,
+    evaluate(previousValue, currentValue, config) {
+      const previousMinutes = parseDurationMinutes(previousValue);
+      const currentMinutes = parseDurationMinutes(currentValue);
+      if (!previousMinutes || currentMinutes === null) {
+        return null;
+      }
+
+      const changePercent = Math.abs(currentMinutes - previousMinutes) / previousMinutes * 100;
+      if (changePercent <= config.rtoChangePercent) {
+        return null;
+      }
+      return {
+        message: `Current RTO moved ${Math.round(changePercent)}% (${displayValue(previousValue)} -> ${displayValue(currentValue)}), above the ${config.rtoChangePercent}% threshold`,
+        change_percent: Math.round(changePercent * 10) / 10
+      };
+    }
+  },
+  {
+    name: 'revenue_impact_band',
+    field: 'business_impact.daily_revenue_impact',
+    sources: ['financial'],
+    enabled: config => config.revenueImpactBands.length > 0,
+    evaluate(previousValue, currentValue, config) {
+      const previousAmount = parseCurrency(previousValue);
+      const currentAmount = parseCurrency(currentValue);
+      if (previousAmount === null || currentAmount === null) {
+        return null;
+      }
+
+      const previousBand = MaterialityService.getRevenueBand(previousAmount, config.revenueImpactBands);
+      const currentBand = MaterialityService.getRevenueBand(currentAmount, config.revenueImpactBands);
+      if (previousBand === currentBand) {
+        return null;
+      }
+      return {
+        message: `Daily revenue impact moved from band ${previousBand} to band ${currentBand} (${displayValue(previousValue)} -> ${displayValue(currentValue)})`,
+        previous_band: previousBand,
+        current_band: currentBand
+      };
+    }
+  }
+];
+
+class MaterialityService {
+
+  /**
+   * Evaluate the materiality rules for a refreshed candidate document.
+   * `unavailableSources` lists sources that failed or fell back during the refresh.
+   */
+  static evaluate(previousDocument, candidateDocument, { unavailableSources = [], config = refreshConfig.materiality } = {}) {
+    const triggered = [];
+    const skipped = [];
+
+    RULES.filter(rule => rule.enabled(config)).forEach(rule => {
+      const missingSources = rule.sources.filter(source => unavailableSources.includes(source));
+      if (missingSources.length > 0) {
+        skipped.push({ rule: rule.name, reason: `Source unavailable: ${missingSources.join(', ')}` });
+        return;
+      }
+
+      const previousValue = getPath(previousDocument, rule.field);
+      const currentValue = getPath(candidateDocument, rule.field);
+      const result = rule.evaluate(previousValue, currentValue, config);
+
+      if (result) {
+        triggered.push({
+          rule: rule.name,
+          field: rule.field,
+          previous_value: previousValue === undefined ? null : previousValue,
+          current_value: currentValue === undefined ? null : currentValue,
+          ...result
+        });
+      }
+    });
+
+    return { material: triggered.length > 0, triggered, skipped };
+  }
+
+  /**
+   * Index of the impact band an amount falls into, given ascending band upper bounds
+   */
+  static getRevenueBand(amount, bands) {
+    return bands.filter(bound => amount >= bound).length;
+  }
+}
+
+MaterialityService.RULES = RULES;
+
+module.exports = MaterialityService;
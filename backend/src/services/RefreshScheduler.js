@@ -0,0 +1,53 @@
+const refreshConfig = require('../../config/refresh');
+const RefreshRunRepository = require('../models/RefreshRunRepository');
+const BIARefreshService = require('./BIARefreshService');
+const { SYSTEM_USER } = require('../middleware/currentUser');
+const { ConflictError } = require('../utils/errors');
+
+let checkTimer = null;
+let checking = false;
+
+/**
+ * Periodically starts a refresh run over approved BIAs. Whether a run is due
+ * is decided from the last run in the database, so restarts and several
+ * server instances do not multiply runs.
+ */
+class RefreshScheduler {
+
+  static start() {
+    if (checkTimer) return;
+
+    console.log(`🗓️ BIA refresh scheduler started (every ${Math.round(refreshConfig.intervalMs / 60000)} minutes)`);
+    checkTimer = setInterval(() => this.runIfDue(), refreshConfig.checkIntervalMs);
+    this.runIfDue();
+  }
+
+  static stop() {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  }
+
+  /**
+   * Start a scheduled run when the previous one is older than the refresh interval
+   */
+  static async runIfDue() {
+    if (checking) return;
+    checking = true;
+
+    try {
+      const latest = await RefreshRunRepository.findLatest();
+      const due = !latest || Date.now() - new Date(latest.started_at).getTime() >= refreshConfig.intervalMs;
+      if (!due) return;
+
+      const run = await BIARefreshService.startRun({ trigger: 'scheduled', user: SYSTEM_USER });
+      await BIARefreshService.executeRun(run);
+    } catch (error) {
+      if (error instanceof ConflictError) return;
+      console.error('❌ Refresh scheduler error:', error);
+    } finally {
+      checking = false;
+    }
+  }
+}
+
+module.exports = RefreshScheduler;
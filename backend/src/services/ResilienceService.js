@@ -0,0 +1,209 @@
+const resilienceConfig = require('../../config/resilience');
+const { ApplicationError, TimeoutError, CircuitOpenError } = require('../utils/errors');
+
+const BREAKER_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Circuit breaker of one external source. Opens after `failureThreshold`
+ * consecutive failed calls, rejects calls while open, and lets a single
+ * trial call through once `resetTimeoutMs` has passed.
+ */
+class CircuitBreaker {
+  constructor(source) {
+    this.source = source;
+    this.state = BREAKER_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastFailure = null;
+    this.totals = { successes: 0, failures: 0, rejected: 0 };
+  }
+
+  /**
+   * Whether a call may go ahead now; moves an expired open breaker to half-open
+   */
+  allowRequest(policy, now = Date.now()) {
+    if (this.state === BREAKER_STATES.OPEN && now - this.openedAt >= policy.resetTimeoutMs) {
+      this.state = BREAKER_STATES.HALF_OPEN;
+      this.trialInFlight = false;
+    }
+
+    if (this.state === BREAKER_STATES.CLOSED) return true;
+    if (this.state === BREAKER_STATES.HALF_OPEN && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    this.totals.rejected++;
+    return false;
+  }
+
+  recordSuccess() {
+    this.totals.successes++;
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+    if (this.state !== BREAKER_STATES.CLOSED) {
+      console.log(`✅ Circuit breaker for ${this.source} closed`);
+    }
+    this.state = BREAKER_STATES.CLOSED;
+    this.openedAt = null;
+  }
+
+  recordFailure(error, policy, now = Date.now()) {
+    this.totals.failures++;
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+    this.lastFailure = { message: error.message, at: new Date(now).toISOString() };
+
+    if (this.state === BREAKER_STATES.HALF_OPEN || this.consecutiveFailures >= policy.failureThreshold) {
+      if (this.state !== BREAKER_STATES.OPEN) {
+        console.warn(`⚠️ Circuit breaker for ${this.source} opened after ${this.consecutiveFailures} failure(s): ${error.message}`);
+      }
+      this.state = BREAKER_STATES.OPEN;
+      this.openedAt = now;
+    }
+  }
+
+  describe(policy) {
+    return {
+      state: this.state,
+      consecutive_failures: this.consecutiveFailures,
+      failure_threshold: policy.failureThreshold,
+      opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retry_at: this.state === BREAKER_STATES.OPEN ? new Date(this.openedAt + policy.resetTimeoutMs).toISOString() : null,
+      last_failure: this.lastFailure,
+      totals: { ...this.totals }
+    };
+  }
+}
+
+// Circuit breakers by source, created on first use
+const breakers = new Map();
+
+/**
+ * Shared resilience layer for calls to external systems: a timeout per
+ * source, retry with exponential backoff and jitter for idempotent reads,
+ * and a circuit breaker per source.
+ */
+class ResilienceService {
+
+  /**
+   * Run `fn({ signal, attempt })` against `source` under its policy. The
+   * signal is aborted when an attempt times out, so HTTP clients and child
+   * processes can stop work. Retries only happen when `idempotent` is set.
+   *
+   * When the breaker is open or every attempt failed, `fallback(error)` is
+   * returned if given; otherwise the error is thrown.
+   * @throws {CircuitOpenError} when the source's breaker is open
+   * @throws {TimeoutError} when the last attempt timed out
+   */
+  static async execute(source, fn, { idempotent = false, fallback, retries, config = resilienceConfig } = {}) {
+    const policy = this.getPolicy(source, config);
+    const breaker = this.getBreaker(source);
+
+    if (!breaker.allowRequest(policy)) {
+      const error = new CircuitOpenError(`Circuit breaker for ${source} is open`, {
+        source,
+        retry_at: breaker.describe(policy).retry_at
+      });
+      if (fallback) return fallback(error);
+      throw error;
+    }
+
+    const maxRetries = idempotent ? (retries ?? policy.retries) : 0;
+    let lastError;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      try {
+        const result = await this.withTimeout(source, signal => fn({ signal, attempt }), policy.timeoutMs);
+        breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        lastError = error;
+        if (attempt === maxRetries || !this.isRetryable(error)) break;
+
+        const delay = this.getBackoffDelay(attempt, policy);
+        console.warn(`⚠️ ${source} attempt ${attempt + 1} failed (${error.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    // A client error means the source answered; it says nothing about the source's health
+    if (this.isRetryable(lastError)) {
+      breaker.recordFailure(lastError, policy);
+    } else {
+      breaker.recordSuccess();
+    }
+    if (fallback) return fallback(lastError);
+    throw lastError;
+  }
+
+  /**
+   * Run `fn(signal)` and reject with a TimeoutError after `timeoutMs`,
+   * aborting the signal so the caller can stop the underlying work
+   */
+  static withTimeout(source, fn, timeoutMs) {
+    const controller = new AbortController();
+    let timer;
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new TimeoutError(`${source} did not respond within ${timeoutMs}ms`, { source, timeout_ms: timeoutMs });
+        controller.abort(error);
+        reject(error);
+      }, timeoutMs);
+    });
+
+    return Promise.race([Promise.resolve().then(() => fn(controller.signal)), timeout])
+      .finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Client errors such as a 404 from the source will not succeed on retry
+   */
+  static isRetryable(error) {
+    return !(error instanceof ApplicationError) || error.statusCode >= 500;
+  }
+
+  /**
+   * Exponential backoff with equal jitter: half the delay is fixed, half random
+   */
+  static getBackoffDelay(attempt, policy) {
+    const ceiling = Math.min(policy.backoffMaxMs, policy.backoffBaseMs * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  static getPolicy(source, config = resilienceConfig) {
+    return { ...config.defaults, ...(config.sources[source] || {}) };
+  }
+
+  static getBreaker(source) {
+    if (!breakers.has(source)) {
+      breakers.set(source, new CircuitBreaker(source));
+    }
+    return breakers.get(source);
+  }
+
+  /**
+   * State of one source's breaker, or of every breaker used so far
+   */
+  static getBreakerState(source, config = resilienceConfig) {
+    return this.getBreaker(source).describe(this.getPolicy(source, config));
+  }
+
+  static getBreakerStates(config = resilienceConfig) {
+    return Object.fromEntries(Array.from(breakers.keys()).map(source => [source, this.getBreakerState(source, config)]));
+  }
+
+  static isOpen(source) {
+    return breakers.get(source)?.state === BREAKER_STATES.OPEN;
+  }
+}
+
+ResilienceService.BREAKER_STATES = BREAKER_STATES;
+
+module.exports = ResilienceService;
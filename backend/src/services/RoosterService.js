@@ -1,6 +1,8 @@
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs').promises;
+const ResilienceService = require('./ResilienceService');
+const { duration, percentage } = require('../utils/units');
 
 class RoosterService {
   
@@ -21,17 +23,19 @@ class RoosterService {
         function_name: functionName,
         registry_data: inputData.registryData,
         monitoring_data: inputData.monitoringData,
+        incident_history: inputData.pagerDutyData?.incident_analytics || null,
         analysis_type: 'comprehensive',
         prediction_horizon: '12_months',
         scenarios: ['best_case', 'worst_case', 'most_likely'],
         timestamp: new Date().toISOString()
       };
 
-      // Write input file
-      await fs.writeFile(inputFile, JSON.stringify(roosterInput, null, 2));
-
-      // Execute Rooster prediction engine
-      const predictions = await this.executeRoosterPython(roosterPath, inputFile, outputFile);
+      // Execute Rooster prediction engine; the process is killed after the Rooster timeout
+      // and an open circuit breaker skips it, both falling back to benchmark predictions
+      const predictions = await ResilienceService.execute('rooster', async ({ signal }) => {
+        await fs.writeFile(inputFile, JSON.stringify(roosterInput, null, 2));
+        return this.executeRoosterPython(roosterPath, inputFile, outputFile, { signal });
+      });
 
       // Clean up temp files
       try {
@@ -41,26 +45,35 @@ class RoosterService {
         console.warn('⚠️ Cleanup warning:', cleanupError.message);
       }
 
-      return predictions;
+      return {
+        ...predictions,
+        source_request: {
+          type: 'process',
+          command: `python3 rto_rpo_predictor.py --input ${path.basename(inputFile)} --output ${path.basename(outputFile)}`,
+          cwd: roosterPath
+        }
+      };
 
     } catch (error) {
       console.error('❌ Rooster prediction error:', error);
       // Return fallback predictions if Rooster fails
-      return this.getFallbackPredictions(functionName);
+      return this.getFallbackPredictions(functionName, error.message);
     }
   }
 
   /**
-   * Execute Rooster Python prediction engine
+   * Execute Rooster Python prediction engine. Aborting `signal` kills the process.
    */
-  static async executeRoosterPython(roosterPath, inputFile, outputFile) {
+  static async executeRoosterPython(roosterPath, inputFile, outputFile, { signal } = {}) {
     return new Promise((resolve, reject) => {
       const pythonScript = path.join(roosterPath, 'rto_rpo_predictor.py');
       
       // Check if Rooster exists
       const python = spawn('python3', [pythonScript, '--input', inputFile, '--output', outputFile], {
         cwd: roosterPath,
-        stdio: ['pipe', 'pipe', 'pipe']
+        stdio: ['pipe', 'pipe', 'pipe'],
+        signal,
+        killSignal: 'SIGKILL'
       });
 
       let stdout = '';
@@ -92,6 +105,10 @@ class RoosterService {
       });
 
       python.on('error', (error) => {
+        if (error.name === 'AbortError') {
+          console.error('❌ Rooster process killed:', signal.reason?.message || error.message);
+          return reject(signal.reason || error);
+        }
         console.error('❌ Rooster spawn error:', error);
         reject(error);
       });
@@ -99,21 +116,22 @@ class RoosterService {
   }
 
   /**
-   * Format Rooster output for BIA integration
+   * Format Rooster output for BIA integration. Durations and percentages
+   * become quantities whether Rooster reports them as text or numbers.
    */
   static formatRoosterOutput(roosterData) {
     return {
       rto_analysis: {
-        current_estimate: roosterData.current_rto || '45 minutes',
+        current_estimate: duration(roosterData.current_rto || '45 minutes'),
         confidence_score: roosterData.confidence || 0.8,
-        twelve_month_forecast: roosterData.forecast_rto || '35 minutes',
-        improvement_potential: roosterData.improvement || '22%'
+        twelve_month_forecast: duration(roosterData.forecast_rto || '35 minutes'),
+        improvement_potential: percentage(roosterData.improvement || '22%')
       },
       rpo_analysis: {
-        current_estimate: roosterData.current_rpo || '15 minutes',
+        current_estimate: duration(roosterData.current_rpo || '15 minutes'),
         confidence_score: roosterData.rpo_confidence || 0.75,
-        twelve_month_forecast: roosterData.forecast_rpo || '10 minutes',
-        improvement_potential: roosterData.rpo_improvement || '33%'
+        twelve_month_forecast: duration(roosterData.forecast_rpo || '10 minutes'),
+        improvement_potential: percentage(roosterData.rpo_improvement || '33%')
       },
       risk_assessment: {
         overall_risk: roosterData.risk_level || 'Medium',
@@ -129,25 +147,25 @@ class RoosterService {
         ]
       },
       performance_predictions: {
-        availability_forecast: roosterData.availability_forecast || '99.92%',
-        capacity_utilization: roosterData.capacity_forecast || '68%',
+        availability_forecast: percentage(roosterData.availability_forecast || '99.92%'),
+        capacity_utilization: percentage(roosterData.capacity_forecast || '68%'),
         scaling_requirements: roosterData.scaling_needs || 'Moderate growth expected'
       },
       scenarios: {
         best_case: {
-          rto: roosterData.best_case_rto || '25 minutes',
-          rpo: roosterData.best_case_rpo || '5 minutes',
-          probability: '25%'
+          rto: duration(roosterData.best_case_rto || '25 minutes'),
+          rpo: duration(roosterData.best_case_rpo || '5 minutes'),
+          probability: percentage('25%')
         },
         most_likely: {
-          rto: roosterData.likely_rto || '35 minutes',
-          rpo: roosterData.likely_rpo || '10 minutes',
-          probability: '50%'
+          rto: duration(roosterData.likely_rto || '35 minutes'),
+          rpo: duration(roosterData.likely_rpo || '10 minutes'),
+          probability: percentage('50%')
         },
         worst_case: {
-          rto: roosterData.worst_case_rto || '60 minutes',
-          rpo: roosterData.worst_case_rpo || '30 minutes',
-          probability: '25%'
+          rto: duration(roosterData.worst_case_rto || '60 minutes'),
+          rpo: duration(roosterData.worst_case_rpo || '30 minutes'),
+          probability: percentage('25%')
         }
       },
       data_sources: roosterData.data_sources || [
@@ -165,21 +183,21 @@ class RoosterService {
   /**
    * Fallback predictions if Rooster is unavailable
    */
-  static getFallbackPredictions(functionName) {
+  static getFallbackPredictions(functionName, reason) {
     console.log(`⚠️ Using fallback predictions for: ${functionName}`);
     
     return {
       rto_analysis: {
-        current_estimate: '45 minutes',
+        current_estimate: duration('45 minutes'),
         confidence_score: 0.6,
-        twelve_month_forecast: '40 minutes',
-        improvement_potential: '11%'
+        twelve_month_forecast: duration('40 minutes'),
+        improvement_potential: percentage('11%')
       },
       rpo_analysis: {
-        current_estimate: '15 minutes',
+        current_estimate: duration('15 minutes'),
         confidence_score: 0.6,
-        twelve_month_forecast: '12 minutes',
-        improvement_potential: '20%'
+        twelve_month_forecast: duration('12 minutes'),
+        improvement_potential: percentage('20%')
       },
       risk_assessment: {
         overall_risk: 'Medium',
@@ -195,25 +213,25 @@ class RoosterService {
         ]
       },
       performance_predictions: {
-        availability_forecast: '99.5%',
-        capacity_utilization: '70%',
+        availability_forecast: percentage('99.5%'),
+        capacity_utilization: percentage('70%'),
         scaling_requirements: 'Standard growth patterns'
       },
       scenarios: {
         best_case: {
-          rto: '30 minutes',
-          rpo: '8 minutes',
-          probability: '25%'
+          rto: duration('30 minutes'),
+          rpo: duration('8 minutes'),
+          probability: percentage('25%')
         },
         most_likely: {
-          rto: '45 minutes',
-          rpo: '15 minutes',
-          probability: '50%'
+          rto: duration('45 minutes'),
+          rpo: duration('15 minutes'),
+          probability: percentage('50%')
         },
         worst_case: {
-          rto: '90 minutes',
-          rpo: '30 minutes',
-          probability: '25%'
+          rto: duration('90 minutes'),
+          rpo: duration('30 minutes'),
+          probability: percentage('25%')
         }
       },
       data_sources: [
@@ -224,7 +242,9 @@ class RoosterService {
       generated_at: new Date().toISOString(),
       rooster_version: 'fallback',
       confidence_overall: 0.6,
-      note: 'Fallback predictions used - integrate with Rooster for enhanced accuracy'
+      note: 'Fallback predictions used - integrate with Rooster for enhanced accuracy',
+      fallback_reason: reason || null,
+      source_request: { type: 'benchmark', description: 'Built-in industry benchmark predictions' }
     };
   }
 
@@ -243,9 +263,10 @@ class RoosterService {
       await fs.access(scriptPath);
       
       return {
-        status: 'healthy',
+        status: ResilienceService.isOpen('rooster') ? 'degraded' : 'healthy',
         rooster_path: roosterPath,
         script_available: true,
+        circuit_breaker: ResilienceService.getBreakerState('rooster'),
         last_check: new Date().toISOString()
       };
       
@@ -254,6 +275,7 @@ class RoosterService {
         status: 'unavailable',
         error: error.message,
         fallback_mode: true,
+        circuit_breaker: ResilienceService.getBreakerState('rooster'),
         last_check: new Date().toISOString()
       };
     }
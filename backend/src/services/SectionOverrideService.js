@@ -0,0 +1,264 @@
+const BIARepository = require('../models/BIARepository');
+const AuditService = require('./AuditService');
+const { getPath, setPath, isValidPath } = require('../utils/objectPath');
+const { toQuantity, quantityType, isSameQuantity } = require('../utils/units');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Auto-populated sections a human may edit
+const EDITABLE_SECTIONS = [
+  'personnel_information',
+  'business_impact',
+  'technology_dependencies',
+  'recovery_requirements',
+  'risk_compliance',
+  'iso_22301_compliance'
+];
+
+// Section bookkeeping fields that are never edited directly
+const PROTECTED_FIELDS = ['data_sources', 'confidence_score', 'auto_populated', 'manual_overrides', 'override_conflicts'];
+
+// Statuses in which section content may change
+const EDITABLE_STATUSES = ['draft'];
+
+const RESOLUTIONS = ['keep_manual', 'accept_source'];
+
+class SectionOverrideService {
+
+  /**
+   * Apply human edits to a section, marking every edited field as a manual override
+   * @throws {NotFoundError} when the BIA does not exist
+   * @throws {ConflictError} when the BIA is not editable in its current status
+   */
+  static async editSection(biaId, section, values, { user, reason }) {
+    this.assertEditableSection(section);
+    Object.keys(values).forEach(field => this.assertEditableField(field));
+
+    let changes;
+    const updated = await BIARepository.updateSection(biaId, section, (currentSection, bia) => {
+      this.assertEditableStatus(bia);
+      const result = this.applyOverrides(currentSection || {}, values, { user, reason });
+      changes = result.changes;
+      return result.section;
+    });
+
+    if (!updated) {
+      throw new NotFoundError('BIA not found');
+    }
+
+    await AuditService.record({
+      biaId,
+      action: AuditService.AUDIT_ACTIONS.SECTION_EDIT,
+      user,
+      oldValues: { [section]: changes.old },
+      newValues: { [section]: changes.new },
+      comments: reason
+    });
+
+    return updated;
+  }
+
+  /**
+   * Resolve a disagreement between a manual override and a refreshed source value
+   * @throws {NotFoundError} when the BIA or the conflict does not exist
+   * @throws {ConflictError} when the BIA is not editable in its current status
+   */
+  static async resolveConflict(biaId, section, field, resolution, { user, reason }) {
+    this.assertEditableSection(section);
+    if (!RESOLUTIONS.includes(resolution)) {
+      throw new ValidationError(`Unknown conflict resolution: ${resolution}`, { resolutions: RESOLUTIONS });
+    }
+
+    let conflict;
+    const updated = await BIARepository.updateSection(biaId, section, (currentSection, bia) => {
+      this.assertEditableStatus(bia);
+
+      conflict = currentSection?.override_conflicts?.[field];
+      if (!conflict) {
+        throw new NotFoundError(`No open conflict for ${section}.${field}`);
+      }
+
+      const resolvedSection = this.clone(currentSection);
+      delete resolvedSection.override_conflicts[field];
+
+      if (resolution === 'accept_source') {
+        setPath(resolvedSection, field, conflict.new_source_value);
+        delete resolvedSection.manual_overrides[field];
+      } else {
+        // The human value stands; remember which source value they have now seen
+        resolvedSection.manual_overrides[field].source_value = conflict.new_source_value;
+      }
+
+      return this.withOverrideFlags(resolvedSection);
+    });
+
+    if (!updated) {
+      throw new NotFoundError('BIA not found');
+    }
+
+    await AuditService.record({
+      biaId,
+      action: AuditService.AUDIT_ACTIONS.OVERRIDE_RESOLUTION,
+      user,
+      oldValues: { [section]: { [field]: conflict.manual_value } },
+      newValues: {
+        [section]: { [field]: resolution === 'accept_source' ? conflict.new_source_value : conflict.manual_value },
+        resolution
+      },
+      comments: reason
+    });
+
+    return updated;
+  }
+
+  /**
+   * List open override conflicts across all editable sections of a BIA
+   */
+  static listConflicts(bia) {
+    return EDITABLE_SECTIONS.flatMap(section =>
+      Object.values(bia[section]?.override_conflicts || {}).map(conflict => ({ section, ...conflict }))
+    );
+  }
+
+  /**
+   * Set edited values on a copy of the section and record their provenance.
+   * The original automatic value is kept as `source_value`, even across
+   * repeated edits of the same field. Edits of a typed quantity may be
+   * given as text or a number ('2 hours', 99.9) and are stored typed.
+   */
+  static applyOverrides(section, values, { user, reason }) {
+    const updated = this.clone(section);
+    updated.manual_overrides = updated.manual_overrides || {};
+    const changes = { old: {}, new: {} };
+    const overriddenAt = new Date().toISOString();
+
+    Object.entries(values).forEach(([field, input]) => {
+      const previousValue = getPath(section, field);
+      const existingOverride = updated.manual_overrides[field];
+      const type = quantityType(previousValue);
+      const value = type && (typeof input === 'string' || typeof input === 'number') ? toQuantity(type, input) : input;
+
+      changes.old[field] = previousValue === undefined ? null : previousValue;
+      changes.new[field] = value;
+
+      setPath(updated, field, value);
+      updated.manual_overrides[field] = {
+        value,
+        source_value: existingOverride ? existingOverride.source_value : (previousValue === undefined ? null : previousValue),
+        author: user ? { id: user.id, name: user.name } : null,
+        reason,
+        overridden_at: overriddenAt
+      };
+
+      // A fresh human decision supersedes any open disagreement on the field
+      if (updated.override_conflicts) {
+        delete updated.override_conflicts[field];
+      }
+    });
+
+    return { section: this.withOverrideFlags(updated), changes };
+  }
+
+  /**
+   * Carry manual overrides from the previous version of a section onto a
+   * freshly generated one. Manual values always win; where the source value
+   * moved since the human overrode it, the disagreement is surfaced as a
+   * conflict for a reviewer instead of being silently dropped.
+   */
+  static mergeRefresh(previousSection, freshSection) {
+    const overrides = previousSection?.manual_overrides || {};
+    if (Object.keys(overrides).length === 0) {
+      return freshSection;
+    }
+
+    const merged = this.clone(freshSection);
+    merged.manual_overrides = {};
+    merged.override_conflicts = { ...(previousSection.override_conflicts || {}) };
+
+    Object.entries(overrides).forEach(([field, override]) => {
+      const freshValue = getPath(freshSection, field);
+      const newSourceValue = freshValue === undefined ? null : freshValue;
+
+      setPath(merged, field, override.value);
+      merged.manual_overrides[field] = override;
+
+      const sourceMoved = !this.isSameValue(newSourceValue, override.source_value);
+      const disagrees = !this.isSameValue(newSourceValue, override.value);
+
+      if (sourceMoved && disagrees) {
+        merged.override_conflicts[field] = {
+          field,
+          manual_value: override.value,
+          previous_source_value: override.source_value,
+          new_source_value: newSourceValue,
+          override_author: override.author,
+          detected_at: new Date().toISOString()
+        };
+      } else {
+        // The source caught up with the human value, or is back to what they saw
+        delete merged.override_conflicts[field];
+      }
+    });
+
+    return this.withOverrideFlags(merged);
+  }
+
+  /**
+   * Apply mergeRefresh to every editable section of a regenerated document
+   */
+  static carryForward(previousDocument, freshDocument) {
+    if (!previousDocument) {
+      return freshDocument;
+    }
+
+    EDITABLE_SECTIONS.forEach(section => {
+      freshDocument[section] = this.mergeRefresh(previousDocument[section], freshDocument[section]);
+    });
+    return freshDocument;
+  }
+
+  // Validation
+  static assertEditableSection(section) {
+    if (!EDITABLE_SECTIONS.includes(section)) {
+      throw new NotFoundError(`Unknown or non-editable section: ${section}`, { editable_sections: EDITABLE_SECTIONS });
+    }
+  }
+
+  static assertEditableField(field) {
+    if (!isValidPath(field) || PROTECTED_FIELDS.includes(field.split('.')[0])) {
+      throw new ValidationError(`Field cannot be edited: ${field}`, { protected_fields: PROTECTED_FIELDS });
+    }
+  }
+
+  static assertEditableStatus(bia) {
+    if (!EDITABLE_STATUSES.includes(bia.status)) {
+      throw new ConflictError(`Sections can only be edited while the BIA is a draft (current status '${bia.status}')`, {
+        current_status: bia.status
+      });
+    }
+  }
+
+  // Helpers
+  static withOverrideFlags(section) {
+    section.has_manual_overrides = Object.keys(section.manual_overrides || {}).length > 0;
+    section.has_override_conflicts = Object.keys(section.override_conflicts || {}).length > 0;
+    return section;
+  }
+
+  static isSameValue(a, b) {
+    const type = quantityType(a) || quantityType(b);
+    if (type) {
+      return isSameQuantity(type, a, b);
+    }
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  }
+
+  static clone(value) {
+    return value === undefined ? {} : JSON.parse(JSON.stringify(value));
+  }
+}
+
+SectionOverrideService.EDITABLE_SECTIONS = EDITABLE_SECTIONS;
+SectionOverrideService.PROTECTED_FIELDS = PROTECTED_FIELDS;
+SectionOverrideService.RESOLUTIONS = RESOLUTIONS;
+
+module.exports = SectionOverrideService;
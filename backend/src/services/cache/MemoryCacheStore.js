@@ -0,0 +1,56 @@
+/**
+ * In-process cache store, used when Redis is not configured or unreachable.
+ * Values are stored serialized so callers never share mutable objects, and
+ * the oldest entries are evicted beyond `maxEntries`.
+ */
+class MemoryCacheStore {
+  constructor({ maxEntries = 1000 } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (Date.now() >= entry.expiresAt) {
+      this.entries.delete(key);
+      return null;
+    }
+    return JSON.parse(entry.value);
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, { value: JSON.stringify(value), expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    return this.entries.delete(key) ? 1 : 0;
+  }
+
+  /**
+   * Delete every key starting with the prefix; returns the number deleted
+   */
+  async deleteByPrefix(prefix) {
+    let deleted = 0;
+    Array.from(this.entries.keys())
+      .filter(key => key.startsWith(prefix))
+      .forEach(key => {
+        this.entries.delete(key);
+        deleted++;
+      });
+    return deleted;
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = MemoryCacheStore;
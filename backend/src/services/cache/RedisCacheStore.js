@@ -0,0 +1,69 @@
+/**
+ * Redis cache store, shared by every server instance. Commands fail fast
+ * while Redis is unreachable instead of queueing, so callers can fall back
+ * to the in-memory store.
+ */
+class RedisCacheStore {
+  constructor(client) {
+    this.name = 'redis';
+    this.client = client;
+  }
+
+  /**
+   * Connect to Redis; rejects when the `redis` package is missing or the server is unreachable
+   */
+  static async connect(url, { connectTimeoutMs = 2000 } = {}) {
+    const { createClient } = require('redis');
+    let connected = false;
+    const client = createClient({
+      url,
+      disableOfflineQueue: true,
+      socket: {
+        connectTimeout: connectTimeoutMs,
+        // Give up on the first failed connect; reconnect with backoff once connected
+        reconnectStrategy: retries => (connected ? Math.min(retries * 500, 10000) : new Error('Redis unreachable'))
+      }
+    });
+    client.on('error', error => console.warn('⚠️ Redis cache error:', error.message));
+
+    try {
+      await client.connect();
+      connected = true;
+    } catch (error) {
+      await client.disconnect().catch(() => {});
+      throw error;
+    }
+    return new RedisCacheStore(client);
+  }
+
+  async get(key) {
+    const value = await this.client.get(key);
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async set(key, value, ttlSeconds) {
+    await this.client.set(key, JSON.stringify(value), { EX: Math.max(1, Math.ceil(ttlSeconds)) });
+  }
+
+  async delete(key) {
+    return this.client.del(key);
+  }
+
+  /**
+   * Delete every key starting with the prefix; returns the number deleted
+   */
+  async deleteByPrefix(prefix) {
+    let deleted = 0;
+    for await (const key of this.client.scanIterator({ MATCH: `${prefix}*`, COUNT: 100 })) {
+      deleted += await this.client.del(key);
+    }
+    return deleted;
+  }
+
+  // Not tracked per prefix; the cache stats report null
+  async size() {
+    return null;
+  }
+}
+
+module.exports = RedisCacheStore;
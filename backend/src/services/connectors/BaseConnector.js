@@ -0,0 +1,90 @@
+/**
+ * Base class of data-source connectors. A connector extends it, sets a
+ * DEFINITION and implements fetch, plus probe when fetching a subject is a
+ * poor health check; ConnectorRegistry applies its configuration and decides
+ * whether it is enabled.
+ *
+ * DEFINITION fields:
+ * - id: route and configuration key, e.g. 'pagerduty'
+ * - dataKey: key of the fetched data in autoPopulatedData (defaults to id)
+ * - label: display name, also used for generation steps
+ * - subject: generation request field the connector looks up (defaults to 'functionName')
+ * - probeSubject: subject fetched by the default health probe (defaults to 'health-check')
+ * - integration: { status, notes } for the integrations team
+ * - configSchema: { setting: { type, required, default, values, secret, env, description } },
+ *   where type is one of 'string', 'url', 'number' or 'boolean', and `values`
+ *   optionally lists the allowed values
+ */
+class BaseConnector {
+
+  static get id() {
+    return this.DEFINITION.id;
+  }
+
+  static get dataKey() {
+    return this.DEFINITION.dataKey || this.DEFINITION.id;
+  }
+
+  static get label() {
+    return this.DEFINITION.label;
+  }
+
+  /**
+   * fetch(subject, request, { signal }): fetch the source's data for a
+   * subject, e.g. a function or team name. `request` is the generation
+   * request when called during generation. `signal` is aborted when the call
+   * times out; pass it on to HTTP clients so they stop waiting.
+   */
+  static async fetch() {
+    throw new Error(`Connector '${this.id}' does not implement fetch`);
+  }
+
+  /**
+   * Check the source is reachable by timing a probe:
+   * { status, response_time_ms, last_check }. Throws when the probe fails.
+   */
+  static async health({ signal } = {}) {
+    const startedAt = Date.now();
+    await this.probe({ signal });
+
+    return { status: 'healthy', response_time_ms: Date.now() - startedAt, last_check: new Date().toISOString() };
+  }
+
+  /**
+   * Exercise the source with a real request. Fetches the probe subject by
+   * default; override with something cheaper when the source offers it.
+   */
+  static async probe({ signal } = {}) {
+    await this.fetch(this.DEFINITION.probeSubject || 'health-check', undefined, { signal });
+  }
+
+  /**
+   * Subject this connector looks up for a generation request
+   */
+  static subjectFor(request) {
+    return request[this.DEFINITION.subject || 'functionName'];
+  }
+
+  /**
+   * Connector metadata with secret settings redacted
+   */
+  static describe() {
+    const schema = this.DEFINITION.configSchema || {};
+
+    return {
+      id: this.id,
+      data_key: this.dataKey,
+      name: this.label,
+      description: this.DEFINITION.description || null,
+      subject: this.DEFINITION.subject || 'functionName',
+      integration: this.DEFINITION.integration || null,
+      config_schema: schema,
+      config: Object.fromEntries(Object.entries(this.config || {}).map(([setting, value]) => [
+        setting,
+        schema[setting]?.secret && value !== undefined ? '********' : value
+      ]))
+    };
+  }
+}
+
+module.exports = BaseConnector;
@@ -0,0 +1,63 @@
+const BaseConnector = require('./BaseConnector');
+const { percentage, currency } = require('../../utils/units');
+
+const DEFINITION = {
+  id: 'financial',
+  label: 'Financial Systems',
+  description: 'Revenue impact, customer counts and transaction volumes',
+  subject: 'functionName',
+  integration: {
+    status: 'scaffolding',
+    notes: 'Requires access to revenue dashboards and analytics APIs'
+  },
+  configSchema: {
+    apiUrl: { type: 'url', env: 'FINANCIAL_API_URL', description: 'Base URL of the financial analytics API' },
+    apiKey: { type: 'string', env: 'FINANCIAL_API_KEY', secret: true, description: 'Financial analytics API key' }
+  }
+};
+
+class FinancialConnector extends BaseConnector {
+
+  /**
+   * Get Financial impact data from revenue systems
+   */
+  static async fetch(functionName) {
+    try {
+      console.log(`💰 Fetching Financial data for: ${functionName}`);
+
+      // TODO: Replace with actual financial systems integration
+      // This might be Datadog revenue dashboards, internal analytics, etc.
+
+      const mockFinancialData = {
+        function_name: functionName,
+        daily_revenue_impact: currency('$1.2M'),
+        monthly_revenue_impact: currency('$36M'),
+        active_customers: 250000,
+        transaction_volume: {
+          daily: 1500000,
+          peak_hourly: 180000
+        },
+        revenue_per_transaction: currency('$0.80'),
+        customer_segments: {
+          enterprise: percentage('15%'),
+          smb: percentage('60%'),
+          consumer: percentage('25%')
+        },
+        confidence_score: 0.75,
+        data_source: 'Financial Analytics API',
+        source_request: { type: 'http', method: 'GET', endpoint: `/revenue/impact?function=${encodeURIComponent(functionName)}` },
+        last_updated: new Date().toISOString()
+      };
+
+      return mockFinancialData;
+
+    } catch (error) {
+      console.error('❌ Financial data fetch error:', error);
+      throw new Error(`Failed to fetch Financial data: ${error.message}`);
+    }
+  }
+}
+
+FinancialConnector.DEFINITION = DEFINITION;
+
+module.exports = FinancialConnector;
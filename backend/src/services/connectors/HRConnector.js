@@ -0,0 +1,64 @@
+const BaseConnector = require('./BaseConnector');
+
+const DEFINITION = {
+  id: 'hr',
+  label: 'HR Systems',
+  description: 'Team size, key personnel and management chain of the DRI team',
+  subject: 'driTeam',
+  integration: {
+    status: 'scaffolding',
+    notes: 'Requires HR system API credentials and endpoints'
+  },
+  configSchema: {
+    ldapUrl: { type: 'url', env: 'LDAP_URL', description: 'LDAP server holding team membership' },
+    bindDn: { type: 'string', env: 'LDAP_BIND_DN', description: 'DN used to bind to LDAP' },
+    bindPassword: { type: 'string', env: 'LDAP_BIND_PASSWORD', secret: true, description: 'Password of the bind DN' }
+  }
+};
+
+class HRConnector extends BaseConnector {
+
+  /**
+   * Get HR/Personnel data from internal systems
+   */
+  static async fetch(teamName) {
+    try {
+      console.log(`👥 Fetching HR data for team: ${teamName}`);
+
+      // TODO: Replace with actual HR API integration
+      // This might be LDAP, Workday, or internal HR systems
+
+      const mockHRData = {
+        team_name: teamName,
+        team_size: 25,
+        key_personnel: [
+          { name: 'Tech Lead (TBD)', role: 'Technical Leadership', backup: 'Senior Engineer' },
+          { name: 'Product Manager (TBD)', role: 'Product Strategy', backup: 'Associate PM' },
+          { name: 'Operations Manager (TBD)', role: 'Day-to-day Operations', backup: 'Senior Ops' }
+        ],
+        manager_chain: [
+          'Team Lead',
+          'Engineering Manager',
+          'Director of Engineering',
+          'VP Engineering'
+        ],
+        team_location: 'Distributed (SF, NYC, Remote)',
+        business_hours: '24/7 on-call rotation',
+        confidence_score: 0.6,
+        data_source: 'HR Systems API',
+        source_request: { type: 'http', method: 'GET', endpoint: `/teams/${encodeURIComponent(teamName)}/personnel` },
+        last_updated: new Date().toISOString()
+      };
+
+      return mockHRData;
+
+    } catch (error) {
+      console.error('❌ HR data fetch error:', error);
+      throw new Error(`Failed to fetch HR data: ${error.message}`);
+    }
+  }
+}
+
+HRConnector.DEFINITION = DEFINITION;
+
+module.exports = HRConnector;
@@ -0,0 +1,71 @@
+const BaseConnector = require('./BaseConnector');
+const { duration, percentage } = require('../../utils/units');
+
+const DEFINITION = {
+  id: 'monitoring',
+  label: 'Monitoring Systems',
+  description: 'Availability, SLA targets, performance metrics and recent incidents',
+  subject: 'functionName',
+  integration: {
+    status: 'scaffolding',
+    notes: 'Requires Datadog/monitoring system API credentials'
+  },
+  configSchema: {
+    apiKey: { type: 'string', env: 'DATADOG_API_KEY', secret: true, description: 'Datadog API key' },
+    appKey: { type: 'string', env: 'DATADOG_APP_KEY', secret: true, description: 'Datadog application key' }
+  }
+};
+
+class MonitoringConnector extends BaseConnector {
+
+  /**
+   * Get Monitoring/Observability data
+   */
+  static async fetch(functionName) {
+    try {
+      console.log(`📈 Fetching Monitoring data for: ${functionName}`);
+
+      // TODO: Replace with actual monitoring systems (Datadog, New Relic, etc.)
+
+      const mockMonitoringData = {
+        service_name: functionName,
+        current_availability: percentage('99.85%'),
+        sla_target: percentage('99.9%'),
+        performance_metrics: {
+          avg_response_time: duration('250ms'),
+          p95_response_time: duration('500ms'),
+          p99_response_time: duration('1.2s'),
+          error_rate: percentage('0.15%')
+        },
+        infrastructure_health: {
+          cpu_utilization: percentage('65%'),
+          memory_utilization: percentage('70%'),
+          disk_utilization: percentage('45%'),
+          network_latency: duration('15ms')
+        },
+        recent_incidents: [
+          {
+            date: '2024-09-15',
+            duration: duration('23 minutes'),
+            impact: 'Elevated latency',
+            root_cause: 'Database connection pool exhaustion'
+          }
+        ],
+        confidence_score: 0.9,
+        data_source: 'Monitoring Systems API',
+        source_request: { type: 'http', method: 'GET', endpoint: `/services/${encodeURIComponent(functionName)}/slo` },
+        last_updated: new Date().toISOString()
+      };
+
+      return mockMonitoringData;
+
+    } catch (error) {
+      console.error('❌ Monitoring data fetch error:', error);
+      throw new Error(`Failed to fetch Monitoring data: ${error.message}`);
+    }
+  }
+}
+
+MonitoringConnector.DEFINITION = DEFINITION;
+
+module.exports = MonitoringConnector;
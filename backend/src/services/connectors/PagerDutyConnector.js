@@ -0,0 +1,382 @@
+const BaseConnector = require('./BaseConnector');
+const PagerDutyClient = require('../pagerduty/PagerDutyClient');
+const IncidentAnalytics = require('../pagerduty/IncidentAnalytics');
+const { ApplicationError, NotFoundError } = require('../../utils/errors');
+
+const DEFINITION = {
+  id: 'pagerduty',
+  dataKey: 'pagerDuty',
+  label: 'PagerDuty',
+  description: 'Escalation policies, on-call schedules and incident history analytics',
+  subject: 'functionName',
+  integration: {
+    status: 'integrated',
+    notes: 'Queries the PagerDuty REST API v2 when PAGERDUTY_API_KEY is set; mock data is served until then'
+  },
+  configSchema: {
+    apiUrl: {
+      type: 'url',
+      env: 'PAGERDUTY_API_URL',
+      default: 'https://api.pagerduty.com',
+      description: 'PagerDuty REST API base URL; point it at a local mock server in development'
+    },
+    apiKey: { type: 'string', env: 'PAGERDUTY_API_KEY', secret: true, description: 'PagerDuty REST API key' },
+    pageSize: { type: 'number', env: 'PAGERDUTY_PAGE_SIZE', default: 100, description: 'Records per page of list requests (at most 100)' },
+    incidentWindowDays: {
+      type: 'string',
+      env: 'PAGERDUTY_INCIDENT_WINDOWS_DAYS',
+      default: '30,90,180',
+      description: 'Comma-separated windows in days that incident analytics are computed over (at most 180)'
+    }
+  }
+};
+
+// The incidents endpoint accepts date ranges of up to 6 months
+const MAX_WINDOW_DAYS = 180;
+
+// Confidence of API data by how the service was matched; a best match may be the wrong service
+const MATCH_CONFIDENCE = {
+  confirmed: 0.9,
+  exact: 0.9,
+  best_match: 0.6
+};
+
+// Log entries that timestamp an incident's acknowledgement and resolution
+const LOG_ENTRY_TYPES = ['acknowledge_log_entry', 'resolve_log_entry'];
+
+// For services without teams, log entries are read per incident: the most recent this many, this many at a time
+const MAX_INCIDENT_LOOKUPS = 100;
+const INCIDENT_LOOKUP_CONCURRENCY = 5;
+
+// Confidence is scaled by this when the incident history could not be read in full
+const TRUNCATED_CONFIDENCE_FACTOR = 0.75;
+
+// Incident history served until an API key is configured: days ago, priority, minutes to acknowledge and resolve
+const MOCK_INCIDENTS = [
+  [3, 'P2', 4, 38],
+  [12, 'P1', 2, 95],
+  [25, 'P2', 6, 52],
+  [47, 'P3', 11, 30],
+  [70, 'P1', 3, 140],
+  [130, 'P2', 5, 60]
+];
+
+class PagerDutyConnector extends BaseConnector {
+
+  /**
+   * Get the PagerDuty service matching a function, or the confirmed
+   * Registry application: its escalation policy, on-call schedules and
+   * incident analytics (MTTR, MTTA, frequency by priority, longest outage)
+   * over each configured window. `incident_stats` holds the longest window,
+   * which feeds the recovery section. `match` records how the service was chosen.
+   * @throws {NotFoundError} when no PagerDuty service matches
+   */
+  static async fetch(subject, request, { signal } = {}) {
+    try {
+      console.log(`📟 Fetching PagerDuty data for: ${subject}`);
+
+      const client = this.getClient();
+      if (!this.config.apiKey) {
+        return this.mockData(subject, client);
+      }
+
+      const { service, match } = await this.findService(client, subject, { confirmed: Boolean(request?.registryAppName), signal });
+      const policyPath = `/escalation_policies/${encodeURIComponent(service.escalation_policy.id)}`;
+      const incidentParams = this.incidentParams(service.id);
+      const logEntryParams = this.logEntryParams(incidentParams, service);
+      const [{ escalation_policy: policy }, { incidents, truncated }] = await Promise.all([
+        client.get(policyPath, { signal }),
+        this.listIncidents(client, incidentParams, logEntryParams, { signal })
+      ]);
+      const schedules = await this.getSchedules(client, policy, { signal });
+
+      const confidenceScore = MATCH_CONFIDENCE[match.strategy] * (truncated.length > 0 ? TRUNCATED_CONFIDENCE_FACTOR : 1);
+      return this.toPagerDutyData({
+        service,
+        policy,
+        schedules,
+        incidents,
+        match,
+        truncated,
+        confidenceScore: Math.round(confidenceScore * 100) / 100,
+        sourceRequest: {
+          type: 'http',
+          method: 'GET',
+          endpoint: client.urlFor('/services', { query: subject }),
+          endpoints: [
+            client.urlFor(policyPath),
+            ...schedules.map(schedule => client.urlFor(`/schedules/${encodeURIComponent(schedule.id)}`)),
+            client.urlFor('/incidents', incidentParams),
+            logEntryParams
+              ? client.urlFor('/log_entries', logEntryParams)
+              : client.urlFor('/incidents/{id}/log_entries', { is_overview: true })
+          ]
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ PagerDuty data fetch error:', error);
+      if (error instanceof ApplicationError) throw error;
+      throw new Error(`Failed to fetch PagerDuty data: ${error.message}`);
+    }
+  }
+
+  /**
+   * The service named like the subject, ignoring case. A confirmed Registry
+   * application must match exactly; otherwise the first service the search
+   * returns is taken as a best match.
+   * @throws {NotFoundError} when no service matches
+   */
+  static async findService(client, subject, { confirmed = false, signal } = {}) {
+    const { items: services } = await client.list('/services', 'services', { params: { query: subject }, signal });
+    const exact = services.find(candidate => candidate.name.toLowerCase() === subject.toLowerCase());
+    const service = exact || (confirmed ? null : services[0]);
+    if (!service) {
+      throw new NotFoundError(confirmed
+        ? `No PagerDuty service is named after the confirmed Registry application '${subject}'`
+        : `No PagerDuty service matches '${subject}'`);
+    }
+
+    return {
+      service,
+      match: {
+        query: subject,
+        strategy: exact ? (confirmed ? 'confirmed' : 'exact') : 'best_match',
+        candidates: services.length,
+        alternatives: services.filter(candidate => candidate !== service).slice(0, 3).map(candidate => candidate.name)
+      }
+    };
+  }
+
+  /**
+   * Incidents matching the query, with acknowledgement and resolution times
+   * from their log entries. For a service with teams the log entries are
+   * listed once for the window, scoped to those teams; without teams they
+   * are read per incident for the most recent MAX_INCIDENT_LOOKUPS incidents.
+   * `truncated` names the lists that could not be read in full.
+   */
+  static async listIncidents(client, incidentParams, logEntryParams, { signal } = {}) {
+    const [incidentList, logEntryList] = await Promise.all([
+      client.list('/incidents', 'incidents', { params: incidentParams, signal }),
+      logEntryParams ? client.list('/log_entries', 'log_entries', { params: logEntryParams, signal }) : null
+    ]);
+    const incidents = incidentList.items;
+    const truncated = incidentList.truncated ? ['incidents'] : [];
+
+    const logEntries = logEntryList || await this.listIncidentLogEntries(client, incidents, { signal });
+    if (logEntries.truncated) {
+      truncated.push('log_entries');
+    }
+
+    const entriesByIncident = new Map();
+    logEntries.items.filter(entry => LOG_ENTRY_TYPES.includes(entry.type) && entry.incident).forEach(entry => {
+      const incidentEntries = entriesByIncident.get(entry.incident.id) || [];
+      incidentEntries.push(entry);
+      entriesByIncident.set(entry.incident.id, incidentEntries);
+    });
+
+    return {
+      incidents: incidents.map(incident => this.toIncident(incident, entriesByIncident.get(incident.id))),
+      truncated
+    };
+  }
+
+  /**
+   * Log entries of each of the most recent incidents, a few requests at a time.
+   * `truncated` is set when older incidents were left out.
+   */
+  static async listIncidentLogEntries(client, incidents, { signal } = {}) {
+    const recent = [...incidents]
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+      .slice(0, MAX_INCIDENT_LOOKUPS);
+    const items = [];
+    let truncated = incidents.length > recent.length;
+
+    for (let index = 0; index < recent.length; index += INCIDENT_LOOKUP_CONCURRENCY) {
+      const lists = await Promise.all(recent.slice(index, index + INCIDENT_LOOKUP_CONCURRENCY).map(incident =>
+        client.list(`/incidents/${encodeURIComponent(incident.id)}/log_entries`, 'log_entries', {
+          params: { is_overview: true },
+          signal
+        })));
+      lists.forEach(list => {
+        items.push(...list.items);
+        truncated = truncated || list.truncated;
+      });
+    }
+
+    return { items, truncated };
+  }
+
+  /**
+   * Query of the service's incidents over the longest window
+   */
+  static incidentParams(serviceId, now = new Date()) {
+    const days = Math.max(...this.windowDays());
+    return {
+      'service_ids[]': [serviceId],
+      since: new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString(),
+      until: now.toISOString(),
+      time_zone: 'UTC'
+    };
+  }
+
+  /**
+   * Query of the log entries over the incident window. Log entries cannot be
+   * filtered by service, so they are scoped to the service's teams; null when
+   * it has none, as the query would then list the whole account.
+   */
+  static logEntryParams({ since, until, time_zone: timeZone }, service) {
+    if (!service.teams?.length) {
+      return null;
+    }
+
+    return {
+      since,
+      until,
+      time_zone: timeZone,
+      is_overview: true,
+      'team_ids[]': service.teams.map(team => team.id)
+    };
+  }
+
+  /**
+   * Schedules the escalation policy pages
+   */
+  static async getSchedules(client, policy, { signal } = {}) {
+    const scheduleIds = [...new Set((policy.escalation_rules || [])
+      .flatMap(rule => rule.targets || [])
+      .filter(target => ['schedule', 'schedule_reference'].includes(target.type))
+      .map(target => target.id))];
+
+    return Promise.all(scheduleIds.map(async id => {
+      const { schedule } = await client.get(`/schedules/${encodeURIComponent(id)}`, { signal });
+      return schedule;
+    }));
+  }
+
+  /**
+   * Probe with the abilities endpoint, which only checks the API key
+   */
+  static async probe({ signal } = {}) {
+    if (!this.config.apiKey) return super.probe({ signal });
+
+    await this.getClient().get('/abilities', { signal });
+  }
+
+  /**
+   * Subject of a generation request: its confirmed Registry application, else the function name
+   */
+  static subjectFor(request) {
+    return request.registryAppName || request.functionName;
+  }
+
+  static getClient() {
+    return new PagerDutyClient({ apiUrl: this.config.apiUrl, apiKey: this.config.apiKey, pageSize: this.config.pageSize });
+  }
+
+  /**
+   * Configured analytics windows in days, ignoring entries that are not whole days within the API's range
+   */
+  static windowDays() {
+    const days = String(this.config.incidentWindowDays || '')
+      .split(',')
+      .map(value => Number(value.trim()))
+      .filter(value => Number.isInteger(value) && value > 0 && value <= MAX_WINDOW_DAYS);
+
+    return days.length > 0 ? [...new Set(days)].sort((a, b) => a - b) : [30, 90, MAX_WINDOW_DAYS];
+  }
+
+  /**
+   * Incident in the shape IncidentAnalytics reads. The first acknowledgement
+   * comes from the log entries; resolution falls back to them for incidents
+   * without `resolved_at`.
+   */
+  static toIncident(incident, logEntries = []) {
+    const firstOf = type => logEntries
+      .filter(entry => entry.type === type)
+      .map(entry => entry.created_at)
+      .sort((a, b) => new Date(a) - new Date(b))[0] || null;
+    const resolvedAt = incident.status === 'resolved'
+      ? incident.resolved_at || firstOf('resolve_log_entry') || incident.last_status_change_at
+      : null;
+
+    return {
+      id: incident.id,
+      number: incident.incident_number,
+      title: incident.title,
+      priority: incident.priority?.summary || null,
+      urgency: incident.urgency,
+      created_at: incident.created_at,
+      acknowledged_at: firstOf('acknowledge_log_entry'),
+      resolved_at: resolvedAt || null
+    };
+  }
+
+  static toPagerDutyData({ service, policy, schedules, incidents, match, truncated = [], confidenceScore, sourceRequest }) {
+    const windowDays = this.windowDays();
+    const analytics = IncidentAnalytics.analyze(incidents, windowDays);
+    const delays = [...new Set((policy.escalation_rules || []).map(rule => rule.escalation_delay_in_minutes))];
+
+    return {
+      service_name: service.name,
+      service_id: service.id,
+      service_url: service.html_url || null,
+      match,
+      escalation_policy: (policy.escalation_rules || [])
+        .map(rule => (rule.targets || []).map(target => target.summary).join(' / '))
+        .join(' → ') || policy.name,
+      escalation_timeout: delays.length === 1 ? `${delays[0]} minutes per level` : `${delays.join(', ')} minutes`,
+      on_call_schedule: schedules.length > 0
+        ? schedules.map(schedule => `${schedule.name}${schedule.time_zone ? ` (${schedule.time_zone})` : ''}`).join(', ')
+        : 'No on-call schedule',
+      incident_stats: analytics[`${Math.max(...windowDays)}d`],
+      incident_analytics: analytics,
+      // Lists cut off by pagination; the analytics then cover only part of the history
+      incident_history_truncated: truncated,
+      current_status: service.status,
+      confidence_score: confidenceScore,
+      data_source: 'PagerDuty API',
+      source_request: sourceRequest,
+      last_updated: new Date().toISOString()
+    };
+  }
+
+  // Mock data for scaffolding, run through the same analytics as API data
+  static mockData(functionName, client) {
+    const now = Date.now();
+    const minutesAgo = minutes => new Date(now - minutes * 60 * 1000).toISOString();
+    const incidents = MOCK_INCIDENTS.map(([daysAgo, priority, acknowledgeMinutes, resolveMinutes], index) => {
+      const triggeredMinutesAgo = daysAgo * 24 * 60;
+      return {
+        id: `MOCK${index + 1}`,
+        number: index + 1,
+        title: `${functionName} degraded`,
+        priority,
+        urgency: priority === 'P1' ? 'high' : 'low',
+        created_at: minutesAgo(triggeredMinutesAgo),
+        acknowledged_at: minutesAgo(triggeredMinutesAgo - acknowledgeMinutes),
+        resolved_at: minutesAgo(triggeredMinutesAgo - resolveMinutes)
+      };
+    });
+
+    return this.toPagerDutyData({
+      service: { id: null, name: functionName, status: 'active' },
+      policy: {
+        name: 'Default',
+        escalation_rules: ['L1 Ops', 'L2 Engineering', 'Manager', 'Director'].map(summary => ({
+          escalation_delay_in_minutes: 15,
+          targets: [{ summary }]
+        }))
+      },
+      schedules: [{ name: 'Follow-the-sun rotation' }],
+      incidents,
+      match: { query: functionName, strategy: 'mock', candidates: 0, alternatives: [] },
+      confidenceScore: 0.7,
+      sourceRequest: { type: 'http', method: 'GET', endpoint: client.urlFor('/services', { query: functionName }) }
+    });
+  }
+}
+
+PagerDutyConnector.DEFINITION = DEFINITION;
+
+module.exports = PagerDutyConnector;
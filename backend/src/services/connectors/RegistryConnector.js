@@ -0,0 +1,375 @@
+const BaseConnector = require('./BaseConnector');
+const RegistryQueryBuilder = require('../registry/RegistryQueryBuilder');
+const SnowflakeExecutor = require('../registry/SnowflakeExecutor');
+const SqliteExecutor = require('../registry/SqliteExecutor');
+const { ApplicationError, NotFoundError } = require('../../utils/errors');
+
+const DEFINITION = {
+  id: 'registry',
+  label: 'Registry (Snowflake)',
+  description: 'Application metadata from Block\'s Registry, which replaces a traditional CMDB',
+  subject: 'functionName',
+  integration: {
+    status: 'scaffolding',
+    notes: 'Set REGISTRY_DRIVER=snowflake to query the Registry; mock data is served until then'
+  },
+  configSchema: {
+    driver: {
+      type: 'string',
+      env: 'REGISTRY_DRIVER',
+      default: 'mock',
+      values: ['mock', 'snowflake', 'sqlite'],
+      description: 'Engine Registry queries run on; sqlite is a local stand-in for Snowflake'
+    },
+    account: { type: 'string', env: 'SNOWFLAKE_ACCOUNT', description: 'Snowflake account' },
+    username: { type: 'string', env: 'SNOWFLAKE_USER', description: 'Snowflake user' },
+    password: { type: 'string', env: 'SNOWFLAKE_PASSWORD', secret: true, description: 'Snowflake password' },
+    warehouse: { type: 'string', env: 'SNOWFLAKE_WAREHOUSE', description: 'Warehouse used for Registry queries' },
+    database: { type: 'string', env: 'SNOWFLAKE_DATABASE', default: 'REGISTRY', description: 'Database holding the Registry' },
+    schema: { type: 'string', env: 'SNOWFLAKE_SCHEMA', default: 'PUBLIC', description: 'Schema of the APPLICATIONS table' },
+    sqlitePath: { type: 'string', env: 'REGISTRY_SQLITE_PATH', description: 'SQLite database file used by the sqlite driver' }
+  }
+};
+
+// Served by the mock driver until the Registry is wired in
+const MOCK_APPLICATIONS = [
+  { app_name: 'Payments API', reliability_tier: 'Tier 1', team_id: 'payments', technology_stack: ['Java', 'PostgreSQL', 'Kafka'], dependencies: ['Identity Gateway', 'Ledger Service'] },
+  { app_name: 'Ledger Service', reliability_tier: 'Tier 1', team_id: 'payments', technology_stack: ['Go', 'PostgreSQL'], dependencies: ['Identity Gateway'] },
+  { app_name: 'Payout Scheduler', reliability_tier: 'Tier 2', team_id: 'payments', technology_stack: ['Node.js', 'Redis'], dependencies: ['Ledger Service'] },
+  { app_name: 'Merchant Reporting', reliability_tier: 'Tier 3', team_id: 'payments', technology_stack: ['Python', 'Snowflake'], dependencies: ['Payments API'] },
+  { app_name: 'Identity Gateway', reliability_tier: 'Tier 1', team_id: 'identity', technology_stack: ['Java', 'Redis'], dependencies: ['Database Cluster'] }
+].map(app => ({
+  description: `${app.app_name} service`,
+  slack_channel: `#${app.team_id}`,
+  documentation_url: 'https://docs.internal.block.xyz/unknown',
+  runbook_url: 'https://runbooks.internal.block.xyz/unknown',
+  deployment_info: { regions: ['us-west-2', 'us-east-1'], replicas: 3, auto_scaling: true },
+  ...app
+}));
+
+// Rows fetched per substring lookup when ranking search candidates
+const SEARCH_ROWS = 50;
+
+// Executor of the configured driver, opened on first use
+let executorPromise = null;
+
+class RegistryConnector extends BaseConnector {
+
+  /**
+   * Get Registry data for a function. When the generation request carries
+   * a confirmed `registryAppName`, only that application is returned;
+   * otherwise the highest-ranked search candidate is, and `match` records
+   * how it was chosen.
+   * This replaces traditional CMDB with Block's Registry system
+   * @throws {NotFoundError} when no application matches
+   */
+  static async fetch(subject, request, { signal } = {}) {
+    try {
+      console.log(`📊 Fetching Registry data for: ${subject}`);
+
+      if (request?.registryAppName) {
+        const { rows, query, driver } = await this.select({ appName: subject }, { limit: 1, signal });
+        if (rows.length === 0) {
+          throw new NotFoundError(`Confirmed Registry application not found: ${subject}`);
+        }
+        return this.toRegistryData(rows[0], {
+          driver,
+          query,
+          match: { query: subject, strategy: 'confirmed', match_score: 1, candidates: 1, alternatives: [] }
+        });
+      }
+
+      const { candidates, total, query, driver } = await this.search(subject, { signal });
+      const best = candidates[0];
+      if (!best) {
+        if (driver !== 'mock') {
+          throw new NotFoundError(`No Registry application matches '${subject}'`);
+        }
+        return this.toRegistryData(this.mockApplication(subject), {
+          driver,
+          query,
+          match: { query: subject, strategy: 'mock', match_score: null, candidates: 0, alternatives: [] }
+        });
+      }
+
+      return this.toRegistryData(best.application, {
+        driver,
+        query,
+        match: {
+          query: subject,
+          strategy: best.match_score === 1 ? 'exact' : 'best_match',
+          match_score: best.match_score,
+          candidates: total,
+          alternatives: candidates.slice(1, 4).map(candidate => candidate.application.app_name)
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Registry data fetch error:', error);
+      if (error instanceof ApplicationError) throw error;
+      throw new Error(`Failed to fetch Registry data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registry applications matching a search term, ranked by match score.
+   * Every name match outranks every description-only match, so the two are
+   * looked up separately and a run of description hits cannot push a name
+   * match past the row limit. The exact-name lookup runs separately too, so
+   * an exact match is never cut off. `total` counts every match, not just
+   * the rows fetched.
+   */
+  static async search(term, { limit = 10, signal } = {}) {
+    const needle = term.trim();
+    const [exact, names, descriptions] = await Promise.all([
+      this.select({ appName: needle }, { limit: 1, signal }),
+      this.select({ nameContains: needle }, { limit: SEARCH_ROWS, signal }),
+      this.select({ descriptionOnly: needle }, { limit: SEARCH_ROWS, signal })
+    ]);
+
+    const seen = new Set();
+    const candidates = [...exact.rows, ...names.rows, ...descriptions.rows]
+      .filter(row => !seen.has(row.app_name) && seen.add(row.app_name))
+      .map(row => ({ application: row, ...this.scoreMatch(row, needle) }))
+      .sort((a, b) => b.match_score - a.match_score || a.application.app_name.localeCompare(b.application.app_name));
+
+    // Only a lookup that filled its row limit needs counting
+    const [nameTotal, descriptionTotal] = await Promise.all([
+      names.rows.length < SEARCH_ROWS ? names.rows.length : this.count({ nameContains: needle }, { signal }),
+      descriptions.rows.length < SEARCH_ROWS ? descriptions.rows.length : this.count({ descriptionOnly: needle }, { signal })
+    ]);
+
+    return {
+      candidates: candidates.slice(0, limit),
+      total: Math.max(candidates.length, nameTotal + descriptionTotal),
+      query: names.query,
+      driver: names.driver
+    };
+  }
+
+  /**
+   * Score how well an application matches a search term, from 1 for an
+   * exact name down to 0.5 for a description-only match. Within a tier,
+   * names the term covers more of score higher.
+   */
+  static scoreMatch(application, term) {
+    const needle = term.trim().toLowerCase();
+    const name = (application.app_name || '').toLowerCase();
+    if (name === needle) {
+      return { match_score: 1, matched_on: 'app_name' };
+    }
+
+    if (needle && name.includes(needle)) {
+      const wholeWord = new RegExp(`\\b${needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(name);
+      const base = name.startsWith(needle) ? 0.9 : (wholeWord ? 0.8 : 0.7);
+      return { match_score: Math.round((base + 0.09 * (needle.length / name.length)) * 100) / 100, matched_on: 'app_name' };
+    }
+
+    if (needle && (application.description || '').toLowerCase().includes(needle)) {
+      return { match_score: 0.5, matched_on: 'description' };
+    }
+    return { match_score: 0, matched_on: null };
+  }
+
+  /**
+   * Registry data of the application with exactly this name, ignoring case; null when there is none
+   */
+  static async findByAppName(appName, { signal } = {}) {
+    const { rows, query, driver } = await this.select({ appName }, { limit: 1, signal });
+    return rows.length > 0 ? this.toRegistryData(rows[0], { driver, query }) : null;
+  }
+
+  /**
+   * List Registry applications matching a portfolio filter, e.g. every
+   * Tier 1 and Tier 2 application owned by a team
+   */
+  static async findApplications({ reliabilityTiers = [], teamId } = {}, { signal } = {}) {
+    try {
+      console.log(`📊 Searching Registry for applications (tiers: ${reliabilityTiers.join(', ') || 'any'}, team: ${teamId || 'any'})`);
+
+      const { rows, query, driver } = await this.select({ reliabilityTiers, teamId }, { signal });
+      return rows.map(row => this.toRegistryData(row, { driver, query }));
+
+    } catch (error) {
+      console.error('❌ Registry search error:', error);
+      throw new Error(`Failed to search Registry applications: ${error.message}`);
+    }
+  }
+
+  /**
+   * Applications that depend on an application, directly or through up to
+   * `depth` levels of other applications, with the application's own dependencies
+   * @throws {NotFoundError} when the application is not in the Registry
+   */
+  static async findDependencyFanOut(appName, { depth = 2, signal } = {}) {
+    const application = await this.findByAppName(appName, { signal });
+    if (!application) {
+      throw new NotFoundError(`Registry application not found: ${appName}`);
+    }
+
+    const seen = new Set([application.app_name]);
+    const dependents = [];
+    let frontier = [application.app_name];
+
+    for (let level = 1; level <= depth && frontier.length > 0; level++) {
+      const { rows } = await this.select({ dependsOn: frontier }, { signal });
+      const next = rows.filter(row => !seen.has(row.app_name));
+
+      next.forEach(row => {
+        seen.add(row.app_name);
+        dependents.push({
+          app_name: row.app_name,
+          team_id: row.team_id,
+          reliability_tier: row.reliability_tier,
+          depth: level,
+          depends_on: (row.dependencies || []).filter(dependency => frontier.includes(dependency))
+        });
+      });
+      frontier = next.map(row => row.app_name);
+    }
+
+    return {
+      app_name: application.app_name,
+      reliability_tier: application.reliability_tier,
+      dependencies: application.dependencies || [],
+      dependents,
+      depth
+    };
+  }
+
+  /**
+   * Run a lookup on the configured driver. Criteria: search (name or
+   * description contains), nameContains, descriptionOnly (description
+   * contains, name does not), appName (exact, ignoring case), teamId,
+   * reliabilityTiers, dependsOn (dependencies include any of).
+   */
+  static async select(criteria, { limit, signal } = {}) {
+    const executor = await this.getExecutor();
+    const query = this.buildQuery(criteria, { dialect: executor?.dialect, limit });
+
+    const rows = executor
+      ? await executor.execute(query, { signal })
+      : MOCK_APPLICATIONS.filter(application => this.matchesCriteria(application, criteria)).slice(0, limit);
+
+    return { rows, query, driver: this.config.driver };
+  }
+
+  /**
+   * Number of applications matching the select criteria
+   */
+  static async count(criteria, { signal } = {}) {
+    const executor = await this.getExecutor();
+    if (!executor) {
+      return MOCK_APPLICATIONS.filter(application => this.matchesCriteria(application, criteria)).length;
+    }
+
+    const [row] = await executor.execute(this.buildQuery(criteria, { dialect: executor.dialect, count: true }), { signal });
+    return Number(row.total);
+  }
+
+  static buildQuery({ search, nameContains, descriptionOnly, appName, teamId, reliabilityTiers = [], dependsOn } = {}, { dialect = 'snowflake', limit, count = false } = {}) {
+    const builder = new RegistryQueryBuilder(this.tableName(), { dialect }).select();
+    if (count) builder.count();
+
+    if (search) builder.whereContains(['app_name', 'description'], search);
+    if (nameContains) builder.whereContains(['app_name'], nameContains);
+    if (descriptionOnly) builder.whereContains(['description'], descriptionOnly).whereNotContains('app_name', descriptionOnly);
+    if (appName) builder.whereEqualsIgnoreCase('app_name', appName);
+    if (teamId) builder.whereEquals('team_id', teamId);
+    if (reliabilityTiers.length > 0) builder.whereIn('reliability_tier', reliabilityTiers);
+    if (dependsOn) builder.whereArrayContainsAny('dependencies', dependsOn);
+
+    builder.orderBy('app_name');
+    if (limit) builder.limit(limit);
+    return builder.build();
+  }
+
+  /**
+   * Executor of the configured driver; null for the mock driver
+   */
+  static async getExecutor() {
+    if (this.config.driver === 'mock') return null;
+
+    if (!executorPromise) {
+      executorPromise = (this.config.driver === 'sqlite'
+        ? SqliteExecutor.open(this.config.sqlitePath)
+        : SnowflakeExecutor.connect(this.config)
+      ).catch(error => {
+        executorPromise = null;
+        throw error;
+      });
+    }
+    return executorPromise;
+  }
+
+  /**
+   * Probe with SELECT 1 instead of an application lookup
+   */
+  static async probe({ signal } = {}) {
+    const executor = await this.getExecutor();
+    if (!executor) return super.probe({ signal });
+
+    await executor.execute({ text: 'SELECT 1', binds: [] }, { signal });
+  }
+
+  static tableName() {
+    return this.config.driver === 'sqlite' ? 'APPLICATIONS' : `${this.config.database}.${this.config.schema}.APPLICATIONS`;
+  }
+
+  /**
+   * Subject of a generation request: its confirmed Registry application, else the function name
+   */
+  static subjectFor(request) {
+    return request.registryAppName || request.functionName;
+  }
+
+  static toRegistryData(application, { driver, query, match }) {
+    return {
+      ...application,
+      ...(match ? { match } : {}),
+      confidence_score: driver === 'mock' ? 0.7 : 0.9,
+      data_source: 'Registry (Snowflake)',
+      source_request: { type: driver === 'sqlite' ? 'sqlite' : 'snowflake', query: query.text, binds: query.binds },
+      last_updated: new Date().toISOString()
+    };
+  }
+
+  // Mock data for names outside MOCK_APPLICATIONS - integrations team will replace
+  static mockApplication(functionName) {
+    return {
+      app_name: functionName,
+      description: `${functionName} service`,
+      reliability_tier: 'Tier 1',
+      team_id: 'unknown',
+      slack_channel: '#unknown',
+      documentation_url: 'https://docs.internal.block.xyz/unknown',
+      runbook_url: 'https://runbooks.internal.block.xyz/unknown',
+      dependencies: ['Authentication Service', 'Database Cluster', 'Cache Layer'],
+      technology_stack: ['Node.js', 'PostgreSQL', 'Redis', 'Kubernetes'],
+      deployment_info: {
+        regions: ['us-west-2', 'us-east-1'],
+        replicas: 3,
+        auto_scaling: true
+      }
+    };
+  }
+
+  /**
+   * The mock driver's version of buildQuery's WHERE clause
+   */
+  static matchesCriteria(application, { search, nameContains, descriptionOnly, appName, teamId, reliabilityTiers = [], dependsOn } = {}) {
+    const contains = (value, term) => (value || '').toLowerCase().includes(term.toLowerCase());
+
+    return (!search || contains(application.app_name, search) || contains(application.description, search))
+      && (!nameContains || contains(application.app_name, nameContains))
+      && (!descriptionOnly || (contains(application.description, descriptionOnly) && !contains(application.app_name, descriptionOnly)))
+      && (!appName || application.app_name.toLowerCase() === appName.toLowerCase())
+      && (!teamId || application.team_id === teamId)
+      && (reliabilityTiers.length === 0 || reliabilityTiers.includes(application.reliability_tier))
+      && (!dependsOn || dependsOn.some(name => application.dependencies.includes(name)));
+  }
+}
+
+RegistryConnector.DEFINITION = DEFINITION;
+
+module.exports = RegistryConnector;
@@ -0,0 +1,275 @@
+const {
+  AlignmentType,
+  Document,
+  Footer,
+  Header,
+  HeadingLevel,
+  Packer,
+  PageBreak,
+  PageNumber,
+  Paragraph,
+  ShadingType,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType
+} = require('docx');
+const { COST_CURVE_COLUMNS, buildDocumentModel, exportFilename } = require('./documentLayout');
+
+const COLORS = {
+  accent: '0B6E4F',
+  muted: '616E7C',
+  override: 'B44D12',
+  tableHeader: 'E4E7EB'
+};
+
+const INDENT_TWIPS = 240;
+
+class DocxExporter {
+
+  /**
+   * Render a stored BIA document as an editable Word document buffer
+   */
+  static async render(bia) {
+    const model = buildDocumentModel(bia);
+
+    const body = [
+      ...this.renderCover(model),
+      ...model.sections.flatMap(section => this.renderSection(section, model)),
+      ...this.renderRegionalOverlays(model.regional_overlays),
+      ...this.renderPredictiveAnalysis(model.predictive_analysis),
+      ...this.renderAppendix(model.appendix),
+      ...this.renderApproval(model.approval)
+    ];
+
+    const document = new Document({
+      title: `${model.title} - ${model.function_name}`,
+      description: `BIA version ${model.version}`,
+      creator: 'Self-Updating BIA',
+      sections: [{
+        headers: {
+          default: new Header({
+            children: [this.paragraph(`${model.title} - ${model.function_name} (v${model.version}, ${model.status})`, { size: 16, color: COLORS.muted })]
+          })
+        },
+        footers: {
+          default: new Footer({
+            children: [new Paragraph({
+              alignment: AlignmentType.RIGHT,
+              children: [
+                new TextRun({ children: ['Page ', PageNumber.CURRENT, ' of ', PageNumber.TOTAL_PAGES], size: 16, color: COLORS.muted })
+              ]
+            })]
+          })
+        },
+        children: body
+      }]
+    });
+
+    return Packer.toBuffer(document);
+  }
+
+  static filename(bia) {
+    return exportFilename(bia, 'docx');
+  }
+
+  // Parts
+  static renderCover(model) {
+    return [
+      new Paragraph({ heading: HeadingLevel.TITLE, alignment: AlignmentType.CENTER, children: [new TextRun(model.title)] }),
+      this.paragraph(model.function_name, { size: 32, alignment: AlignmentType.CENTER }),
+      this.paragraph(`Version ${model.version} - ${model.status}`, { color: COLORS.muted, alignment: AlignmentType.CENTER }),
+      this.keyValueTable(model.metadata.map(item => ({ ...item, depth: 0 }))),
+      this.paragraph('Prepared for the Business Continuity Management committee. Confidential - internal use only.', {
+        italics: true,
+        size: 18,
+        color: COLORS.muted,
+        alignment: AlignmentType.CENTER
+      })
+    ];
+  }
+
+  static renderSection(section, model) {
+    const meta = [`Confidence: ${section.confidence_score !== null ? `${Math.round(section.confidence_score * 100)}%` : '-'}`];
+    if (section.data_sources.length > 0) {
+      meta.push(`Sources: ${section.data_sources.join(', ')}`);
+    }
+
+    const parts = [
+      this.pageBreak(),
+      this.heading(section.title, HeadingLevel.HEADING_1),
+      this.paragraph(meta.join('   |   '), { size: 18, color: COLORS.muted }),
+      this.keyValueTable(section.rows)
+    ];
+
+    if (section.key === 'business_impact') {
+      parts.push(
+        this.heading('Impact Timeline', HeadingLevel.HEADING_2),
+        this.table(['Outage Duration', 'Impact'], model.impact_timeline.map(row => [row.period, row.impact]), [30, 70])
+      );
+
+      if (model.downtime_cost_curve.length > 0) {
+        parts.push(
+          this.heading('Downtime Cost Curve (cumulative)', HeadingLevel.HEADING_2),
+          this.table(
+            COST_CURVE_COLUMNS.map(column => column.header),
+            model.downtime_cost_curve.map(row => COST_CURVE_COLUMNS.map(column => row[column.key])),
+            COST_CURVE_COLUMNS.map(column => Math.round(column.width * 100))
+          )
+        );
+      }
+    }
+
+    if (section.manual_overrides.length > 0) {
+      parts.push(this.paragraph('* Manually overridden field; the automatic value is retained in the audit log.', {
+        italics: true,
+        size: 16,
+        color: COLORS.override
+      }));
+    }
+
+    return parts;
+  }
+
+  static renderRegionalOverlays(overlays) {
+    const parts = [this.pageBreak(), this.heading('Regional Overlays', HeadingLevel.HEADING_1)];
+
+    if (overlays.length === 0) {
+      parts.push(this.paragraph('No regional overlays were requested for this BIA.', { italics: true, color: COLORS.muted }));
+    }
+
+    overlays.forEach(overlay => {
+      parts.push(this.heading(overlay.region, HeadingLevel.HEADING_2), this.keyValueTable(overlay.rows));
+    });
+
+    return parts;
+  }
+
+  static renderPredictiveAnalysis(rows) {
+    if (rows.length === 0) return [];
+    return [this.pageBreak(), this.heading('Predictive Analysis (Rooster)', HeadingLevel.HEADING_1), this.keyValueTable(rows)];
+  }
+
+  static renderAppendix(appendix) {
+    const parts = [
+      this.pageBreak(),
+      this.heading('Appendix: Data Sources & Confidence', HeadingLevel.HEADING_1),
+      this.keyValueTable([
+        { label: 'Overall Confidence', value: appendix.overall_confidence, depth: 0 },
+        { label: 'Confidence Level', value: appendix.confidence_level, depth: 0 },
+        { label: 'Data Completeness', value: appendix.data_completeness, depth: 0 }
+      ]),
+      this.heading('Data Sources', HeadingLevel.HEADING_2),
+      appendix.data_sources.length > 0
+        ? this.table(['Source', 'Status', 'Confidence', 'Last Updated'],
+          appendix.data_sources.map(source => [source.name, source.status, source.confidence, source.last_updated]), [35, 20, 15, 30])
+        : this.paragraph('No data sources were connected when this BIA was generated.', { italics: true, color: COLORS.muted }),
+      this.heading('Section Confidence', HeadingLevel.HEADING_2),
+      this.table(['Section', 'Confidence', 'Data Sources'],
+        appendix.section_confidence.map(row => [row.section, row.confidence, row.data_sources]), [30, 15, 55])
+    ];
+
+    if (appendix.recommendations.length > 0) {
+      parts.push(
+        this.heading('Recommendations', HeadingLevel.HEADING_2),
+        ...appendix.recommendations.map(item => new Paragraph({ text: item, bullet: { level: 0 } }))
+      );
+    }
+
+    return parts;
+  }
+
+  static renderApproval(approval) {
+    const parts = [
+      this.heading('Approval', HeadingLevel.HEADING_1),
+      this.keyValueTable([
+        { label: 'Status', value: approval.status, depth: 0 },
+        { label: 'Approved By', value: approval.approved_by || '-', depth: 0 },
+        { label: 'Approved At', value: approval.approved_at || '-', depth: 0 },
+        { label: 'Comments', value: approval.comments || '-', depth: 0 }
+      ])
+    ];
+
+    if (!approval.approved) {
+      parts.push(this.paragraph('This BIA has not been approved. Signatures below are required before it is presented to the BCM committee.', {
+        italics: true,
+        color: COLORS.muted
+      }));
+    }
+
+    parts.push(this.table(['DRI signature', 'BCM Committee signature'], [['\n\n', '\n\n'], ['Date:', 'Date:']], [50, 50]));
+    return parts;
+  }
+
+  // Building blocks
+  static heading(text, level) {
+    return new Paragraph({ heading: level, children: [new TextRun({ text, color: COLORS.accent })] });
+  }
+
+  static paragraph(text, { bold, italics, size, color, alignment } = {}) {
+    return new Paragraph({
+      alignment,
+      children: this.textRuns(text, { bold, italics, size, color })
+    });
+  }
+
+  /**
+   * Word ignores '\n' inside a run, so multi-line values become line breaks
+   */
+  static textRuns(text, options = {}) {
+    return String(text).split('\n').map((line, index) => new TextRun({ ...options, text: line, break: index > 0 ? 1 : 0 }));
+  }
+
+  static pageBreak() {
+    return new Paragraph({ children: [new PageBreak()] });
+  }
+
+  static keyValueTable(rows) {
+    return new Table({
+      width: { size: 100, type: WidthType.PERCENTAGE },
+      rows: rows.map(row => new TableRow({
+        children: row.heading
+          ? [this.cell(row.label, { bold: true, columnSpan: 2, indent: row.depth })]
+          : [
+            this.cell(row.overridden ? `${row.label} *` : row.label, {
+              bold: true,
+              color: row.overridden ? COLORS.override : COLORS.muted,
+              width: 35,
+              indent: row.depth
+            }),
+            this.cell(row.value, { width: 65 })
+          ]
+      }))
+    });
+  }
+
+  static table(headers, rows, widths) {
+    return new Table({
+      width: { size: 100, type: WidthType.PERCENTAGE },
+      rows: [
+        new TableRow({
+          tableHeader: true,
+          children: headers.map((header, index) => this.cell(header, { bold: true, width: widths[index], shading: COLORS.tableHeader }))
+        }),
+        ...rows.map(row => new TableRow({
+          children: row.map((value, index) => this.cell(value, { width: widths[index] }))
+        }))
+      ]
+    });
+  }
+
+  static cell(text, { bold, color, width, columnSpan, indent = 0, shading } = {}) {
+    return new TableCell({
+      columnSpan,
+      width: width ? { size: width, type: WidthType.PERCENTAGE } : undefined,
+      shading: shading ? { type: ShadingType.CLEAR, color: 'auto', fill: shading } : undefined,
+      children: [new Paragraph({
+        indent: indent ? { left: indent * INDENT_TWIPS } : undefined,
+        children: this.textRuns(text, { bold, color, size: 20 })
+      })]
+    });
+  }
+}
+
+module.exports = DocxExporter;
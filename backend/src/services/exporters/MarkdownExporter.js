@@ -0,0 +1,105 @@
+const { COST_CURVE_COLUMNS, buildDocumentModel, exportFilename } = require('./documentLayout');
+
+class MarkdownExporter {
+
+  /**
+   * Render a stored BIA document as Markdown
+   */
+  static render(bia) {
+    const model = buildDocumentModel(bia);
+    const lines = [];
+
+    lines.push(`# ${model.title}: ${this.escape(model.function_name)}`, '');
+    lines.push(...this.table(['Field', 'Value'], model.metadata.map(item => [item.label, item.value])), '');
+
+    model.sections.forEach(section => {
+      lines.push(`## ${section.title}`, '');
+      lines.push(`_Confidence: ${section.confidence_score !== null ? `${Math.round(section.confidence_score * 100)}%` : '-'}` +
+        `${section.data_sources.length > 0 ? ` | Sources: ${section.data_sources.join(', ')}` : ''}_`, '');
+      lines.push(...this.rows(section.rows), '');
+
+      if (section.key === 'business_impact') {
+        lines.push('### Impact Timeline', '');
+        lines.push(...this.table(['Outage Duration', 'Impact'], model.impact_timeline.map(row => [row.period, row.impact])), '');
+
+        if (model.downtime_cost_curve.length > 0) {
+          lines.push('### Downtime Cost Curve (cumulative)', '');
+          lines.push(...this.table(
+            COST_CURVE_COLUMNS.map(column => column.header),
+            model.downtime_cost_curve.map(row => COST_CURVE_COLUMNS.map(column => row[column.key]))
+          ), '');
+        }
+      }
+
+      if (section.manual_overrides.length > 0) {
+        lines.push('\\* Manually overridden field', '');
+      }
+    });
+
+    lines.push('## Regional Overlays', '');
+    if (model.regional_overlays.length === 0) {
+      lines.push('_No regional overlays were requested for this BIA._', '');
+    }
+    model.regional_overlays.forEach(overlay => {
+      lines.push(`### ${this.escape(overlay.region)}`, '', ...this.rows(overlay.rows), '');
+    });
+
+    if (model.predictive_analysis.length > 0) {
+      lines.push('## Predictive Analysis (Rooster)', '', ...this.rows(model.predictive_analysis), '');
+    }
+
+    const { appendix } = model;
+    lines.push('## Appendix: Data Sources & Confidence', '');
+    lines.push(`- **Overall Confidence:** ${appendix.overall_confidence}`);
+    lines.push(`- **Confidence Level:** ${appendix.confidence_level}`);
+    lines.push(`- **Data Completeness:** ${appendix.data_completeness}`, '');
+    lines.push(...this.table(['Source', 'Status', 'Confidence', 'Last Updated'],
+      appendix.data_sources.map(source => [source.name, source.status, source.confidence, source.last_updated])), '');
+    lines.push(...this.table(['Section', 'Confidence', 'Data Sources'],
+      appendix.section_confidence.map(row => [row.section, row.confidence, row.data_sources])), '');
+    if (appendix.recommendations.length > 0) {
+      lines.push('**Recommendations:**', '', ...appendix.recommendations.map(item => `- ${this.escape(item)}`), '');
+    }
+
+    const { approval } = model;
+    lines.push('## Approval', '');
+    lines.push(...this.table(['Field', 'Value'], [
+      ['Status', approval.status],
+      ['Approved By', approval.approved_by || '-'],
+      ['Approved At', approval.approved_at || '-'],
+      ['Comments', approval.comments || '-']
+    ]), '');
+
+    return lines.join('\n');
+  }
+
+  static filename(bia) {
+    return exportFilename(bia, 'md');
+  }
+
+  // Helpers
+  static rows(rows) {
+    return rows.map(row => {
+      const indent = '  '.repeat(row.depth);
+      const label = `**${this.escape(row.label)}${row.overridden ? ' \\*' : ''}**`;
+      return row.heading
+        ? `${indent}- ${label}`
+        : `${indent}- ${label}: ${this.escape(row.value).replace(/\n/g, `  \n${indent}  `)}`;
+    });
+  }
+
+  static table(headers, rows) {
+    const cell = value => this.escape(value).replace(/\|/g, '\\|').replace(/\n/g, '<br>');
+    return [
+      `| ${headers.map(cell).join(' | ')} |`,
+      `| ${headers.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+    ];
+  }
+
+  static escape(value) {
+    return String(value ?? '-').replace(/([\\`*_[\]<>])/g, '\\$1');
+  }
+}
+
+module.exports = MarkdownExporter;
@@ -0,0 +1,460 @@
+const PDFDocument = require('pdfkit');
+const pdfConfig = require('../../../config/pdf');
+const { COST_CURVE_COLUMNS, buildDocumentModel, exportFilename } = require('./documentLayout');
+
+// A4 in points with the page furniture kept outside the content margins
+const PAGE = {
+  size: 'A4',
+  margins: { top: 72, bottom: 72, left: 56, right: 56 }
+};
+
+// Names the fonts are registered under for each render
+const FONTS = {
+  regular: 'bia-regular',
+  bold: 'bia-bold',
+  italic: 'bia-italic'
+};
+
+// Built-in PDF fonts, used unless TrueType fonts are configured; they need no font files
+const BUILT_IN_FONTS = {
+  regular: 'Helvetica',
+  bold: 'Helvetica-Bold',
+  italic: 'Helvetica-Oblique'
+};
+
+// Characters outside WinAnsi with a readable stand-in in the built-in fonts
+const WIN_ANSI_REPLACEMENTS = {
+  '→': '->',
+  '←': '<-',
+  '↔': '<->',
+  '⇒': '=>',
+  '≥': '>=',
+  '≤': '<=',
+  '≠': '!=',
+  '≈': '~',
+  '−': '-',
+  '✓': 'Yes',
+  '✗': 'No',
+  'Ł': 'L',
+  'ł': 'l',
+  'Đ': 'D',
+  'đ': 'd',
+  'ı': 'i'
+};
+
+// Characters WinAnsi adds to Latin-1
+const WIN_ANSI_EXTRAS = new Set('€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ');
+
+const COLORS = {
+  text: '#1f2933',
+  muted: '#616e7c',
+  accent: '#0b6e4f',
+  rule: '#cbd2d9',
+  tableHeader: '#e4e7eb',
+  override: '#b44d12'
+};
+
+const LABEL_WIDTH = 170;
+const INDENT = 12;
+const CELL_PADDING = 4;
+
+class PdfExporter {
+
+  /**
+   * Render a stored BIA document to a PDF buffer
+   */
+  static render(bia) {
+    const unicodeFonts = Boolean(pdfConfig.fonts.regular);
+    const model = unicodeFonts ? buildDocumentModel(bia) : this.toWinAnsi(buildDocumentModel(bia));
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: PAGE.size,
+        margins: PAGE.margins,
+        bufferPages: true,
+        info: {
+          Title: `${model.title} - ${model.function_name}`,
+          Subject: `BIA version ${model.version}`,
+          Author: 'Self-Updating BIA',
+          CreationDate: bia.generated_at ? new Date(bia.generated_at) : new Date()
+        }
+      });
+
+      this.registerFonts(doc, unicodeFonts);
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        this.renderCover(doc, model);
+        model.sections.forEach(section => this.renderSection(doc, section, model));
+        this.renderRegionalOverlays(doc, model.regional_overlays);
+        this.renderPredictiveAnalysis(doc, model.predictive_analysis);
+        this.renderAppendix(doc, model.appendix);
+        this.renderApproval(doc, model.approval);
+        this.renderPageFurniture(doc, model);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  static filename(bia) {
+    return exportFilename(bia, 'pdf');
+  }
+
+  /**
+   * Register the configured TrueType fonts, bold and italic falling back to
+   * the regular one, or the built-in fonts
+   */
+  static registerFonts(doc, unicodeFonts) {
+    Object.entries(FONTS).forEach(([style, name]) => {
+      doc.registerFont(name, unicodeFonts
+        ? pdfConfig.fonts[style] || pdfConfig.fonts.regular
+        : BUILT_IN_FONTS[style]);
+    });
+  }
+
+  /**
+   * Copy of a document model with every string limited to what the built-in
+   * fonts can draw: known symbols get a stand-in, letters outside Latin-1
+   * lose their accents and anything else becomes '?'
+   */
+  static toWinAnsi(value) {
+    if (typeof value === 'string') {
+      return Array.from(value, char => {
+        if (char.charCodeAt(0) < 0x100 || WIN_ANSI_EXTRAS.has(char)) return char;
+        if (WIN_ANSI_REPLACEMENTS[char]) return WIN_ANSI_REPLACEMENTS[char];
+        const base = char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+        return base && Array.from(base).every(part => part.charCodeAt(0) < 0x100) ? base : '?';
+      }).join('');
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.toWinAnsi(item));
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.toWinAnsi(item)]));
+    }
+    return value;
+  }
+
+  // Pages
+  static renderCover(doc, model) {
+    doc.moveDown(6);
+    doc.font(FONTS.bold).fontSize(28).fillColor(COLORS.accent).text(model.title, { align: 'center' });
+    doc.moveDown(0.5);
+    doc.font(FONTS.regular).fontSize(18).fillColor(COLORS.text).text(model.function_name, { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(12).fillColor(COLORS.muted).text(`Version ${model.version} - ${model.status}`, { align: 'center' });
+    doc.moveDown(4);
+
+    this.renderKeyValueRows(doc, model.metadata.map(item => ({ ...item, depth: 0 })));
+
+    doc.moveDown(4);
+    doc.font(FONTS.italic).fontSize(9).fillColor(COLORS.muted)
+      .text('Prepared for the Business Continuity Management committee. Confidential - internal use only.', { align: 'center' });
+  }
+
+  static renderSection(doc, section, model) {
+    doc.addPage();
+    this.renderHeading(doc, section.title);
+
+    const meta = [`Confidence: ${section.confidence_score !== null ? `${Math.round(section.confidence_score * 100)}%` : '-'}`];
+    if (section.data_sources.length > 0) {
+      meta.push(`Sources: ${section.data_sources.join(', ')}`);
+    }
+    doc.font(FONTS.regular).fontSize(9).fillColor(COLORS.muted).text(meta.join('   |   '));
+    doc.moveDown();
+
+    this.renderKeyValueRows(doc, section.rows);
+
+    if (section.key === 'business_impact') {
+      doc.moveDown();
+      this.renderSubheading(doc, 'Impact Timeline');
+      this.renderTable(doc, [
+        { header: 'Outage Duration', key: 'period', width: 0.3 },
+        { header: 'Impact', key: 'impact', width: 0.7 }
+      ], model.impact_timeline);
+
+      if (model.downtime_cost_curve.length > 0) {
+        doc.moveDown();
+        this.renderSubheading(doc, 'Downtime Cost Curve (cumulative)');
+        this.renderTable(doc, COST_CURVE_COLUMNS, model.downtime_cost_curve);
+      }
+    }
+
+    if (section.manual_overrides.length > 0) {
+      doc.moveDown();
+      doc.font(FONTS.italic).fontSize(8).fillColor(COLORS.override)
+        .text('* Manually overridden field; the automatic value is retained in the audit log.');
+    }
+  }
+
+  static renderRegionalOverlays(doc, overlays) {
+    doc.addPage();
+    this.renderHeading(doc, 'Regional Overlays');
+
+    if (overlays.length === 0) {
+      this.renderNote(doc, 'No regional overlays were requested for this BIA.');
+      return;
+    }
+
+    overlays.forEach(overlay => {
+      this.renderSubheading(doc, overlay.region);
+      this.renderKeyValueRows(doc, overlay.rows);
+      doc.moveDown();
+    });
+  }
+
+  static renderPredictiveAnalysis(doc, rows) {
+    if (rows.length === 0) return;
+
+    doc.addPage();
+    this.renderHeading(doc, 'Predictive Analysis (Rooster)');
+    this.renderKeyValueRows(doc, rows);
+  }
+
+  static renderAppendix(doc, appendix) {
+    doc.addPage();
+    this.renderHeading(doc, 'Appendix: Data Sources & Confidence');
+
+    this.renderKeyValueRows(doc, [
+      { label: 'Overall Confidence', value: appendix.overall_confidence, depth: 0 },
+      { label: 'Confidence Level', value: appendix.confidence_level, depth: 0 },
+      { label: 'Data Completeness', value: appendix.data_completeness, depth: 0 }
+    ]);
+    doc.moveDown();
+
+    this.renderSubheading(doc, 'Data Sources');
+    if (appendix.data_sources.length > 0) {
+      this.renderTable(doc, [
+        { header: 'Source', key: 'name', width: 0.35 },
+        { header: 'Status', key: 'status', width: 0.2 },
+        { header: 'Confidence', key: 'confidence', width: 0.15 },
+        { header: 'Last Updated', key: 'last_updated', width: 0.3 }
+      ], appendix.data_sources);
+    } else {
+      this.renderNote(doc, 'No data sources were connected when this BIA was generated.');
+    }
+    doc.moveDown();
+
+    this.renderSubheading(doc, 'Section Confidence');
+    this.renderTable(doc, [
+      { header: 'Section', key: 'section', width: 0.3 },
+      { header: 'Confidence', key: 'confidence', width: 0.15 },
+      { header: 'Data Sources', key: 'data_sources', width: 0.55 }
+    ], appendix.section_confidence);
+
+    if (appendix.recommendations.length > 0) {
+      doc.moveDown();
+      this.renderSubheading(doc, 'Recommendations');
+      doc.font(FONTS.regular).fontSize(10).fillColor(COLORS.text).list(appendix.recommendations);
+    }
+  }
+
+  static renderApproval(doc, approval) {
+    doc.moveDown(2);
+    this.ensureSpace(doc, 200);
+    this.renderHeading(doc, 'Approval');
+
+    this.renderKeyValueRows(doc, [
+      { label: 'Status', value: approval.status, depth: 0 },
+      { label: 'Approved By', value: approval.approved_by || '-', depth: 0 },
+      { label: 'Approved At', value: approval.approved_at || '-', depth: 0 },
+      { label: 'Comments', value: approval.comments || '-', depth: 0 }
+    ]);
+
+    if (!approval.approved) {
+      doc.moveDown(0.5);
+      this.renderNote(doc, 'This BIA has not been approved. Signatures below are required before it is presented to the BCM committee.');
+    }
+
+    doc.moveDown(2);
+    const { left } = doc.page.margins;
+    const width = this.contentWidth(doc);
+    const blockWidth = (width - 24) / 2;
+
+    ['DRI', 'BCM Committee'].forEach((role, index) => {
+      const x = left + index * (blockWidth + 24);
+      const y = doc.y;
+      doc.moveTo(x, y + 30).lineTo(x + blockWidth, y + 30).strokeColor(COLORS.text).lineWidth(0.75).stroke();
+      doc.font(FONTS.regular).fontSize(9).fillColor(COLORS.muted)
+        .text(`${role} signature`, x, y + 34, { width: blockWidth, lineBreak: false });
+      doc.moveTo(x, y + 70).lineTo(x + blockWidth, y + 70).stroke();
+      doc.text('Date', x, y + 74, { width: blockWidth, lineBreak: false });
+    });
+
+    doc.x = left;
+    doc.y += 90;
+  }
+
+  /**
+   * Running header and "Page X of Y" footer on every page but the cover.
+   * Pages are buffered, so the total is known once all content is laid out.
+   */
+  static renderPageFurniture(doc, model) {
+    const range = doc.bufferedPageRange();
+    const total = range.count;
+
+    for (let index = range.start; index < range.start + total; index++) {
+      doc.switchToPage(index);
+      if (index === range.start) continue;
+
+      // Writing inside the margins must not trigger pdfkit's automatic page breaks
+      const { top, bottom, left } = doc.page.margins;
+      doc.page.margins.top = 0;
+      doc.page.margins.bottom = 0;
+
+      const width = this.contentWidth(doc);
+      doc.font(FONTS.regular).fontSize(8).fillColor(COLORS.muted);
+      doc.text(`${model.title} - ${model.function_name} (v${model.version}, ${model.status})`, left, top / 2, {
+        width,
+        lineBreak: false
+      });
+      doc.text(`Page ${index - range.start + 1} of ${total}`, left, doc.page.height - bottom / 2, {
+        width,
+        align: 'right',
+        lineBreak: false
+      });
+
+      doc.page.margins.top = top;
+      doc.page.margins.bottom = bottom;
+    }
+  }
+
+  // Building blocks
+  static renderHeading(doc, text) {
+    doc.font(FONTS.bold).fontSize(16).fillColor(COLORS.accent).text(text, doc.page.margins.left);
+    const y = doc.y + 2;
+    doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y)
+      .strokeColor(COLORS.rule).lineWidth(1).stroke();
+    doc.moveDown(0.75);
+  }
+
+  static renderSubheading(doc, text) {
+    this.ensureSpace(doc, 40);
+    doc.font(FONTS.bold).fontSize(12).fillColor(COLORS.text).text(text, doc.page.margins.left);
+    doc.moveDown(0.3);
+  }
+
+  static renderNote(doc, text) {
+    doc.font(FONTS.italic).fontSize(10).fillColor(COLORS.muted).text(text, doc.page.margins.left);
+  }
+
+  /**
+   * Two-column label/value rows; heading rows introduce nested fields
+   */
+  static renderKeyValueRows(doc, rows) {
+    const left = doc.page.margins.left;
+    const width = this.contentWidth(doc);
+
+    rows.forEach(row => {
+      const indent = row.depth * INDENT;
+      const label = row.overridden ? `${row.label} *` : row.label;
+
+      if (row.heading) {
+        doc.font(FONTS.bold).fontSize(10);
+        this.ensureSpace(doc, doc.heightOfString(label) + 20);
+        doc.fillColor(COLORS.text).text(label, left + indent, doc.y, { width: width - indent });
+        doc.moveDown(0.2);
+        return;
+      }
+
+      const labelWidth = LABEL_WIDTH - indent;
+      const valueWidth = width - LABEL_WIDTH;
+      doc.font(FONTS.bold).fontSize(10);
+      const labelHeight = doc.heightOfString(label, { width: labelWidth });
+      doc.font(FONTS.regular).fontSize(10);
+      const valueHeight = doc.heightOfString(row.value, { width: valueWidth });
+      const height = Math.max(labelHeight, valueHeight);
+
+      // Values longer than a page flow below their label and break naturally
+      if (height > doc.page.height - doc.page.margins.top - doc.page.margins.bottom) {
+        this.ensureSpace(doc, labelHeight + 40);
+        doc.font(FONTS.bold).fillColor(row.overridden ? COLORS.override : COLORS.muted)
+          .text(label, left + indent, doc.y, { width: width - indent });
+        doc.font(FONTS.regular).fillColor(COLORS.text)
+          .text(row.value, left + LABEL_WIDTH, doc.y, { width: valueWidth });
+        doc.x = left;
+        doc.moveDown(0.3);
+        return;
+      }
+
+      this.ensureSpace(doc, height + 4);
+      const y = doc.y;
+      doc.font(FONTS.bold).fillColor(row.overridden ? COLORS.override : COLORS.muted)
+        .text(label, left + indent, y, { width: labelWidth });
+      doc.font(FONTS.regular).fillColor(COLORS.text)
+        .text(row.value, left + LABEL_WIDTH, y, { width: valueWidth });
+      doc.x = left;
+      doc.y = y + height + 4;
+    });
+  }
+
+  /**
+   * Simple grid table; the header row repeats after a page break
+   */
+  static renderTable(doc, columns, rows) {
+    const left = doc.page.margins.left;
+    const width = this.contentWidth(doc);
+    const cells = columns.map(column => ({ ...column, width: column.width * width }));
+
+    const rowHeight = (values, font) => {
+      doc.font(font).fontSize(9);
+      return Math.max(...cells.map((cell, index) =>
+        doc.heightOfString(String(values[index]), { width: cell.width - CELL_PADDING * 2 }))) + CELL_PADDING * 2;
+    };
+
+    const drawRow = (values, font, fill) => {
+      const height = rowHeight(values, font);
+      const y = doc.y;
+      let x = left;
+
+      if (fill) {
+        doc.rect(left, y, width, height).fillColor(fill).fill();
+      }
+
+      cells.forEach((cell, index) => {
+        doc.rect(x, y, cell.width, height).strokeColor(COLORS.rule).lineWidth(0.5).stroke();
+        doc.font(font).fontSize(9).fillColor(COLORS.text)
+          .text(String(values[index]), x + CELL_PADDING, y + CELL_PADDING, { width: cell.width - CELL_PADDING * 2 });
+        x += cell.width;
+      });
+
+      doc.x = left;
+      doc.y = y + height;
+    };
+
+    const headers = cells.map(cell => cell.header);
+    this.ensureSpace(doc, rowHeight(headers, FONTS.bold) * 2);
+    drawRow(headers, FONTS.bold, COLORS.tableHeader);
+
+    rows.forEach(row => {
+      const values = cells.map(cell => row[cell.key]);
+      if (this.ensureSpace(doc, rowHeight(values, FONTS.regular))) {
+        drawRow(headers, FONTS.bold, COLORS.tableHeader);
+      }
+      drawRow(values, FONTS.regular);
+    });
+  }
+
+  /**
+   * Start a new page when the next block would not fit; returns whether it did
+   */
+  static ensureSpace(doc, height) {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      return true;
+    }
+    return false;
+  }
+
+  static contentWidth(doc) {
+    return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  }
+}
+
+module.exports = PdfExporter;
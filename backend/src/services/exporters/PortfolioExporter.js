@@ -0,0 +1,97 @@
+const ExcelJS = require('exceljs');
+const { toCSV, escapeFormula } = require('../../utils/csv');
+const { displayValue } = require('../../utils/units');
+
+// BIAs are reviewed annually after approval
+const REVIEW_CYCLE_MONTHS = 12;
+
+// One row per BIA, flattened from the generated document structure
+const PORTFOLIO_COLUMNS = [
+  { key: 'function_name', header: 'Function', width: 36, value: bia => bia.function_name },
+  { key: 'function_type', header: 'Function Type', width: 16, value: bia => bia.function_type },
+  { key: 'version', header: 'Version', width: 10, value: bia => bia.version },
+  { key: 'reliability_tier', header: 'Reliability Tier', width: 16, value: bia => bia.technology_dependencies?.reliability_tier },
+  { key: 'mtpd', header: 'MTPD', width: 12, value: bia => bia.iso_22301_compliance?.mtpd },
+  { key: 'rto_current', header: 'RTO Current', width: 14, value: bia => bia.recovery_requirements?.rto?.current },
+  { key: 'rto_target', header: 'RTO Target', width: 14, value: bia => bia.recovery_requirements?.rto?.target },
+  { key: 'rpo_current', header: 'RPO Current', width: 14, value: bia => bia.recovery_requirements?.rpo?.current },
+  { key: 'rpo_target', header: 'RPO Target', width: 14, value: bia => bia.recovery_requirements?.rpo?.target },
+  { key: 'daily_revenue_impact', header: 'Daily Revenue Impact', width: 20, value: bia => bia.business_impact?.daily_revenue_impact },
+  { key: 'overall_confidence', header: 'Overall Confidence', width: 18, value: bia => bia.confidence_assessment?.overall_confidence },
+  { key: 'status', header: 'Status', width: 18, value: bia => bia.status },
+  { key: 'dri_name', header: 'DRI', width: 20, value: bia => bia.dri_name },
+  { key: 'approved_at', header: 'Approved At', width: 22, value: bia => bia.approved_at },
+  { key: 'next_review', header: 'Next Review', width: 14, value: bia => PortfolioExporter.getNextReviewDate(bia) },
+  { key: 'id', header: 'BIA ID', width: 38, value: bia => bia.id }
+];
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+class PortfolioExporter {
+
+  /**
+   * Flatten BIA documents into portfolio rows; typed quantities (RTO, MTPD,
+   * revenue) export as their display string. Text that starts like a formula
+   * is quoted so spreadsheet apps show it instead of evaluating it.
+   */
+  static toRows(bias) {
+    return bias.map(bia => Object.fromEntries(
+      PORTFOLIO_COLUMNS.map(column => {
+        const value = displayValue(column.value(bia));
+        return [column.key, value === undefined ? null : escapeFormula(value)];
+      })
+    ));
+  }
+
+  /**
+   * Render BIA documents as a CSV or XLSX portfolio, returning the body and
+   * response metadata
+   */
+  static async render(bias, format = 'csv') {
+    const rows = this.toRows(bias);
+    const { contentType, extension } = FORMATS[format];
+    const filename = `bia_portfolio_${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+    const body = format === 'xlsx'
+      ? await this.toXLSX(rows)
+      : toCSV(rows, PORTFOLIO_COLUMNS);
+
+    return { contentType, filename, body };
+  }
+
+  static async toXLSX(rows) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Self-Updating BIA';
+
+    const sheet = workbook.addWorksheet('BIA Portfolio', { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = PORTFOLIO_COLUMNS.map(({ key, header, width }) => ({ key, header, width }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: PORTFOLIO_COLUMNS.length } };
+
+    sheet.addRows(rows);
+    sheet.getColumn('overall_confidence').numFmt = '0%';
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  /**
+   * Next annual review date (YYYY-MM-DD) for an approved BIA, null otherwise
+   */
+  static getNextReviewDate(bia) {
+    if (!bia.approved_at) {
+      return null;
+    }
+
+    const next = new Date(bia.approved_at);
+    next.setUTCMonth(next.getUTCMonth() + REVIEW_CYCLE_MONTHS);
+    return next.toISOString().slice(0, 10);
+  }
+}
+
+PortfolioExporter.FORMATS = Object.keys(FORMATS);
+PortfolioExporter.PORTFOLIO_COLUMNS = PORTFOLIO_COLUMNS;
+
+module.exports = PortfolioExporter;
@@ -0,0 +1,247 @@
+/**
+ * Format-agnostic layout of a stored BIA document. Exporters render this
+ * model instead of walking the raw document, so every export format shows
+ * the same sections, labels and ordering.
+ */
+
+const { isQuantity } = require('../../utils/units');
+
+// Sections in the order they appear in exported documents
+const DOCUMENT_SECTIONS = [
+  { key: 'personnel_information', title: 'Personnel Information' },
+  { key: 'business_impact', title: 'Business Impact' },
+  { key: 'technology_dependencies', title: 'Technology Dependencies' },
+  { key: 'recovery_requirements', title: 'Recovery Requirements' },
+  { key: 'risk_compliance', title: 'Risk & Compliance' },
+  { key: 'iso_22301_compliance', title: 'ISO 22301 Compliance' }
+];
+
+const IMPACT_TIMELINE_PERIODS = [
+  { key: '1_4_hours', label: '1-4 hours' },
+  { key: '4_24_hours', label: '4-24 hours' },
+  { key: '1_7_days', label: '1-7 days' },
+  { key: '7_plus_days', label: '7+ days' }
+];
+
+// Section bookkeeping shown in the appendix (or not at all) rather than in the body
+const BOOKKEEPING_FIELDS = [
+  'data_sources',
+  'confidence_score',
+  'auto_populated',
+  'manual_overrides',
+  'override_conflicts',
+  'has_manual_overrides',
+  'has_override_conflicts'
+];
+
+// Fields rendered as dedicated tables instead of label/value rows
+const TABLE_FIELDS = {
+  business_impact: ['impact_timeline', 'downtime_cost_curve']
+};
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  pending_approval: 'Pending Approval',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  archived: 'Archived'
+};
+
+const EMPTY_VALUE = '-';
+
+// Columns of the downtime cost curve table, shared by every exporter
+const COST_CURVE_COLUMNS = [
+  { key: 'duration', header: 'Outage', width: 0.14 },
+  { key: 'financial', header: 'Revenue Lost', width: 0.2 },
+  { key: 'customer', header: 'Customers Affected', width: 0.22 },
+  { key: 'regulatory', header: 'Regulatory', width: 0.14 },
+  { key: 'reputational', header: 'Reputational', width: 0.15 },
+  { key: 'overall', header: 'Overall', width: 0.15 }
+];
+
+/**
+ * Build the export model for a stored BIA document
+ */
+function buildDocumentModel(bia) {
+  return {
+    title: 'Business Impact Analysis',
+    function_name: bia.function_name,
+    version: bia.version,
+    status: STATUS_LABELS[bia.status] || bia.status,
+    metadata: [
+      { label: 'Function', value: formatValue(bia.function_name) },
+      { label: 'Function Type', value: formatValue(bia.function_type) },
+      { label: 'DRI', value: formatValue(bia.dri_name) },
+      { label: 'DRI Team', value: formatValue(bia.dri_team) },
+      { label: 'Version', value: formatValue(bia.version) },
+      { label: 'Status', value: STATUS_LABELS[bia.status] || formatValue(bia.status) },
+      { label: 'Generated', value: formatDate(bia.generated_at) },
+      { label: 'Last Updated', value: formatDate(bia.updated_at) },
+      { label: 'Fusion Record', value: formatValue(bia.fusion_record_id) }
+    ],
+    sections: DOCUMENT_SECTIONS.map(({ key, title }) => buildSection(key, title, bia[key])),
+    impact_timeline: buildImpactTimeline(bia.business_impact),
+    downtime_cost_curve: buildCostCurve(bia.business_impact),
+    regional_overlays: (bia.regional_overlays || []).map(overlay => ({
+      region: overlay.region,
+      rows: buildRows(overlay, { exclude: ['region', ...BOOKKEEPING_FIELDS] })
+    })),
+    predictive_analysis: bia.predictive_analysis
+      ? buildRows(bia.predictive_analysis, { exclude: ['data_sources', 'generated_at', 'source_request'] })
+      : [],
+    appendix: buildAppendix(bia),
+    approval: {
+      status: STATUS_LABELS[bia.status] || bia.status,
+      approved: Boolean(bia.approved_at),
+      approved_by: bia.approved_by || null,
+      approved_at: bia.approved_at ? formatDate(bia.approved_at) : null,
+      comments: bia.approval_comments || null
+    }
+  };
+}
+
+function buildSection(key, title, section) {
+  const overrides = section?.manual_overrides || {};
+  return {
+    key,
+    title,
+    rows: section ? buildRows(section, { exclude: [...BOOKKEEPING_FIELDS, ...(TABLE_FIELDS[key] || [])], overrides }) : [],
+    confidence_score: section?.confidence_score ?? null,
+    data_sources: section?.data_sources || [],
+    manual_overrides: Object.keys(overrides)
+  };
+}
+
+/**
+ * Flatten a section into label/value rows. Nested objects become a heading
+ * row followed by their fields one level deeper, except typed quantities,
+ * which render as their display string; fields with a manual override are
+ * flagged so exporters can mark them.
+ */
+function buildRows(object, { exclude = [], overrides = {}, depth = 0, prefix = '' } = {}) {
+  return Object.entries(object)
+    .filter(([field]) => !exclude.includes(field))
+    .flatMap(([field, value]) => {
+      const path = prefix ? `${prefix}.${field}` : field;
+      const overridden = Object.prototype.hasOwnProperty.call(overrides, path);
+
+      if (isPlainObject(value) && !isQuantity(value) && !overridden) {
+        return [
+          { label: humanize(field), value: null, depth, heading: true },
+          ...buildRows(value, { overrides, depth: depth + 1, prefix: path })
+        ];
+      }
+
+      return [{ label: humanize(field), value: formatValue(value), depth, overridden }];
+    });
+}
+
+function buildImpactTimeline(businessImpact) {
+  const timeline = businessImpact?.impact_timeline || {};
+  return IMPACT_TIMELINE_PERIODS.map(period => ({
+    period: period.label,
+    impact: formatValue(timeline[period.key])
+  }));
+}
+
+/**
+ * One row per outage duration of the modelled cost-of-downtime curve
+ */
+function buildCostCurve(businessImpact) {
+  return (businessImpact?.downtime_cost_curve || []).map(point => ({
+    duration: formatValue(point.duration),
+    financial: isQuantity(point.financial?.cumulative_loss) && point.financial.cumulative_loss.value !== null
+      ? `${point.financial.cumulative_loss.display} (${point.financial.severity})`
+      : formatValue(point.financial?.severity),
+    customer: point.customer?.customers_affected !== null && point.customer?.customers_affected !== undefined
+      ? `${point.customer.customers_affected.toLocaleString('en-US')} (${point.customer.severity})`
+      : formatValue(point.customer?.severity),
+    regulatory: formatValue(point.regulatory?.severity),
+    reputational: formatValue(point.reputational?.severity),
+    overall: formatValue(point.overall_severity)
+  }));
+}
+
+function buildAppendix(bia) {
+  const confidence = bia.confidence_assessment || {};
+
+  return {
+    data_sources: (bia.data_sources || []).map(source => ({
+      name: source.name,
+      status: formatValue(source.status),
+      confidence: formatScore(source.confidence),
+      last_updated: formatDate(source.last_updated)
+    })),
+    section_confidence: DOCUMENT_SECTIONS.map(({ key, title }) => ({
+      section: title,
+      confidence: formatScore(bia[key]?.confidence_score),
+      data_sources: formatValue(bia[key]?.data_sources || [])
+    })),
+    overall_confidence: formatScore(confidence.overall_confidence),
+    confidence_level: formatValue(confidence.confidence_level),
+    data_completeness: confidence.data_completeness !== undefined ? `${Math.round(confidence.data_completeness)}%` : EMPTY_VALUE,
+    recommendations: confidence.recommendations || []
+  };
+}
+
+// Formatting helpers
+function humanize(field) {
+  return String(field)
+    .split('_')
+    .filter(Boolean)
+    .map(word => (/^(rto|rpo|mtpd|mbco|mttr|mtta|sla|dri|iso|url|smb)$/i.test(word) ? word.toUpperCase() : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join(' ');
+}
+
+function formatValue(value) {
+  if (value === undefined || value === null || value === '') return EMPTY_VALUE;
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (isQuantity(value)) return value.display;
+  if (Array.isArray(value)) {
+    return value.length === 0 ? EMPTY_VALUE : value.map(item => formatValue(item)).join(isPlainObjectList(value) ? '\n' : ', ');
+  }
+  if (isPlainObject(value)) {
+    return Object.entries(value).map(([field, item]) => `${humanize(field)}: ${formatValue(item)}`).join('; ');
+  }
+  return String(value);
+}
+
+function formatScore(score) {
+  return typeof score === 'number' ? `${Math.round(score * 100)}%` : EMPTY_VALUE;
+}
+
+function formatDate(value) {
+  if (!value) return EMPTY_VALUE;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPlainObjectList(value) {
+  return value.some(item => isPlainObject(item));
+}
+
+/**
+ * File name for an exported BIA, e.g. BIA_Cash_App_Payments_v2.0.pdf
+ */
+function exportFilename(bia, extension) {
+  const name = String(bia.function_name || 'Document').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  return `BIA_${name}_v${bia.version}.${extension}`;
+}
+
+module.exports = {
+  DOCUMENT_SECTIONS,
+  IMPACT_TIMELINE_PERIODS,
+  COST_CURVE_COLUMNS,
+  EMPTY_VALUE,
+  buildDocumentModel,
+  buildRows,
+  exportFilename,
+  formatValue,
+  formatDate,
+  formatScore,
+  humanize
+};
@@ -0,0 +1,106 @@
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Priority bucket of incidents raised without a priority
+const UNPRIORITIZED = 'unprioritized';
+
+/**
+ * Recovery figures computed from a service's incident history: MTTR, MTTA,
+ * incident frequency by priority and the longest outage, per window.
+ *
+ * Incidents are { id, number, title, priority, urgency, created_at,
+ * acknowledged_at, resolved_at }. An incident belongs to a window when it
+ * was triggered inside it. Incidents still open count towards frequency and
+ * the longest outage, measured up to now, but not towards MTTR.
+ */
+class IncidentAnalytics {
+
+  /**
+   * Analytics per window, keyed '30d', '90d' and so on
+   */
+  static analyze(incidents, windowDays, { now = new Date() } = {}) {
+    return Object.fromEntries(windowDays.map(days => [`${days}d`, this.summarize(incidents, days, { now })]));
+  }
+
+  static summarize(incidents, days, { now = new Date() } = {}) {
+    const until = now.getTime();
+    const since = until - days * DAY_MS;
+    const inWindow = incidents.filter(incident => {
+      const triggeredAt = new Date(incident.created_at).getTime();
+      return triggeredAt >= since && triggeredAt <= until;
+    });
+
+    const resolveMinutes = inWindow
+      .filter(incident => incident.resolved_at)
+      .map(incident => this.minutesBetween(incident.created_at, incident.resolved_at));
+    const acknowledgeMinutes = inWindow
+      .filter(incident => incident.acknowledged_at)
+      .map(incident => this.minutesBetween(incident.created_at, incident.acknowledged_at));
+
+    return {
+      window_days: days,
+      since: new Date(since).toISOString(),
+      until: new Date(until).toISOString(),
+      incident_count: inWindow.length,
+      resolved_count: resolveMinutes.length,
+      acknowledged_count: acknowledgeMinutes.length,
+      mttr_minutes: this.mean(resolveMinutes),
+      mtta_minutes: this.mean(acknowledgeMinutes),
+      frequency: this.frequency(inWindow, days),
+      longest_outage: this.longestOutage(inWindow, now)
+    };
+  }
+
+  /**
+   * Incident counts per priority, overall and per 30 days
+   */
+  static frequency(incidents, days) {
+    const byPriority = {};
+    incidents.forEach(incident => {
+      const priority = incident.priority || UNPRIORITIZED;
+      byPriority[priority] = (byPriority[priority] || 0) + 1;
+    });
+
+    return {
+      per_30_days: this.round((incidents.length / days) * 30),
+      by_priority: Object.fromEntries(Object.entries(byPriority).sort(([a], [b]) => a.localeCompare(b)))
+    };
+  }
+
+  /**
+   * The incident that stayed open longest; null when there were no incidents
+   */
+  static longestOutage(incidents, now) {
+    const outages = incidents.map(incident => ({
+      incident,
+      minutes: this.minutesBetween(incident.created_at, incident.resolved_at || now)
+    }));
+    if (outages.length === 0) return null;
+
+    const { incident, minutes } = outages.reduce((longest, outage) => (outage.minutes > longest.minutes ? outage : longest));
+    return {
+      incident_id: incident.id,
+      incident_number: incident.number ?? null,
+      title: incident.title || null,
+      priority: incident.priority || null,
+      started_at: incident.created_at,
+      resolved_at: incident.resolved_at || null,
+      ongoing: !incident.resolved_at,
+      duration_minutes: minutes
+    };
+  }
+
+  static minutesBetween(start, end) {
+    return this.round(Math.max(0, new Date(end) - new Date(start)) / MINUTE_MS);
+  }
+
+  static mean(values) {
+    return values.length > 0 ? this.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+  }
+
+  static round(value) {
+    return Math.round(value * 10) / 10;
+  }
+}
+
+module.exports = IncidentAnalytics;
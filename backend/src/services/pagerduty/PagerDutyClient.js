@@ -0,0 +1,85 @@
+const axios = require('axios');
+
+// Largest page the list endpoints return
+const MAX_PAGE_SIZE = 100;
+
+// Classic offset pagination stops at 10,000 records
+const MAX_OFFSET = 10000;
+
+/**
+ * Client for the PagerDuty REST API v2. List endpoints are paged with
+ * `limit` and `offset` until the response reports no `more` results. The
+ * base URL is configurable, so a local mock server of the documented API
+ * can stand in for PagerDuty.
+ */
+class PagerDutyClient {
+  constructor({ apiUrl, apiKey, pageSize = MAX_PAGE_SIZE }) {
+    this.apiUrl = apiUrl.replace(/\/+$/, '');
+    this.pageSize = Math.min(Math.max(1, pageSize), MAX_PAGE_SIZE);
+    this.http = axios.create({
+      baseURL: this.apiUrl,
+      headers: {
+        Authorization: `Token token=${apiKey}`,
+        Accept: 'application/vnd.pagerduty+json;version=2'
+      }
+    });
+  }
+
+  /**
+   * GET a resource and return the response body
+   */
+  async get(path, { params = {}, signal } = {}) {
+    const { data } = await this.http.get(path, { params: this.toSearchParams(params), signal });
+    return data;
+  }
+
+  /**
+   * GET every page of a list endpoint and return the `key` items of all pages,
+   * e.g. list('/incidents', 'incidents', { params: { 'service_ids[]': [id] } }).
+   * `truncated` is true when more results remained past the offset limit.
+   * @returns {Promise<{ items: Array, truncated: boolean }>}
+   */
+  async list(path, key, { params = {}, signal } = {}) {
+    const items = [];
+    let offset = 0;
+    let more = true;
+
+    while (more && offset < MAX_OFFSET) {
+      const page = await this.get(path, { params: { ...params, limit: this.pageSize, offset }, signal });
+      const pageItems = page[key] || [];
+      items.push(...pageItems);
+
+      more = Boolean(page.more) && pageItems.length > 0;
+      offset += pageItems.length;
+    }
+
+    if (more) {
+      console.warn(`⚠️ PagerDuty ${path} has more than ${MAX_OFFSET} results; the rest were not read`);
+    }
+    return { items, truncated: more };
+  }
+
+  /**
+   * Full URL of a request, as recorded in source_request
+   */
+  urlFor(path, params = {}) {
+    const query = this.toSearchParams(params).toString();
+    return `${this.apiUrl}${path}${query ? `?${query}` : ''}`;
+  }
+
+  /**
+   * Array parameters repeat their key, which already ends in '[]' as the API expects
+   */
+  toSearchParams(params) {
+    const searchParams = new URLSearchParams();
+    Object.entries(params).forEach(([name, value]) => {
+      if (value === undefined || value === null) return;
+      (Array.isArray(value) ? value : [value]).forEach(item => searchParams.append(name, item));
+    });
+    return searchParams;
+  }
+}
+
+PagerDutyClient.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
+
+module.exports = PagerDutyClient;
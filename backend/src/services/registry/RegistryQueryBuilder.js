@@ -0,0 +1,183 @@
+// Columns of the Registry APPLICATIONS table; identifiers are only ever taken from this list
+const COLUMNS = [
+  'app_name',
+  'description',
+  'reliability_tier',
+  'team_id',
+  'slack_channel',
+  'documentation_url',
+  'runbook_url',
+  'dependencies',
+  'technology_stack',
+  'deployment_info'
+];
+
+// Columns holding arrays or objects: VARIANT in Snowflake, JSON text in SQLite
+const JSON_COLUMNS = ['dependencies', 'technology_stack', 'deployment_info'];
+
+// Escape character for LIKE patterns; '!' needs no escaping in either dialect's string literals
+const LIKE_ESCAPE = '!';
+
+// SQL that differs between the engines the Registry is queried with
+const DIALECTS = {
+  snowflake: {
+    arrayContains: column => `ARRAY_CONTAINS(?::VARIANT, ${column})`
+  },
+  sqlite: {
+    arrayContains: column => `EXISTS (SELECT 1 FROM json_each(${column}) WHERE json_each.value = ?)`
+  }
+};
+
+// database.schema.table, each part a plain identifier
+const TABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_$]*(\.[A-Za-z_][A-Za-z0-9_$]*){0,2}$/;
+
+/**
+ * Builds SELECT statements over the Registry APPLICATIONS table. Values are
+ * always passed as positional `?` bind parameters, never interpolated, and
+ * identifiers must be known columns. build() returns { text, binds } for an
+ * executor.
+ */
+class RegistryQueryBuilder {
+  constructor(table, { dialect = 'snowflake' } = {}) {
+    if (!TABLE_NAME_PATTERN.test(table)) {
+      throw new Error(`Invalid Registry table name: ${table}`);
+    }
+    if (!DIALECTS[dialect]) {
+      throw new Error(`Unsupported Registry SQL dialect: ${dialect}`);
+    }
+
+    this.table = table;
+    this.dialect = DIALECTS[dialect];
+    this.columns = COLUMNS;
+    this.counting = false;
+    this.conditions = [];
+    this.binds = [];
+    this.order = null;
+    this.maxRows = null;
+  }
+
+  select(columns = COLUMNS) {
+    columns.forEach(column => this.checkColumn(column));
+    this.columns = columns;
+    return this;
+  }
+
+  /**
+   * Select the number of matching rows as `total` instead of the rows
+   */
+  count() {
+    this.counting = true;
+    return this;
+  }
+
+  whereEquals(column, value) {
+    this.checkColumn(column);
+    return this.addCondition(`${column} = ?`, [value]);
+  }
+
+  whereEqualsIgnoreCase(column, value) {
+    this.checkColumn(column);
+    return this.addCondition(`LOWER(${column}) = ?`, [String(value).toLowerCase()]);
+  }
+
+  /**
+   * Match any of the values; an empty list matches nothing
+   */
+  whereIn(column, values) {
+    this.checkColumn(column);
+    if (values.length === 0) {
+      return this.addCondition('1 = 0', []);
+    }
+    return this.addCondition(`${column} IN (${values.map(() => '?').join(', ')})`, values);
+  }
+
+  /**
+   * Case-insensitive substring match on any of the columns. LIKE wildcards
+   * in the term match literally.
+   */
+  whereContains(columns, term) {
+    columns.forEach(column => this.checkColumn(column));
+    const pattern = `%${RegistryQueryBuilder.escapeLike(String(term).toLowerCase())}%`;
+
+    return this.addCondition(
+      `(${columns.map(column => `LOWER(${column}) LIKE ? ESCAPE '${LIKE_ESCAPE}'`).join(' OR ')})`,
+      columns.map(() => pattern)
+    );
+  }
+
+  /**
+   * Rows whose column does not contain the term, ignoring case
+   */
+  whereNotContains(column, term) {
+    this.checkColumn(column);
+    const pattern = `%${RegistryQueryBuilder.escapeLike(String(term).toLowerCase())}%`;
+    return this.addCondition(`LOWER(${column}) NOT LIKE ? ESCAPE '${LIKE_ESCAPE}'`, [pattern]);
+  }
+
+  /**
+   * Rows whose array column contains any of the values
+   */
+  whereArrayContainsAny(column, values) {
+    this.checkColumn(column);
+    if (values.length === 0) {
+      return this.addCondition('1 = 0', []);
+    }
+    return this.addCondition(`(${values.map(() => this.dialect.arrayContains(column)).join(' OR ')})`, values);
+  }
+
+  orderBy(column, direction = 'ASC') {
+    this.checkColumn(column);
+    if (!['ASC', 'DESC'].includes(direction)) {
+      throw new Error(`Invalid sort direction: ${direction}`);
+    }
+    this.order = `${column} ${direction}`;
+    return this;
+  }
+
+  limit(maxRows) {
+    if (!Number.isInteger(maxRows) || maxRows <= 0) {
+      throw new Error(`Invalid row limit: ${maxRows}`);
+    }
+    this.maxRows = maxRows;
+    return this;
+  }
+
+  build() {
+    const columns = this.counting ? 'COUNT(*) AS total' : this.columns.join(', ');
+    const clauses = [`SELECT ${columns}`, `FROM ${this.table}`];
+    if (this.conditions.length > 0) clauses.push(`WHERE ${this.conditions.join(' AND ')}`);
+    if (this.counting) return { text: clauses.join(' '), binds: [...this.binds] };
+
+    if (this.order) clauses.push(`ORDER BY ${this.order}`);
+
+    // The limit is checked to be an integer; not every engine binds LIMIT
+    if (this.maxRows) clauses.push(`LIMIT ${this.maxRows}`);
+
+    return { text: clauses.join(' '), binds: [...this.binds] };
+  }
+
+  addCondition(sql, binds) {
+    this.conditions.push(sql);
+    this.binds.push(...binds);
+    return this;
+  }
+
+  checkColumn(column) {
+    if (!COLUMNS.includes(column)) {
+      throw new Error(`Unknown Registry column: ${column}`);
+    }
+  }
+
+  /**
+   * Escape LIKE wildcards so they match literally under ESCAPE '!'
+   */
+  static escapeLike(value) {
+    return value.replace(/[!%_]/g, character => `${LIKE_ESCAPE}${character}`);
+  }
+}
+
+RegistryQueryBuilder.COLUMNS = COLUMNS;
+RegistryQueryBuilder.JSON_COLUMNS = JSON_COLUMNS;
+RegistryQueryBuilder.DIALECTS = Object.keys(DIALECTS);
+
+module.exports = RegistryQueryBuilder;
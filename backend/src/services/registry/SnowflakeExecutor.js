@@ -0,0 +1,49 @@
+/**
+ * Runs Registry queries on Snowflake with bind parameters. Rows come back
+ * with lower-case column names; VARIANT columns are parsed by the driver.
+ */
+class SnowflakeExecutor {
+  constructor(connection) {
+    this.name = 'snowflake';
+    this.dialect = 'snowflake';
+    this.connection = connection;
+  }
+
+  /**
+   * Connect to Snowflake; rejects when the `snowflake-sdk` package is missing or the login fails
+   */
+  static async connect({ account, username, password, warehouse, database, schema }) {
+    if (!account || !username) {
+      throw new Error('Registry driver snowflake needs SNOWFLAKE_ACCOUNT and SNOWFLAKE_USER');
+    }
+
+    const snowflake = require('snowflake-sdk');
+    const connection = snowflake.createConnection({ account, username, password, warehouse, database, schema });
+    await new Promise((resolve, reject) => {
+      connection.connect(error => (error ? reject(error) : resolve()));
+    });
+    return new SnowflakeExecutor(connection);
+  }
+
+  /**
+   * Run { text, binds }; the statement is cancelled when `signal` aborts
+   */
+  execute({ text, binds }, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      const statement = this.connection.execute({
+        sqlText: text,
+        binds,
+        complete: (error, stmt, rows) => {
+          if (error) return reject(error);
+          resolve((rows || []).map(row => Object.fromEntries(
+            Object.entries(row).map(([column, value]) => [column.toLowerCase(), value])
+          )));
+        }
+      });
+
+      signal?.addEventListener('abort', () => statement.cancel(() => {}), { once: true });
+    });
+  }
+}
+
+module.exports = SnowflakeExecutor;
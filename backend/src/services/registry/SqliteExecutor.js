@@ -0,0 +1,52 @@
+const RegistryQueryBuilder = require('./RegistryQueryBuilder');
+
+/**
+ * Runs Registry queries on a local SQLite database, a stand-in for Snowflake
+ * in local development and tests. The APPLICATIONS table keeps array and
+ * object columns as JSON text, which is parsed on the way out.
+ */
+class SqliteExecutor {
+  constructor(db) {
+    this.name = 'sqlite';
+    this.dialect = 'sqlite';
+    this.db = db;
+  }
+
+  /**
+   * Open a database file, or ':memory:'; rejects when the `better-sqlite3` package is missing
+   */
+  static async open(path) {
+    if (!path) {
+      throw new Error('Registry driver sqlite needs REGISTRY_SQLITE_PATH');
+    }
+
+    const Database = require('better-sqlite3');
+    return new SqliteExecutor(new Database(path, { fileMustExist: path !== ':memory:' }));
+  }
+
+  async execute({ text, binds }) {
+    return this.db.prepare(text).all(...binds).map(row => {
+      RegistryQueryBuilder.JSON_COLUMNS.forEach(column => {
+        if (typeof row[column] === 'string') row[column] = JSON.parse(row[column]);
+      });
+      return row;
+    });
+  }
+
+  /**
+   * Create the APPLICATIONS table and load applications into it
+   */
+  seed(applications) {
+    const columns = RegistryQueryBuilder.COLUMNS;
+    this.db.exec(`CREATE TABLE IF NOT EXISTS APPLICATIONS (${columns.map(column => `${column} TEXT`).join(', ')})`);
+
+    const insert = this.db.prepare(`INSERT INTO APPLICATIONS (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`);
+    this.db.transaction(rows => rows.forEach(application => insert.run(...columns.map(column => {
+      const value = application[column];
+      if (value === undefined || value === null) return null;
+      return RegistryQueryBuilder.JSON_COLUMNS.includes(column) ? JSON.stringify(value) : value;
+    }))))(applications);
+  }
+}
+
+module.exports = SqliteExecutor;
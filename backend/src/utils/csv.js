@@ -0,0 +1,122 @@
+/**
+ * Minimal RFC 4180 CSV helpers
+ */
+
+function escapeCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Neutralize a text cell a spreadsheet would run as a formula by prefixing
+ * it with a quote. Non-string values are returned unchanged.
+ */
+function escapeFormula(value) {
+  return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Serialize rows to CSV. `columns` is a list of { key, header } pairs.
+ */
+function toCSV(rows, columns) {
+  const header = columns.map(column => escapeCell(column.header || column.key)).join(',');
+  const lines = rows.map(row => columns.map(column => escapeCell(row[column.key])).join(','));
+  return [header, ...lines].join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text into an array of rows (arrays of cells). Handles quoted
+ * cells with embedded commas, quotes and line breaks, CRLF line endings and
+ * a leading byte-order mark. Blank lines are skipped.
+ */
+function parseCSV(text) {
+  return parseCSVLines(text).map(({ cells }) => cells);
+}
+
+/**
+ * Parse CSV text into { cells, line } rows, where `line` is the 1-based line
+ * the row starts on. Lines are counted before blank ones are skipped, so
+ * they match the input even when it has blank lines or quoted line breaks.
+ */
+function parseCSVLines(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let index = 0; index < input.length; index++) {
+    const char = input[index];
+
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n' || (char === '\r' && input[index + 1] !== '\n')) line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') index++;
+      row.push(cell);
+      rows.push({ cells: row, line: rowLine });
+      row = [];
+      cell = '';
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted cell in CSV input');
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push({ cells: row, line: rowLine });
+  }
+
+  return rows.filter(({ cells }) => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by header. Each record
+ * carries the line it starts on (the first line is 1) as `__row`.
+ */
+function parseCSVRecords(text) {
+  const [header, ...rows] = parseCSVLines(text);
+  if (!header) {
+    return { headers: [], records: [] };
+  }
+
+  const headers = header.cells.map(name => name.trim());
+  return {
+    headers,
+    records: rows.map(({ cells, line }) => ({
+      ...Object.fromEntries(headers.map((name, column) => [name, cells[column] !== undefined ? cells[column] : ''])),
+      __row: line
+    }))
+  };
+}
+
+module.exports = {
+  escapeCell,
+  toCSV,
+  escapeFormula,
+  parseCSV,
+  parseCSVRecords
+};
@@ -0,0 +1,57 @@
+/**
+ * Errors raised by services that map onto an HTTP status code.
+ * Controllers respond with `statusCode` and `toJSON()` instead of a generic 500.
+ */
+class ApplicationError extends Error {
+  constructor(message, statusCode = 500, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { error: this.message, ...this.details };
+  }
+}
+
+class ValidationError extends ApplicationError {
+  constructor(message, details = {}) {
+    super(message, 400, details);
+  }
+}
+
+class NotFoundError extends ApplicationError {
+  constructor(message = 'Not found', details = {}) {
+    super(message, 404, details);
+  }
+}
+
+class ConflictError extends ApplicationError {
+  constructor(message, details = {}) {
+    super(message, 409, details);
+  }
+}
+
+// An external call did not answer within its timeout
+class TimeoutError extends ApplicationError {
+  constructor(message, details = {}) {
+    super(message, 504, details);
+  }
+}
+
+// A circuit breaker is open, so the external call was not attempted
+class CircuitOpenError extends ApplicationError {
+  constructor(message, details = {}) {
+    super(message, 503, details);
+  }
+}
+
+module.exports = {
+  ApplicationError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  TimeoutError,
+  CircuitOpenError
+};
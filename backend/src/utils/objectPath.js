@@ -0,0 +1,48 @@
+/**
+ * Dot-path helpers for reading and writing nested document fields,
+ * e.g. 'rto.current' or 'deployment_info.regions'
+ */
+
+const UNSAFE_SEGMENTS = ['__proto__', 'prototype', 'constructor'];
+
+function splitPath(path) {
+  const segments = String(path).split('.');
+  if (segments.some(segment => !segment || UNSAFE_SEGMENTS.includes(segment))) {
+    throw new Error(`Invalid field path: ${path}`);
+  }
+  return segments;
+}
+
+function getPath(object, path) {
+  return splitPath(path).reduce((value, segment) => (
+    value !== null && typeof value === 'object' ? value[segment] : undefined
+  ), object);
+}
+
+function setPath(object, path, value) {
+  const segments = splitPath(path);
+  let target = object;
+  segments.slice(0, -1).forEach(segment => {
+    if (target[segment] === null || typeof target[segment] !== 'object') {
+      target[segment] = {};
+    }
+    target = target[segment];
+  });
+  target[segments[segments.length - 1]] = value;
+  return object;
+}
+
+function isValidPath(path) {
+  try {
+    splitPath(path);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  getPath,
+  setPath,
+  isValidPath
+};
@@ -0,0 +1,262 @@
+/**
+ * Shared value model for the quantities connectors and Rooster return as
+ * text, e.g. '45 minutes', '99.85%' or '$1.2M'.
+ *
+ * Documents store them as quantities: { value, unit, display }, where
+ * `value` is the normalized number (minutes, percent or USD) and `display`
+ * the consistently formatted string. Values that cannot be parsed ('TBD',
+ * 'Unknown') keep their text as `display` with a null `value`. The parsers
+ * accept quantities, raw numbers and text alike, so documents stored before
+ * the value model still compare correctly.
+ */
+
+const QUANTITY_UNITS = {
+  duration: 'minutes',
+  percentage: 'percent',
+  currency: 'USD'
+};
+
+// Shown when a source supplied no value at all
+const NOT_AVAILABLE = 'TBD';
+
+const MINUTES_PER_UNIT = {
+  millisecond: 1 / 60000,
+  msec: 1 / 60000,
+  ms: 1 / 60000,
+  second: 1 / 60,
+  sec: 1 / 60,
+  s: 1 / 60,
+  minute: 1,
+  min: 1,
+  m: 1,
+  hour: 60,
+  hr: 60,
+  h: 60,
+  day: 24 * 60,
+  d: 24 * 60,
+  week: 7 * 24 * 60,
+  w: 7 * 24 * 60
+};
+
+const CURRENCY_MULTIPLIERS = {
+  K: 1e3,
+  M: 1e6,
+  B: 1e9
+};
+
+const NUMBER = '(\\d+(?:\\.\\d+)?)';
+const DURATION_PATTERN = new RegExp(`^[<>~]?\\s*${NUMBER}\\s*([a-z]+)?(?:\\s*-\\s*${NUMBER}\\s*([a-z]+))?$`);
+
+// Parsing
+/**
+ * Parse a duration or duration range such as '45 minutes', '1.5h',
+ * '1-4 hours' or '30 minutes - 2 hours' into { min, max } minutes
+ */
+function parseDurationRange(value) {
+  if (isQuantity(value)) {
+    return value.unit === QUANTITY_UNITS.duration && value.value !== null
+      ? { min: value.value, max: value.max ?? value.value }
+      : null;
+  }
+  if (typeof value === 'number') return { min: value, max: value };
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().toLowerCase().match(DURATION_PATTERN);
+  if (!match) return null;
+
+  const [, low, lowUnit, high, highUnit] = match;
+  const toMinutes = unit => (unit ? MINUTES_PER_UNIT[unit] || MINUTES_PER_UNIT[unit.replace(/s$/, '')] : undefined);
+
+  // '1-4 hours' shares the trailing unit; '45 minutes' has no upper bound
+  const upperMinutes = toMinutes(highUnit);
+  const lowerMinutes = lowUnit ? toMinutes(lowUnit) : upperMinutes;
+  if (!lowerMinutes || (high !== undefined && !upperMinutes)) return null;
+
+  const min = parseFloat(low) * lowerMinutes;
+  return { min, max: high !== undefined ? parseFloat(high) * upperMinutes : min };
+}
+
+/**
+ * Parse a duration into minutes. Ranges ('1-4 hours') resolve to their lower bound.
+ */
+function parseDurationMinutes(value) {
+  const range = parseDurationRange(value);
+  return range ? range.min : null;
+}
+
+/**
+ * Parse a currency amount such as '$1.2M', '$500K' or '1,200,000' into a number
+ */
+function parseCurrency(value) {
+  if (isQuantity(value)) return value.unit === QUANTITY_UNITS.currency ? value.value : null;
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().toUpperCase().match(/^[<>~]?\s*\$?\s*(\d[\d,]*(?:\.\d+)?)\s*([KMB])?$/);
+  if (!match) return null;
+
+  const amount = parseFloat(match[1].replace(/,/g, ''));
+  return amount * (match[2] ? CURRENCY_MULTIPLIERS[match[2]] : 1);
+}
+
+/**
+ * Parse a percentage such as '15%' or '99.9 %' into a number of percent
+ */
+function parsePercentage(value) {
+  if (isQuantity(value)) return value.unit === QUANTITY_UNITS.percentage ? value.value : null;
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(/^(-?\d+(?:\.\d+)?)\s*%$/);
+  return match ? parseFloat(match[1]) : null;
+}
+
+// Formatting
+/**
+ * Format an amount as '$1.2M', '$350K', '$900', '$0.80' or '-$1.5K'. The
+ * suffix is picked after rounding, so 999,999 shows as '$1M', not '$1000K'.
+ */
+function formatCurrency(amount) {
+  if (typeof amount !== 'number' || Number.isNaN(amount)) return null;
+
+  const sign = amount < 0 ? '-' : '';
+  const absolute = Math.abs(amount);
+  const tiers = [['', 1], ...Object.entries(CURRENCY_MULTIPLIERS)];
+  const round = (scaled, suffix) => {
+    if (!suffix) return Number.isInteger(scaled) ? scaled : scaled.toFixed(2);
+    return scaled >= 100 ? Math.round(scaled) : parseFloat(scaled.toFixed(1));
+  };
+
+  let tier = Math.max(0, tiers.map(([, multiplier]) => absolute >= multiplier).lastIndexOf(true));
+  while (tier < tiers.length - 1 &&
+    Number(round(absolute / tiers[tier][1], tiers[tier][0])) * tiers[tier][1] >= tiers[tier + 1][1]) {
+    tier++;
+  }
+
+  const [suffix, multiplier] = tiers[tier];
+  return `${sign}$${round(absolute / multiplier, suffix)}${suffix}`;
+}
+
+/**
+ * Format minutes as '250 ms', '45 minutes', '4 hours' or '3 days'
+ */
+function formatDuration(minutes) {
+  if (typeof minutes !== 'number' || Number.isNaN(minutes)) return null;
+
+  const plural = (value, unit) => `${parseFloat(value.toFixed(1))} ${unit}${value === 1 ? '' : 's'}`;
+  if (minutes > 0 && minutes < 1 / 60) return `${Math.round(minutes * 60000)} ms`;
+  if (minutes > 0 && minutes < 1) return plural(minutes * 60, 'second');
+  if (minutes < 60) return plural(minutes, 'minute');
+  if (minutes < 48 * 60 || minutes % (24 * 60) !== 0) return plural(minutes / 60, 'hour');
+  return plural(minutes / (24 * 60), 'day');
+}
+
+/**
+ * Format a range in the unit of its upper bound, e.g. '15-30 minutes' or '0.5-2 hours'
+ */
+function formatDurationRange(min, max) {
+  if (min === max) return formatDuration(min);
+
+  const [divisor, unit] = max < 60 ? [1, 'minutes'] : max < 48 * 60 || max % (24 * 60) !== 0 ? [60, 'hours'] : [24 * 60, 'days'];
+  const scale = value => parseFloat((value / divisor).toFixed(1));
+  return `${scale(min)}-${scale(max)} ${unit}`;
+}
+
+/**
+ * Format a number of percent as '99.85%'
+ */
+function formatPercentage(percent) {
+  if (typeof percent !== 'number' || Number.isNaN(percent)) return null;
+  return `${parseFloat(percent.toFixed(2))}%`;
+}
+
+// Quantities
+/**
+ * Build a quantity of the given type from text, a number or another quantity
+ */
+function toQuantity(type, input) {
+  const unit = QUANTITY_UNITS[type];
+  if (!unit) {
+    throw new Error(`Unknown quantity type: ${type}`);
+  }
+
+  if (isQuantity(input)) {
+    return input.unit === unit ? input : toQuantity(type, input.display);
+  }
+  if (input === undefined || input === null || (typeof input === 'string' && input.trim() === '')) {
+    return { value: null, unit, display: NOT_AVAILABLE };
+  }
+
+  if (type === 'duration') {
+    const range = parseDurationRange(input);
+    if (!range) return { value: null, unit, display: String(input) };
+    return range.max !== range.min
+      ? { value: range.min, max: range.max, unit, display: formatDurationRange(range.min, range.max) }
+      : { value: range.min, unit, display: formatDuration(range.min) };
+  }
+
+  const value = type === 'currency' ? parseCurrency(input) : parsePercentage(input);
+  if (value === null) return { value: null, unit, display: String(input) };
+  return { value, unit, display: type === 'currency' ? formatCurrency(value) : formatPercentage(value) };
+}
+
+const duration = input => toQuantity('duration', input);
+const percentage = input => toQuantity('percentage', input);
+const currency = input => toQuantity('currency', input);
+
+function isQuantity(value) {
+  return value !== null
+    && typeof value === 'object'
+    && !Array.isArray(value)
+    && 'value' in value
+    && 'display' in value
+    && Object.values(QUANTITY_UNITS).includes(value.unit);
+}
+
+/**
+ * Quantity type ('duration', 'percentage', 'currency') of a value, or null
+ */
+function quantityType(value) {
+  if (!isQuantity(value)) return null;
+  return Object.keys(QUANTITY_UNITS).find(type => QUANTITY_UNITS[type] === value.unit);
+}
+
+/**
+ * Display string of a quantity; any other value is returned unchanged
+ */
+function displayValue(value) {
+  return isQuantity(value) ? value.display : value;
+}
+
+/**
+ * Whether two values denote the same quantity, comparing normalized numbers
+ * so that '60 minutes', '1 hour' and a stored quantity all match
+ */
+function isSameQuantity(type, a, b) {
+  const [left, right] = [toQuantity(type, a), toQuantity(type, b)];
+  if (left.value === null || right.value === null) {
+    return left.value === right.value && left.display === right.display;
+  }
+  return left.value === right.value && (left.max ?? left.value) === (right.max ?? right.value);
+}
+
+module.exports = {
+  QUANTITY_UNITS,
+  NOT_AVAILABLE,
+  parseDurationRange,
+  parseDurationMinutes,
+  parseCurrency,
+  parsePercentage,
+  formatCurrency,
+  formatDuration,
+  formatDurationRange,
+  formatPercentage,
+  toQuantity,
+  duration,
+  percentage,
+  currency,
+  isQuantity,
+  quantityType,
+  displayValue,
+  isSameQuantity
+};
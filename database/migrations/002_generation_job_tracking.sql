@@ -0,0 +1,13 @@
+-- Self-Updating BIA Web App Database Schema
+-- Migration 002: Track requesters, attempts and worker heartbeats for async generation jobs
+
+ALTER TABLE bia_generation_jobs
+    ADD COLUMN requested_by_id VARCHAR(255),
+    ADD COLUMN requested_by_name VARCHAR(255),
+    ADD COLUMN attempts INTEGER DEFAULT 0,
+    ADD COLUMN heartbeat_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN result_summary JSONB;
+
+-- Supports recovery of jobs abandoned mid-run
+CREATE INDEX idx_bia_generation_jobs_heartbeat_at ON bia_generation_jobs(heartbeat_at)
+    WHERE status = 'processing';
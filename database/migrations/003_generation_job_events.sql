@@ -0,0 +1,5 @@
+-- Self-Updating BIA Web App Database Schema
+-- Migration 003: Persist generation step events so progress can be streamed to clients
+
+ALTER TABLE bia_generation_jobs
+    ADD COLUMN events JSONB DEFAULT '[]'::jsonb;
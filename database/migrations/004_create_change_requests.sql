@@ -0,0 +1,42 @@
+-- Self-Updating BIA Web App Database Schema
+-- Migration 004: Change requests raised against BIAs during review
+
+CREATE TABLE bia_change_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    bia_id UUID NOT NULL REFERENCES bia_documents(id) ON DELETE CASCADE,
+
+    -- Per-section items: [{ "section": "...", "action": "missing|remove|change", "content": "..." }]
+    items JSONB NOT NULL,
+    assignee VARCHAR(255),
+    status VARCHAR(50) DEFAULT 'open' CHECK (status IN ('open', 'addressed', 'rejected')),
+
+    created_by_id VARCHAR(255),
+    created_by_name VARCHAR(255),
+    resolved_by_id VARCHAR(255),
+    resolved_by_name VARCHAR(255),
+    resolution_comments TEXT,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Threaded discussion on a change request
+CREATE TABLE bia_change_request_comments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    change_request_id UUID NOT NULL REFERENCES bia_change_requests(id) ON DELETE CASCADE,
+    parent_comment_id UUID REFERENCES bia_change_request_comments(id) ON DELETE CASCADE,
+    author_id VARCHAR(255),
+    author_name VARCHAR(255),
+    body TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_bia_change_requests_bia_id ON bia_change_requests(bia_id);
+CREATE INDEX idx_bia_change_requests_status ON bia_change_requests(status);
+CREATE INDEX idx_bia_change_requests_assignee ON bia_change_requests(assignee);
+CREATE INDEX idx_bia_change_request_comments_change_request_id ON bia_change_request_comments(change_request_id);
+
+CREATE TRIGGER update_bia_change_requests_updated_at
+    BEFORE UPDATE ON bia_change_requests
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,28 @@
+-- Self-Updating BIA Web App Database Schema
+-- Migration 005: Scheduled refresh runs over approved BIAs
+
+CREATE TABLE bia_refresh_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    trigger VARCHAR(50) NOT NULL CHECK (trigger IN ('scheduled', 'manual')),
+    status VARCHAR(50) DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    triggered_by_id VARCHAR(255),
+    triggered_by_name VARCHAR(255),
+
+    -- Outcome counts and per-BIA results
+    bias_checked INTEGER DEFAULT 0,
+    drafts_created INTEGER DEFAULT 0,
+    unchanged INTEGER DEFAULT 0,
+    skipped INTEGER DEFAULT 0,
+    failed INTEGER DEFAULT 0,
+    results JSONB DEFAULT '[]',
+    error_message TEXT,
+
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_bia_refresh_runs_started_at ON bia_refresh_runs(started_at);
+
+-- At most one refresh run in progress across all server instances
+CREATE UNIQUE INDEX idx_bia_refresh_runs_single_running ON bia_refresh_runs(status)
+    WHERE status = 'running';
@@ -0,0 +1,6 @@
+-- Self-Updating BIA Web App Database Schema
+-- Migration 006: Field-level lineage of auto-populated BIA values
+
+-- Keyed by field path, e.g. 'business_impact.daily_revenue_impact'
+ALTER TABLE bia_documents
+    ADD COLUMN lineage JSONB DEFAULT '{}';
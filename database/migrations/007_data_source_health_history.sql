@@ -0,0 +1,26 @@
+-- Self-Updating BIA Web App Database Schema
+-- Migration 007: Probed data-source health with history
+
+-- Key health rows by the ids the health monitor probes
+UPDATE data_source_health SET source_name = 'hr' WHERE source_name = 'hr_systems';
+UPDATE data_source_health SET source_name = 'financial' WHERE source_name = 'financial_systems';
+UPDATE data_source_health SET source_name = 'monitoring' WHERE source_name = 'monitoring_systems';
+UPDATE data_source_health SET source_name = 'rooster' WHERE source_name = 'rooster_engine';
+UPDATE data_source_health SET source_name = 'fusion' WHERE source_name = 'fusion_mcp';
+
+-- The seeded rows were never checked
+UPDATE data_source_health SET last_check = NULL;
+
+-- One row per probe of a source
+CREATE TABLE data_source_health_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    source_name VARCHAR(100) NOT NULL,
+    status VARCHAR(50) NOT NULL CHECK (status IN ('healthy', 'degraded', 'error', 'maintenance')),
+    response_time_ms INTEGER,
+    error_message TEXT,
+    checked_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_data_source_health_history_source_checked_at
+    ON data_source_health_history(source_name, checked_at);
+CREATE INDEX idx_data_source_health_history_checked_at ON data_source_health_history(checked_at);
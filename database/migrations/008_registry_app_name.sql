@@ -0,0 +1,10 @@
+-- Self-Updating BIA Web App Database Schema
+-- Migration 008: Registry application confirmed for a BIA
+
+-- Exact Registry app_name chosen by the DRI; refreshes look up this application
+-- instead of matching on the function name
+ALTER TABLE bia_documents
+    ADD COLUMN registry_app_name VARCHAR(255);
+
+ALTER TABLE bia_generation_jobs
+    ADD COLUMN registry_app_name VARCHAR(255);
@@ -0,0 +1,17 @@
+-- Self-Updating BIA Web App Database Schema
+-- Migration 009: Batch generation runs as one queued job per function
+
+CREATE TABLE bia_generation_batches (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    source VARCHAR(50) NOT NULL CHECK (source IN ('functions', 'registry_filter')),
+    filter JSONB,
+    requested_by_id VARCHAR(255),
+    requested_by_name VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE bia_generation_jobs
+    ADD COLUMN batch_id UUID REFERENCES bia_generation_batches(id);
+
+CREATE INDEX idx_bia_generation_jobs_batch_id ON bia_generation_jobs(batch_id)
+    WHERE batch_id IS NOT NULL;
@@ -0,0 +1,6 @@
+-- Self-Updating BIA Web App Database Schema
+-- Migration 010: Heartbeat of running refresh runs
+
+-- Updated as each BIA is refreshed; a run is abandoned once it stops heartbeating
+ALTER TABLE bia_refresh_runs
+    ADD COLUMN heartbeat_at TIMESTAMP WITH TIME ZONE;